@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+// Estfor Marketplace Command-Line Interface
+// List, bid, cancel and query the Estfor order book from a terminal or script
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import EstforMarketplace from './marketplace.js';
+
+const USAGE = `Usage: estfor-market <command> [options]
+
+Commands:
+  list <file>       Place sell orders from a CSV or JSON order file
+  bid <file>        Place buy orders from a CSV or JSON order file
+  cancel <file>     Cancel orders listed in a CSV or JSON file (orderId,tokenId,price,side)
+  orders            Show open orders for the wallet or --address
+  balances          Show item balances for --tokens or the token ids in --file
+  prices            Show best bid and ask for --tokens or the token ids in --file
+  approve           Approve the marketplace to transfer your items
+  inspect           Check the marketplace proxy implementation and ABI (exits 1 when unverified)
+
+Options:
+  --dry-run                 Validate and simulate without sending a transaction
+  --json                    Print machine-readable JSON on stdout
+  --tokens <ids>            Comma separated token ids
+  --file <path>             Order file, same as the positional argument
+  --address <address>       Query this address without a signer (orders, balances),
+                            defaults to the signer's address
+  --keystore <path>         Encrypted JSON keystore (or ESTFOR_KEYSTORE)
+  --password-env <name>     Environment variable holding the keystore password
+  --derivation-path <path>  HD path used with ESTFOR_MNEMONIC
+  -h, --help                Show this help
+
+Order files are JSON arrays (or { "orders": [...] }) or CSV with a header row:
+  tokenId,quantity,price
+  11000,5,0.25
+Prices are in BRUSH. Progress is logged to stderr, results go to stdout.`;
+
+const COMMANDS = new Set(['list', 'bid', 'cancel', 'orders', 'balances', 'prices', 'approve', 'inspect']);
+const SIGNING_COMMANDS = new Set(['list', 'bid', 'cancel', 'approve']);
+// Queries about an address, answered for --address or else the configured signer
+const ADDRESS_COMMANDS = new Set(['orders', 'balances']);
+
+// Field names accepted in order files, mapped to the names the library uses
+const FIELD_ALIASES = {
+    tokenid: 'tokenId',
+    id: 'tokenId',
+    quantity: 'quantity',
+    amount: 'quantity',
+    price: 'price',
+    priceineth: 'price',
+    side: 'side',
+    orderid: 'orderId'
+};
+
+function normalizeRow(row) {
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(row)) {
+        const field = FIELD_ALIASES[key.trim().toLowerCase()];
+        if (field && value !== '' && value !== undefined && value !== null) {
+            normalized[field] = typeof value === 'string' ? value.trim() : value;
+        }
+    }
+
+    if (normalized.side) {
+        normalized.side = String(normalized.side).toLowerCase();
+    }
+
+    return normalized;
+}
+
+function parseCsv(text) {
+    const lines = text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map(column => column.trim());
+
+    return lines.slice(1).map((line, index) => {
+        const values = line.split(',');
+        if (values.length !== header.length) {
+            throw new Error(`CSV row ${index + 2} has ${values.length} columns, expected ${header.length}`);
+        }
+        return Object.fromEntries(header.map((column, position) => [column, values[position]]));
+    });
+}
+
+// Read a CSV or JSON order file into normalized rows
+function readOrderFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const isJson = path.extname(filePath).toLowerCase() === '.json' || /^\s*[[{]/.test(text);
+
+    let rows;
+    if (isJson) {
+        const data = JSON.parse(text);
+        rows = Array.isArray(data) ? data : data.orders;
+        if (!Array.isArray(rows)) {
+            throw new Error(`${filePath} must contain an array of orders or { "orders": [...] }`);
+        }
+    } else {
+        rows = parseCsv(text);
+    }
+
+    if (rows.length === 0) {
+        throw new Error(`${filePath} contains no orders`);
+    }
+
+    return rows.map(normalizeRow);
+}
+
+function requireFields(rows, fields, filePath) {
+    rows.forEach((row, index) => {
+        const missing = fields.filter(field => row[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`${filePath}: entry ${index + 1} is missing ${missing.join(', ')}`);
+        }
+    });
+}
+
+function getTokenIds(options) {
+    if (options.tokens) {
+        return options.tokens.split(',').map(id => id.trim()).filter(Boolean);
+    }
+
+    if (options.file) {
+        return [...new Set(readOrderFile(options.file).map(row => String(row.tokenId)))];
+    }
+
+    throw new Error('Pass --tokens or an order file');
+}
+
+// A keystore or mnemonic from the options or the environment, the same sources loadWallet reads
+function hasSigner(options) {
+    return Boolean(options.keystore || process.env.ESTFOR_KEYSTORE || process.env.ESTFOR_MNEMONIC);
+}
+
+function printTable(rows, columns) {
+    if (rows.length === 0) {
+        console.info('(none)');
+        return;
+    }
+
+    const widths = columns.map(column =>
+        Math.max(column.length, ...rows.map(row => String(row[column] ?? '-').length))
+    );
+    const format = values => values.map((value, index) => String(value ?? '-').padEnd(widths[index])).join('  ');
+
+    console.info(format(columns));
+    rows.forEach(row => console.info(format(columns.map(column => row[column]))));
+}
+
+function printTransaction(result, action) {
+    if (result.dryRun) {
+        console.info(`Dry run: ${action} would succeed, estimated gas ${result.gasEstimate}`);
+        return;
+    }
+
+    // Large order files are split over several limitOrders transactions
+    for (const transaction of result.transactions || [result]) {
+        console.info(transaction.success
+            ? `Confirmed in block ${transaction.blockNumber} (tx ${transaction.txHash}, gas ${transaction.gasUsed})`
+            : `Failed${transaction.txHash ? ` (tx ${transaction.txHash})` : ''}: ${transaction.error}`);
+    }
+}
+
+async function runCommand(command, options, marketplace) {
+    switch (command) {
+        case 'list':
+        case 'bid': {
+            const side = command === 'list' ? 'sell' : 'buy';
+            const orders = readOrderFile(options.file);
+            requireFields(orders, ['tokenId', 'quantity', 'price'], options.file);
+
+            const result = await marketplace.placeLimitOrders(orders, side, { dryRun: options['dry-run'] });
+            return {
+                result,
+                print: () => {
+                    printTable(result.orders, ['tokenId', 'quantity', 'price']);
+                    printTransaction(result, `${result.orders.length} ${side} orders`);
+
+                    if (!result.dryRun) {
+                        console.info(`${result.ordersCreated} of ${result.orders.length} ${side} orders placed`);
+                    }
+                }
+            };
+        }
+
+        case 'cancel': {
+            const cancels = readOrderFile(options.file);
+            requireFields(cancels, ['orderId', 'tokenId', 'price', 'side'], options.file);
+
+            const result = await marketplace.cancelLimitOrders(cancels, { dryRun: options['dry-run'] });
+            return { result, print: () => printTransaction(result, `Cancelling ${cancels.length} orders`) };
+        }
+
+        case 'orders': {
+            const orders = await marketplace.getOpenOrders(options.address || marketplace.userAddress);
+            return { result: orders, print: () => printTable(orders, ['orderId', 'side', 'tokenId', 'price', 'remaining', 'quantity']) };
+        }
+
+        case 'balances': {
+            const tokenIds = getTokenIds(options);
+            const balances = await marketplace.getTokenBalances(tokenIds);
+            const rows = tokenIds.map(tokenId => ({ tokenId, balance: balances[tokenId] }));
+            return { result: rows, print: () => printTable(rows, ['tokenId', 'balance']) };
+        }
+
+        case 'prices': {
+            const books = await marketplace.getTopOfBook(getTokenIds(options));
+            return { result: books, print: () => printTable(books, ['tokenId', 'highestBid', 'lowestAsk']) };
+        }
+
+        case 'approve': {
+            const approved = await marketplace.checkApproval();
+
+            if (approved || options['dry-run']) {
+                const result = { approved, dryRun: options['dry-run'] };
+                return {
+                    result,
+                    print: () => console.info(approved ? 'Marketplace is already approved' : 'Dry run: marketplace is not approved yet')
+                };
+            }
+
+            await marketplace.approveMarketplace();
+            return { result: { approved: true, dryRun: false }, print: () => console.info('Marketplace approved') };
+        }
+
+        case 'inspect': {
+            // The library already printed the details and warnings to stderr
+            const report = await marketplace.inspectContract();
+            return {
+                result: { ...report, success: report.verified },
+                print: () => console.info(report.verified
+                    ? `Marketplace implementation ${report.implementation} is verified`
+                    : 'Marketplace implementation is NOT verified, see warnings above')
+            };
+        }
+
+        default:
+            throw new Error(`Unknown command: ${command}`);
+    }
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            'dry-run': { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            tokens: { type: 'string' },
+            file: { type: 'string' },
+            address: { type: 'string' },
+            keystore: { type: 'string' },
+            'password-env': { type: 'string' },
+            'derivation-path': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [command, fileArg] = positionals;
+
+    if (options.help || !command) {
+        console.info(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    if (!COMMANDS.has(command)) {
+        throw new Error(`Unknown command: ${command}. Run estfor-market --help`);
+    }
+
+    options.file = options.file || fileArg;
+
+    if (['list', 'bid', 'cancel'].includes(command) && !options.file) {
+        throw new Error(`${command} needs an order file`);
+    }
+
+    // Only signing commands need a wallet, address queries fall back to the signer's address
+    let readOnly = !SIGNING_COMMANDS.has(command);
+
+    if (ADDRESS_COMMANDS.has(command) && !options.address) {
+        if (!hasSigner(options)) {
+            throw new Error(`${command} needs --address, or a keystore or mnemonic to use the signer's address`);
+        }
+        readOnly = false;
+    }
+
+    const marketplace = new EstforMarketplace();
+    await marketplace.connect(readOnly
+        ? { readOnly: true, address: options.address }
+        : {
+            keystorePath: options.keystore,
+            passwordEnv: options['password-env'],
+            derivationPath: options['derivation-path']
+        });
+
+    const { result, print } = await runCommand(command, options, marketplace);
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+        print();
+    }
+
+    // Partly sent order files and an unverified contract exit non-zero
+    return result.success === false ? 1 : 0;
+}
+
+// Run when executed directly, including through the npm bin symlink
+const isEntryPoint = process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isEntryPoint) {
+    // Library progress logs go to stderr, stdout only carries results
+    const info = console.log.bind(console);
+    console.log = console.error.bind(console);
+    console.info = info;
+
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+export { main, readOrderFile };
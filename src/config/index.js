@@ -19,6 +19,12 @@ export class ConfigManager {
     }
 
     #detectEnvironment() {
+        // Explicit choice first: ESTFOR_ENV in Node, ?env= or localStorage in the browser
+        const requested = this.#requestedEnvironment();
+        if (requested) {
+            return requested;
+        }
+
         if (typeof window !== 'undefined') {
             const hostname = window.location.hostname;
             if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname.includes('local')) {
@@ -28,6 +34,20 @@ export class ConfigManager {
         return 'production';
     }
 
+    #requestedEnvironment() {
+        const known = ['production', 'development', 'local'];
+        let requested = null;
+
+        if (typeof process !== 'undefined' && process.env?.ESTFOR_ENV) {
+            requested = process.env.ESTFOR_ENV;
+        } else if (typeof window !== 'undefined') {
+            requested = new URLSearchParams(window.location?.search || '').get('env') ||
+                globalThis.localStorage?.getItem('estfor-marketplace:env');
+        }
+
+        return known.includes(requested) ? requested : null;
+    }
+
     #loadConfiguration() {
         const baseConfig = {
             // Blockchain Networks
@@ -49,11 +69,26 @@ export class ConfigManager {
             contracts: {
                 marketplace: {
                     proxy: '0x0D6D3794C858B512716e77e05588D4f1Fc264319',
-                    implementation: '0xb16fbc5251da4c4beadc685406ed2b2c5fa5f1a8'
+                    implementation: '0xb16fbc5251da4c4beadc685406ed2b2c5fa5f1a8',
+                    // IOrderBook.OrderSide enum values
+                    orderSides: {
+                        buy: 0,
+                        sell: 1
+                    }
                 },
                 items: {
                     address: '0x8970c63da309d5359a579c2f53bfd64f72b7b706',
                     type: 'ERC1155'
+                },
+                // Canonical Multicall3 deployment used to batch reads
+                multicall3: {
+                    address: '0xcA11bde05977b3631167028862bE2a173976CA11'
+                },
+                // BRUSH, the ERC-20 bids escrow and sells are paid in
+                quoteToken: {
+                    address: '0xE51EE9868C1f0d6cd968A8B8C8376Dc2991BFE44',
+                    symbol: 'BRUSH',
+                    decimals: 18
                 }
             },
 
@@ -64,6 +99,24 @@ export class ConfigManager {
                     timeout: 10000,
                     retryAttempts: 3,
                     retryDelay: 1000
+                },
+                // Same-origin API served by src/index.js, used when its health check answers
+                proxy: {
+                    enabled: true,
+                    baseUrl: '/api'
+                }
+            },
+
+            // Local API server (src/index.js)
+            server: {
+                port: 3080,
+                maxTokenIds: 200, // Token ids per prices / balances request
+                readConcurrency: 20, // Parallel RPC reads per request
+                cacheTtl: {
+                    items: 300000,
+                    orders: 15000,
+                    prices: 15000,
+                    balances: 5000 // Short, balances back sell validation
                 }
             },
 
@@ -77,7 +130,22 @@ export class ConfigManager {
                     gasBufferPercent: 20,
                     maxRetries: 3,
                     retryDelay: 2000,
-                    maxBatchSize: 50
+                    maxBatchSize: 50, // Orders per transaction before gas is even considered
+                    maxGasPerTransaction: 12000000, // Larger batches are split across transactions
+                    maxClaimOrders: 200 // Order book limit per claim
+                },
+
+                // Wallet Settings
+                wallet: {
+                    storageKey: 'estfor-marketplace:wallet-rdns', // Last chosen EIP-6963 wallet
+                    discoveryTimeout: 300 // ms to wait for wallets to announce on load
+                },
+
+                // On-chain Read Settings
+                reads: {
+                    balanceBatchSize: 200, // Token ids per balanceOfBatch call
+                    useMulticall: true, // JSON-RPC batches are used when false or unavailable
+                    multicallChunkSize: 100 // Calls per aggregate3 / JSON-RPC batch
                 },
 
                 // UI Settings
@@ -85,7 +153,26 @@ export class ConfigManager {
                     itemsPerPage: 100,
                     refreshInterval: 30000,
                     notificationDuration: 5000,
-                    debounceDelay: 500
+                    debounceDelay: 500,
+                    depthLevels: 10, // Price levels per side in the depth table
+
+                    // Amounts are formatted from wei with BigInt, never through floats
+                    amounts: {
+                        decimals: 4, // Fraction digits shown, rounded half up
+                        thousandsSeparator: ',',
+                        compactDecimals: 2 // Fraction digits for 1.25K / 3.4M style amounts
+                    }
+                },
+
+                // Saved state (IndexedDB), shown at once on the next visit and refreshed when stale
+                persistence: {
+                    enabled: true,
+                    databaseName: 'estfor-marketplace',
+                    staleAfter: {
+                        items: 3600000, // The catalogue rarely changes, refetch after an hour
+                        balances: 0 // Shown while loading, always read again
+                    },
+                    maxAge: 604800000 // Saved data older than a week is dropped
                 },
 
                 // Security Settings
@@ -97,6 +184,16 @@ export class ConfigManager {
                 }
             },
 
+            // Pricing Strategy Defaults
+            pricing: {
+                defaultStrategy: 'undercut',
+                tick: '10000000000000', // 0.00001 BRUSH in wei
+                tickOverride: null, // Wei; when unset the tick is read per token from the contract
+                roundToTick: false, // Round off-tick prices (sells down, bids up) instead of rejecting them
+                markupPercent: 5,
+                belowFloorPercent: 2
+            },
+
             // Validation Rules
             validation: {
                 price: {
@@ -139,6 +236,32 @@ export class ConfigManager {
                 app: {
                     debug: false
                 }
+            },
+            // Offline stand-in from src/local (npm run local), nothing leaves the machine
+            local: {
+                networks: {
+                    sonic: {
+                        chainId: 31337, // Never 146, so nothing signed here can be replayed on Sonic
+                        name: 'Local Sonic stand-in',
+                        rpcUrl: 'http://127.0.0.1:8546/rpc',
+                        explorerUrl: 'http://127.0.0.1:8546'
+                    }
+                },
+                api: {
+                    estfor: {
+                        baseUrl: 'http://127.0.0.1:8546',
+                        timeout: 5000
+                    }
+                },
+                local: {
+                    port: 8546 // src/local/index.js serves JSON-RPC on /rpc and the Estfor API paths
+                },
+                app: {
+                    debug: true,
+                    persistence: {
+                        databaseName: 'estfor-marketplace-local' // Keep stand-in data apart from Sonic's
+                    }
+                }
             }
         };
 
@@ -7,13 +7,24 @@ import { config } from '../config/index.js';
 import { walletService } from '../services/WalletService.js';
 import { marketplaceService } from '../services/MarketplaceService.js';
 import { apiService } from '../services/ApiService.js';
-import { AppState } from '../models/index.js';
+import { balanceService } from '../services/BalanceService.js';
+import { persistenceService } from '../services/PersistenceService.js';
+import { AppState, OrderValidationReport } from '../models/index.js';
 import { validator } from '../security/InputValidator.js';
+import { ValidationError } from '../core/errors/ApplicationError.js';
+import { formatUnits } from '../core/pricing/PriceMath.js';
+
+// AppState slices saved between visits, balances under the wallet they belong to
+const PERSISTED_SLICES = ['items', 'balances', 'drafts', 'selectedItems'];
 
 export class AppController {
     static #instance = null;
     #state = null;
     #eventListeners = new Set();
+    #priceTicks = new Map();
+    #itemsStale = true;
+    #pendingSaves = new Set();
+    #saveTimer = null;
 
     constructor() {
         if (AppController.#instance) {
@@ -31,7 +42,9 @@ export class AppController {
             error: null,
             items: [],
             orders: [],
+            userOrders: [],
             balances: new Map(),
+            orderBooks: new Map(),
             wallet: null,
             lastUpdated: Date.now()
         });
@@ -47,7 +60,8 @@ export class AppController {
         walletService.addEventListener('disconnected', (connection) => {
             this.#updateState({
                 wallet: connection,
-                balances: new Map()
+                balances: new Map(),
+                userOrders: []
             });
         });
 
@@ -67,10 +81,11 @@ export class AppController {
             // Check for existing wallet connection
             if (walletService.isConnected) {
                 await this.#loadInitialData();
-            } else {
+            } else if (!await walletService.reconnect()) {
                 // Load items even without wallet connection
-                await this.loadItems();
+                await this.#ensureItems();
             }
+            // A silent reconnect loads its data through the connected listener
 
             this.#updateState({ isLoading: false });
 
@@ -82,11 +97,55 @@ export class AppController {
         }
     }
 
-    async connectWallet() {
+    /**
+     * Catalogue, drafts and selection from the last visit, so there is something to show
+     * before the network answers. Call before initialize(), which refreshes stale items.
+     */
+    async restoreState() {
+        const [items, drafts, selectedItems] = await Promise.all(
+            ['items', 'drafts', 'selectedItems'].map(key => persistenceService.load(key))
+        );
+
+        const updates = {};
+        if (items) {
+            updates.items = items.data;
+            this.#itemsStale = items.isStale;
+        }
+        if (drafts) updates.drafts = drafts.data;
+        if (selectedItems) updates.selectedItems = selectedItems.data;
+
+        try {
+            this.#updateState(updates, { persist: false });
+        } catch (error) {
+            // Saved by an older build whose data no longer validates
+            console.warn('Discarding saved state:', error);
+            this.#itemsStale = true;
+            await persistenceService.clear();
+        }
+
+        return this.#state;
+    }
+
+    // Drafts already show in the inputs, so they are mirrored into the state without a re-render
+    saveDrafts({ prices, quantities, selected }) {
+        const drafts = new Map();
+
+        for (const [field, values] of [['price', prices], ['quantity', quantities]]) {
+            for (const [tokenId, value] of values) {
+                if (value !== '') {
+                    drafts.set(tokenId, { ...drafts.get(tokenId), [field]: value });
+                }
+            }
+        }
+
+        this.#updateState({ drafts, selectedItems: [...selected] }, { notify: false });
+    }
+
+    async connectWallet(rdns = null) {
         try {
             this.#updateState({ isLoading: true, error: null });
 
-            const connection = await walletService.connect();
+            const connection = await walletService.connect(rdns);
             this.#updateState({ wallet: connection });
 
             // Load data after connection
@@ -104,12 +163,49 @@ export class AppController {
         }
     }
 
+    async watchAddress(address) {
+        try {
+            this.#updateState({ isLoading: true, error: null });
+
+            // The connected listener loads balances and orders for the watched address
+            const connection = await walletService.watchAddress(address);
+
+            this.#updateState({ wallet: connection, isLoading: false });
+            return connection;
+
+        } catch (error) {
+            this.#updateState({
+                isLoading: false,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    #requireSigner() {
+        if (!walletService.isConnected) {
+            throw new Error('Wallet not connected');
+        }
+
+        if (!walletService.canSign) {
+            throw new Error('Watching an address is read-only. Connect a wallet to sign transactions.');
+        }
+    }
+
     async disconnectWallet() {
         try {
+            const address = walletService.address;
             await walletService.disconnect();
+
+            // An explicit disconnect also forgets what the wallet held
+            if (address) {
+                persistenceService.remove(this.#balancesKey(address));
+            }
+
             this.#updateState({
                 wallet: null,
-                balances: new Map()
+                balances: new Map(),
+                userOrders: []
             });
 
         } catch (error) {
@@ -128,6 +224,7 @@ export class AppController {
                 lastUpdated: Date.now(),
                 isLoading: false
             });
+            this.#itemsStale = false;
 
             return items;
 
@@ -157,27 +254,102 @@ export class AppController {
         }
     }
 
+    async loadOrderBook(tokenId) {
+        try {
+            const orderBook = await marketplaceService.getOrderBook(tokenId);
+
+            const orderBooks = new Map(this.#state.orderBooks);
+            orderBooks.set(orderBook.tokenId, orderBook);
+
+            this.#updateState({ orderBooks });
+            return orderBook;
+
+        } catch (error) {
+            this.#updateState({ error: `Failed to load order book: ${error.message}` });
+            throw error;
+        }
+    }
+
+    async loadMarketPrices(tokenIds = this.#state.items.map(item => item.id)) {
+        try {
+            // One aggregated read for the whole catalogue instead of a call per token
+            const topOfBooks = await marketplaceService.getTopOfBooks(tokenIds);
+
+            const orderBooks = new Map(this.#state.orderBooks);
+            for (const orderBook of topOfBooks) {
+                // Keep full-depth books from the API, the chain read only has the best levels
+                if (orderBooks.get(orderBook.tokenId)?.source !== 'api') {
+                    orderBooks.set(orderBook.tokenId, orderBook);
+                }
+            }
+
+            this.#updateState({ orderBooks, lastUpdated: Date.now() });
+            return orderBooks;
+
+        } catch (error) {
+            this.#updateState({ error: `Failed to load market prices: ${error.message}` });
+            throw error;
+        }
+    }
+
+    async loadPriceTick(tokenId) {
+        if (!this.#priceTicks.has(tokenId)) {
+            const tick = await marketplaceService.getPriceTick(tokenId);
+
+            // Zero is an unread tick (no wallet yet or a failed call), ask again next time
+            if (tick === 0n) return tick;
+
+            this.#priceTicks.set(tokenId, tick);
+        }
+
+        return this.#priceTicks.get(tokenId);
+    }
+
+    getPriceTick(tokenId) {
+        // Zero means the tick hasn't been loaded yet
+        return this.#priceTicks.get(tokenId) || 0n;
+    }
+
+    async loadUserOrders() {
+        if (!walletService.isConnected) {
+            throw new Error('Wallet not connected');
+        }
+
+        try {
+            const userOrders = await marketplaceService.fetchUserOrders(walletService.address);
+            this.#updateState({
+                userOrders,
+                lastUpdated: Date.now()
+            });
+
+            return userOrders;
+
+        } catch (error) {
+            this.#updateState({ error: `Failed to load your orders: ${error.message}` });
+            throw error;
+        }
+    }
+
     async loadPlayerItems() {
         if (!walletService.isConnected) {
             throw new Error('Wallet not connected');
         }
 
         try {
+            // Balances are read for every known item, so the catalogue comes first
+            if (this.#state.items.length === 0) {
+                await this.loadItems();
+            }
+
             this.#updateState({ isLoading: true, error: null });
 
             // Use blockchain to get accurate balances
-            const balances = new Map();
-
-            for (const item of this.#state.items) {
-                try {
-                    const balance = await this.#getTokenBalance(item.id);
-                    if (balance > 0) {
-                        balances.set(item.id, balance);
-                    }
-                } catch (error) {
-                    console.warn(`Failed to get balance for token ${item.id}:`, error);
-                }
-            }
+            const tokenIds = this.#state.items.map(item => item.id);
+            const allBalances = await balanceService.getBalances(walletService.address, tokenIds);
+
+            const balances = new Map(
+                [...allBalances].filter(([, balance]) => balance > 0)
+            );
 
             this.#updateState({
                 balances,
@@ -196,34 +368,212 @@ export class AppController {
         }
     }
 
-    async #getTokenBalance(tokenId) {
-        // This would use the items contract to get balance
-        // Simplified for now - in real implementation would use ethers
-        return 0; // Placeholder
+    async createSellOrders(orderRequests) {
+        this.#requireSigner();
+
+        try {
+            this.#updateState({ isLoading: true, error: null });
+
+            // Validate all orders first
+            const validatedRequests = this.#assertOrdersValid(orderRequests, 'sell');
+
+            // Create batch order
+            const result = await marketplaceService.createBatchOrders(validatedRequests);
+
+            this.#updateState({ isLoading: false });
+
+            // Refresh balances if any transaction of the batch went through
+            if (result.ordersCreated > 0) {
+                await this.loadPlayerItems();
+            }
+
+            return result;
+
+        } catch (error) {
+            this.#updateState({
+                isLoading: false,
+                error: error.message
+            });
+            throw error;
+        }
     }
 
-    async createSellOrders(orderRequests) {
-        if (!walletService.isConnected) {
-            throw new Error('Wallet not connected');
+    async createBidOrders(bidRequests) {
+        this.#requireSigner();
+
+        try {
+            this.#updateState({ isLoading: true, error: null });
+
+            // Validate all bids first
+            const validatedRequests = this.#assertOrdersValid(bidRequests, 'buy');
+
+            const result = await marketplaceService.createBatchBids(validatedRequests);
+
+            this.#updateState({ isLoading: false });
+
+            if (result.ordersCreated > 0) {
+                this.loadUserOrders().catch(console.warn);
+            }
+
+            return result;
+
+        } catch (error) {
+            this.#updateState({
+                isLoading: false,
+                error: error.message
+            });
+            throw error;
         }
+    }
 
+    async planMarketBuys(buyRequests) {
         try {
             this.#updateState({ isLoading: true, error: null });
 
-            // Validate all orders first
-            const validatedRequests = this.#validateOrderRequests(orderRequests);
+            // The price field of a market buy is the maximum acceptable price
+            const validatedRequests = this.#assertOrdersValid(buyRequests, 'buy');
+
+            const plans = [];
+            for (const request of validatedRequests) {
+                plans.push(await marketplaceService.planMarketBuy(
+                    request.tokenId,
+                    request.amount,
+                    request.priceInEth
+                ));
+            }
+
+            this.#updateState({ isLoading: false });
+            return plans;
+
+        } catch (error) {
+            this.#updateState({
+                isLoading: false,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async executeMarketBuys(plans) {
+        this.#requireSigner();
+
+        try {
+            this.#updateState({ isLoading: true, error: null });
+
+            const result = await marketplaceService.executeMarketBuys(plans);
+
+            this.#updateState({ isLoading: false });
+
+            if (result.ordersCreated > 0) {
+                // Bought items land in the wallet
+                await this.loadPlayerItems();
+            }
+
+            return result;
+
+        } catch (error) {
+            this.#updateState({
+                isLoading: false,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async cancelOrders(cancelRequests) {
+        this.#requireSigner();
+
+        try {
+            this.#updateState({ isLoading: true, error: null });
+
+            const validatedRequests = this.#validateCancelRequests(cancelRequests);
 
             if (validatedRequests.length === 0) {
-                throw new Error('No valid orders to create');
+                throw new Error('No valid orders to cancel');
             }
 
-            // Create batch order
-            const result = await marketplaceService.createBatchOrders(validatedRequests);
+            // All price levels are cancelled in a single transaction
+            const result = await marketplaceService.cancelOrders(validatedRequests);
+
+            this.#updateState({ isLoading: false });
+
+            if (result.isSuccessful) {
+                // Cancelled sell orders return their items to the wallet
+                await this.loadPlayerItems();
+            }
+
+            return result;
+
+        } catch (error) {
+            this.#updateState({
+                isLoading: false,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async claimAll() {
+        this.#requireSigner();
+
+        try {
+            this.#updateState({ isLoading: true, error: null });
+
+            // Proceeds and items are claimed together in one transaction
+            const result = await marketplaceService.claimAll();
 
             this.#updateState({ isLoading: false });
 
             if (result.isSuccessful) {
-                // Refresh balances after successful transaction
+                // Claimed items land in the wallet
+                await this.loadPlayerItems();
+            }
+
+            return result;
+
+        } catch (error) {
+            this.#updateState({
+                isLoading: false,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async cancelUserOrder(order) {
+        const result = await this.cancelOrders([{
+            orderId: order.orderId,
+            tokenId: order.tokenId,
+            priceInEth: formatUnits(order.price),
+            side: order.side
+        }]);
+
+        if (result.isSuccessful) {
+            await this.loadUserOrders();
+        }
+
+        return result;
+    }
+
+    async repriceUserOrder(order, newPriceInEth) {
+        this.#requireSigner();
+
+        const priceValidation = validator.validateInput(newPriceInEth, 'price');
+        if (!priceValidation.isValid) {
+            throw new Error(`Invalid price: ${priceValidation.errors.join(', ')}`);
+        }
+
+        try {
+            this.#updateState({ isLoading: true, error: null });
+
+            // Checks the new price before cancelling, and says so when only the cancel went through
+            const result = await marketplaceService.repriceOrder(order, priceValidation.sanitizedValue);
+
+            this.#updateState({ isLoading: false });
+            await this.loadUserOrders();
+
+            if (order.side === 'sell') {
+                // A cancel without a replacement leaves the items in the wallet
                 await this.loadPlayerItems();
             }
 
@@ -238,65 +588,157 @@ export class AppController {
         }
     }
 
-    #validateOrderRequests(requests) {
+    #validateCancelRequests(requests) {
         const validatedRequests = [];
+        const failures = [];
 
         for (const request of requests) {
-            try {
-                // Validate token ID
-                const tokenIdValidation = validator.validateInput(request.tokenId, 'tokenId');
-                if (!tokenIdValidation.isValid) {
-                    console.warn(`Invalid token ID ${request.tokenId}:`, tokenIdValidation.errors);
-                    continue;
-                }
+            const tokenIdValidation = validator.validateInput(request.tokenId, 'tokenId');
+            if (!tokenIdValidation.isValid) {
+                failures.push(`token ${request.tokenId}: Invalid token ID: ${tokenIdValidation.errors.join(', ')}`);
+                continue;
+            }
 
-                // Validate price
-                const priceValidation = validator.validateInput(request.priceInEth, 'price');
-                if (!priceValidation.isValid) {
-                    console.warn(`Invalid price for token ${request.tokenId}:`, priceValidation.errors);
-                    continue;
-                }
+            const priceValidation = validator.validateInput(request.priceInEth, 'price');
+            if (!priceValidation.isValid) {
+                failures.push(`token ${request.tokenId}: Invalid price level: ${priceValidation.errors.join(', ')}`);
+                continue;
+            }
 
-                // Validate quantity
-                const quantityValidation = validator.validateInput(request.amount, 'quantity');
-                if (!quantityValidation.isValid) {
-                    console.warn(`Invalid quantity for token ${request.tokenId}:`, quantityValidation.errors);
-                    continue;
-                }
+            validatedRequests.push({
+                orderId: request.orderId ?? null,
+                tokenId: tokenIdValidation.sanitizedValue,
+                priceInEth: priceValidation.sanitizedValue,
+                side: request.side === 'buy' ? 'buy' : 'sell'
+            });
+        }
+
+        // Same as placing orders: refuse the batch rather than cancel fewer than were confirmed
+        if (failures.length > 0) {
+            throw new ValidationError(
+                'cancellations',
+                failures.length,
+                'all cancellations valid',
+                `${failures.length} of ${requests.length} cancellations are invalid: ${failures.join('; ')}`
+            );
+        }
+
+        return validatedRequests;
+    }
+
+    async validateOrders(orderRequests, side) {
+        const localReport = this.#validateOrderRequests(orderRequests, side);
+
+        if (!walletService.canSign || localReport.validRequests.length === 0) {
+            return localReport;
+        }
+
+        // Orders that pass the input checks are checked against the chain and the book
+        const chainReport = await marketplaceService.validateOrders(localReport.validRequests, side);
+        const chainEntries = [...chainReport.entries];
+
+        return new OrderValidationReport({
+            side,
+            entries: localReport.entries.map(entry => (entry.status === 'error' ? entry : chainEntries.shift()))
+        });
+    }
+
+    #validateOrderRequests(requests, side) {
+        const entries = requests.map(request => {
+            const errors = [];
+
+            // Validate token ID
+            const tokenIdValidation = validator.validateInput(request.tokenId, 'tokenId');
+            if (!tokenIdValidation.isValid) {
+                errors.push(`Invalid token ID: ${tokenIdValidation.errors.join(', ')}`);
+            }
+
+            // Validate price
+            const priceValidation = validator.validateInput(request.priceInEth, 'price');
+            if (!priceValidation.isValid) {
+                errors.push(`Invalid price: ${priceValidation.errors.join(', ')}`);
+            }
+
+            // Validate quantity
+            const quantityValidation = validator.validateInput(request.amount, 'quantity');
+            if (!quantityValidation.isValid) {
+                errors.push(`Invalid quantity: ${quantityValidation.errors.join(', ')}`);
+            }
 
-                // Check balance
+            // Check balance of the items being sold
+            if (side === 'sell' && errors.length === 0) {
                 const balance = this.#state.balances.get(tokenIdValidation.sanitizedValue) || 0;
                 if (balance < quantityValidation.sanitizedValue) {
-                    console.warn(`Insufficient balance for token ${request.tokenId}`);
-                    continue;
+                    errors.push(`Insufficient balance. Have: ${balance}, Need: ${quantityValidation.sanitizedValue}`);
                 }
+            }
 
-                validatedRequests.push({
-                    tokenId: tokenIdValidation.sanitizedValue,
-                    priceInEth: priceValidation.sanitizedValue,
-                    amount: quantityValidation.sanitizedValue,
-                    side: 'sell'
-                });
+            return OrderValidationReport.createEntry(request.tokenId, {
+                tokenId: tokenIdValidation.sanitizedValue,
+                priceInEth: priceValidation.sanitizedValue,
+                amount: quantityValidation.sanitizedValue,
+                side
+            }, errors);
+        });
 
-            } catch (error) {
-                console.warn(`Failed to validate order for token ${request.tokenId}:`, error);
-            }
+        return new OrderValidationReport({ side, entries });
+    }
+
+    #assertOrdersValid(requests, side) {
+        const report = this.#validateOrderRequests(requests, side);
+
+        // Refuse the whole batch rather than sign fewer orders than were confirmed
+        if (report.hasErrors) {
+            throw new ValidationError('orders', requests.length, 'all orders valid', report.errorMessage);
         }
 
-        return validatedRequests;
+        if (report.validRequests.length === 0) {
+            throw new Error('No valid orders to submit');
+        }
+
+        return report.validRequests;
+    }
+
+    // Saved items are used as they are, a stale catalogue is refreshed in the background
+    async #ensureItems() {
+        if (this.#state.items.length === 0) {
+            await this.loadItems();
+        } else if (this.#itemsStale) {
+            this.loadItems().catch(console.warn);
+        }
+    }
+
+    async #restoreBalances(address) {
+        const saved = await persistenceService.load(this.#balancesKey(address));
+
+        if (saved) {
+            this.#updateState({ balances: saved.data }, { persist: false });
+        }
+    }
+
+    #balancesKey(address) {
+        return `balances:${address.toLowerCase()}`;
     }
 
     async #loadInitialData() {
         try {
             // Load items first
-            await this.loadItems();
+            await this.#ensureItems();
 
             // Load market orders (non-blocking)
             this.loadMarketOrders().catch(console.warn);
 
-            // Load player items if wallet is connected
+            // Load player items and open orders if wallet is connected
             if (walletService.isConnected) {
+                // Last known balances while the chain is read again
+                await this.#restoreBalances(walletService.address);
                 await this.loadPlayerItems();
+                this.loadUserOrders().catch(console.warn);
+
+                // Prices for held items feed the portfolio value
+                if (this.#state.balances.size > 0) {
+                    this.loadMarketPrices([...this.#state.balances.keys()]).catch(console.warn);
+                }
             }
 
         } catch (error) {
@@ -304,14 +746,52 @@ export class AppController {
         }
     }
 
-    #updateState(updates) {
-        const newState = new AppState({
-            ...this.#state,
-            ...updates
-        });
+    #updateState(updates, { notify = true, persist = true } = {}) {
+        const newState = this.#state.with(updates);
 
         this.#state = newState;
-        this.#notifyStateChange(newState);
+
+        if (notify) {
+            this.#notifyStateChange(newState);
+        }
+
+        if (persist) {
+            this.#schedulePersist(Object.keys(updates));
+        }
+    }
+
+    #schedulePersist(slices) {
+        slices
+            .filter(slice => PERSISTED_SLICES.includes(slice))
+            .forEach(slice => this.#pendingSaves.add(slice));
+
+        if (this.#pendingSaves.size === 0 || this.#saveTimer) {
+            return;
+        }
+
+        // Typing sends an update per key, save once it settles
+        this.#saveTimer = setTimeout(() => {
+            this.#saveTimer = null;
+            this.#persistPending().catch(console.warn);
+        }, config.get('app.ui.debounceDelay'));
+    }
+
+    async #persistPending() {
+        const slices = [...this.#pendingSaves];
+        this.#pendingSaves.clear();
+
+        const json = this.#state.toJSON();
+
+        await Promise.all(slices.map(slice => {
+            if (slice !== 'balances') {
+                return persistenceService.save(slice, json[slice]);
+            }
+
+            // Nothing to save once the wallet is gone
+            return walletService.isConnected
+                ? persistenceService.save(this.#balancesKey(walletService.address), json.balances)
+                : null;
+        }));
     }
 
     #notifyStateChange(newState) {
@@ -333,6 +813,18 @@ export class AppController {
         return walletService.isConnected;
     }
 
+    get canSign() {
+        return walletService.canSign;
+    }
+
+    get availableWallets() {
+        return walletService.availableWallets;
+    }
+
+    get portfolioValue() {
+        return this.#state.portfolioValue;
+    }
+
     get items() {
         return this.#state.items;
     }
@@ -341,6 +833,14 @@ export class AppController {
         return this.#state.balances;
     }
 
+    get orderBooks() {
+        return this.#state.orderBooks;
+    }
+
+    get userOrders() {
+        return this.#state.userOrders;
+    }
+
     get isLoading() {
         return this.#state.isLoading;
     }
@@ -43,8 +43,13 @@ export class NetworkError extends ApplicationError {
 }
 
 export class ContractError extends ApplicationError {
-    constructor(message, contractAddress = null, methodName = null, txHash = null) {
-        super(message, 'CONTRACT_ERROR', { contractAddress, methodName, txHash });
+    constructor(message, contractAddress = null, methodName = null, txHash = null, revert = null) {
+        super(message, 'CONTRACT_ERROR', { contractAddress, methodName, txHash, revert });
+    }
+
+    // A decoded revert fails the same way every time, resending cannot help
+    get isDeterministic() {
+        return this.details.revert !== null;
     }
 }
 
@@ -102,6 +107,11 @@ export class ErrorHandler {
     }
 
     static #getUserFriendlyMessage(error) {
+        // Decoded reverts already say what to fix
+        if (error instanceof ContractError && error.isDeterministic) {
+            return error.message;
+        }
+
         const messageMap = {
             'ValidationError': 'Please check your input and try again.',
             'NetworkError': 'Network connection issue. Please check your wallet connection.',
@@ -0,0 +1,150 @@
+/**
+ * Revert Decoder
+ * Turns raw ethers call failures into ContractErrors with actionable messages
+ */
+
+import { ContractError } from './ApplicationError.js';
+import { formatUnits } from '../pricing/PriceMath.js';
+
+// Custom errors the order book and the token contracts it calls can revert with
+export const REVERT_ERRORS = [
+    'error NoQuantity()',
+    'error PriceZero()',
+    'error PriceNotMultipleOfTick(uint256 tick)',
+    'error TokenDoesntExist(uint256 tokenId)',
+    'error QuantityRemainingTooLow()',
+    'error TotalCostConditionNotMet()',
+    'error OrderNotFound(uint256 orderId, uint256 price)',
+    'error OrderNotFoundInTree(uint256 orderId, uint256 price)',
+    'error NotMaker()',
+    'error NothingToClaim()',
+    'error ClaimingTooManyOrders()',
+    'error TooManyOrdersHit()',
+    'error LengthMismatch()',
+    'error NotERC1155()',
+    'error ERC1155MissingApprovalForAll(address operator, address owner)',
+    'error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId)',
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'
+];
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const formatPrice = value => formatUnits(BigInt(value));
+
+const CUSTOM_ERROR_MESSAGES = {
+    NoQuantity: () => 'Quantity too small: every order needs a quantity above zero and at least the token minimum',
+    PriceZero: () => 'Price must be greater than 0',
+    PriceNotMultipleOfTick: ({ tick }) => `Price is not a multiple of the tick size ${formatPrice(tick)}, round it to the tick`,
+    TokenDoesntExist: ({ tokenId }) => `Token ${tokenId} is not tradeable on the order book`,
+    QuantityRemainingTooLow: () => 'Quantity too small: the part left on the book would be below the token minimum',
+    TotalCostConditionNotMet: () => 'Price moved: the order would cost more than allowed',
+    OrderNotFound: ({ orderId, price }) => `Order ${orderId} is not on the book at price ${formatPrice(price)}, it may already be filled or cancelled`,
+    OrderNotFoundInTree: ({ orderId, price }) => `Order ${orderId} is not on the book at price ${formatPrice(price)}, it may already be filled or cancelled`,
+    NotMaker: () => 'Only the wallet that placed an order can cancel it',
+    NothingToClaim: () => 'Nothing to claim for these orders',
+    ClaimingTooManyOrders: () => 'Too many orders in one claim, claim in smaller batches',
+    TooManyOrdersHit: () => 'The order would match too many resting orders, split it into smaller quantities',
+    LengthMismatch: () => 'Order and cancellation lists do not line up',
+    NotERC1155: () => 'The item contract is not an ERC-1155 token',
+    ERC1155MissingApprovalForAll: () => 'Items not approved: approve the marketplace for your items and try again',
+    ERC1155InsufficientBalance: ({ tokenId, balance, needed }) => `Insufficient balance for token ${tokenId}. Have: ${balance}, Need: ${needed}`,
+    ERC20InsufficientBalance: ({ balance, needed }) => `Insufficient balance to escrow bids. Have: ${formatPrice(balance)}, Need: ${formatPrice(needed)}`,
+    ERC20InsufficientAllowance: () => 'Payment token not approved: approve the marketplace to spend it and try again'
+};
+
+// Require strings from older OpenZeppelin token contracts
+const REVERT_STRING_MESSAGES = [
+    [/not (token )?owner (n)?or approved|caller is not owner nor approved/i, CUSTOM_ERROR_MESSAGES.ERC1155MissingApprovalForAll()],
+    [/insufficient balance for transfer|transfer amount exceeds balance/i, 'Insufficient balance for this order'],
+    [/insufficient allowance/i, CUSTOM_ERROR_MESSAGES.ERC20InsufficientAllowance()]
+];
+
+// One parsed interface per ethers instance, the browser and Node load different copies
+const revertInterfaces = new WeakMap();
+
+function getRevertInterface(ethers) {
+    if (!revertInterfaces.has(ethers)) {
+        revertInterfaces.set(ethers, new ethers.utils.Interface(REVERT_ERRORS));
+    }
+    return revertInterfaces.get(ethers);
+}
+
+/**
+ * Find the revert payload in an ethers error, providers nest it differently
+ */
+export function extractRevertData(error, depth = 0) {
+    if (!error || depth > 5) return null;
+
+    if (typeof error === 'string') {
+        return /^0x[0-9a-fA-F]{8}/.test(error) ? error : null;
+    }
+
+    if (typeof error.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(error.data)) {
+        return error.data;
+    }
+
+    if (typeof error.body === 'string') {
+        try {
+            const found = extractRevertData(JSON.parse(error.body).error, depth + 1);
+            if (found) return found;
+        } catch {
+            // Not a JSON-RPC body
+        }
+    }
+
+    return extractRevertData(error.data, depth + 1) || extractRevertData(error.error, depth + 1);
+}
+
+/**
+ * Decode revert data into { name, args, message }, or null when it is not a revert
+ */
+export function decodeRevert(data, ethers = window.ethers) {
+    if (!data) return null;
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const { defaultAbiCoder } = ethers.utils;
+
+    if (selector === ERROR_STRING_SELECTOR) {
+        const [reason] = defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`);
+        const known = REVERT_STRING_MESSAGES.find(([pattern]) => pattern.test(reason));
+
+        return { name: 'Error', args: { reason }, message: known ? known[1] : reason };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+        const [code] = defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`);
+        return { name: 'Panic', args: { code: code.toString() }, message: `Contract panicked with code ${code.toHexString()}` };
+    }
+
+    try {
+        const parsed = getRevertInterface(ethers).parseError(data);
+        const args = Object.fromEntries(
+            parsed.errorFragment.inputs.map((input, index) => [input.name, parsed.args[index].toString()])
+        );
+
+        return { name: parsed.name, args, message: CUSTOM_ERROR_MESSAGES[parsed.name](args) };
+    } catch {
+        return { name: 'Unknown', args: { selector }, message: `Transaction reverted with unknown error ${selector}` };
+    }
+}
+
+/**
+ * Wrap a failed call as a ContractError when it carries a revert, otherwise return it untouched
+ */
+export function toContractError(error, contractAddress = null, methodName = null, ethers = window.ethers) {
+    if (error instanceof ContractError) return error;
+
+    const revert = decodeRevert(extractRevertData(error), ethers);
+
+    // Reverts without data still come back from ethers as CALL_EXCEPTION
+    if (!revert && error?.code === 'CALL_EXCEPTION') {
+        const reason = error.reason || 'Transaction reverted without a reason';
+        return new ContractError(`${methodName} would fail: ${reason}`, contractAddress, methodName, null, { name: 'Error', args: { reason } });
+    }
+
+    if (!revert) return error;
+
+    return new ContractError(`${methodName} would fail: ${revert.message}`, contractAddress, methodName, null, revert);
+}
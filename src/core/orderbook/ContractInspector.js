@@ -0,0 +1,114 @@
+/**
+ * Contract Inspector
+ * Checks that the marketplace proxy still points at the implementation we verified,
+ * and that the implementation's bytecode dispatches every function in our ABI.
+ */
+
+// bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+export const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+export const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+export class ContractInspector {
+    #ethers;
+    #provider;
+
+    constructor(ethers, provider) {
+        this.#ethers = ethers;
+        this.#provider = provider;
+    }
+
+    // Address stored in an EIP-1967 slot, null when the slot is empty
+    async readAddressSlot(address, slot) {
+        const value = await this.#provider.getStorageAt(address, slot);
+        const stored = this.#ethers.utils.hexDataSlice(this.#ethers.utils.hexZeroPad(value, 32), 12);
+
+        return this.#ethers.BigNumber.from(stored).isZero() ? null : this.#ethers.utils.getAddress(stored);
+    }
+
+    /**
+     * Look for each ABI function's selector in the bytecode. Solidity's dispatcher pushes
+     * selectors as constants, with leading zero bytes dropped by the optimizer.
+     */
+    findSelectors(bytecode, abi) {
+        const code = bytecode.toLowerCase();
+        const contractInterface = new this.#ethers.utils.Interface(abi);
+
+        return Object.values(contractInterface.functions).map(fragment => {
+            const selector = contractInterface.getSighash(fragment);
+            const significant = selector.slice(2).replace(/^(00)+/, '');
+
+            return {
+                name: fragment.name,
+                signature: fragment.format(),
+                selector,
+                found: significant.length > 0 && code.includes(significant)
+            };
+        });
+    }
+
+    /**
+     * Full report for a proxy: current implementation, whether it is the expected one,
+     * and which ABI functions the implementation is missing.
+     */
+    async inspectProxy(proxyAddress, expectedImplementation, abi) {
+        const warnings = [];
+
+        const proxyCode = await this.#provider.getCode(proxyAddress);
+        if (proxyCode === '0x') {
+            return {
+                proxy: proxyAddress,
+                implementation: null,
+                expectedImplementation,
+                admin: null,
+                implementationMatches: false,
+                selectors: [],
+                missingSelectors: [],
+                verified: false,
+                warnings: [`No contract code at ${proxyAddress}`]
+            };
+        }
+
+        const [implementation, admin] = await Promise.all([
+            this.readAddressSlot(proxyAddress, EIP1967_IMPLEMENTATION_SLOT),
+            this.readAddressSlot(proxyAddress, EIP1967_ADMIN_SLOT)
+        ]);
+
+        const implementationMatches = implementation !== null && expectedImplementation !== null &&
+            implementation.toLowerCase() === expectedImplementation.toLowerCase();
+
+        if (!implementation) {
+            warnings.push(`${proxyAddress} has no EIP-1967 implementation slot, it is not the proxy we expect`);
+        } else if (!implementationMatches) {
+            warnings.push(
+                `Proxy upgraded: ${proxyAddress} now points at ${implementation}, ` +
+                `not the verified implementation ${expectedImplementation}. Review the new implementation before trading.`
+            );
+        }
+
+        // Without a slot the proxy may be a plain contract, check its own code instead
+        const code = implementation ? await this.#provider.getCode(implementation) : proxyCode;
+        const selectors = this.findSelectors(code, abi);
+        const missingSelectors = selectors.filter(entry => !entry.found);
+
+        if (missingSelectors.length > 0) {
+            warnings.push(
+                `Implementation is missing ${missingSelectors.length} function(s) from our ABI: ` +
+                missingSelectors.map(entry => entry.signature).join(', ')
+            );
+        }
+
+        return {
+            proxy: proxyAddress,
+            implementation,
+            expectedImplementation,
+            admin,
+            implementationMatches,
+            selectors,
+            missingSelectors: missingSelectors.map(entry => entry.signature),
+            verified: implementationMatches && missingSelectors.length === 0,
+            warnings
+        };
+    }
+}
@@ -0,0 +1,380 @@
+/**
+ * Order Book Core
+ * Builds, validates and submits limitOrders / cancelOrders calls. Shared by
+ * MarketplaceService in the browser and EstforMarketplace in Node, so ethers
+ * and the contract are passed in instead of read from window.
+ */
+
+import { ContractError, ValidationError } from '../errors/ApplicationError.js';
+import { toContractError } from '../errors/RevertDecoder.js';
+import {
+    formatUnits,
+    isOnTick,
+    normalizeDecimal,
+    parseUnits,
+    roundToTick,
+    roundingModeForSide
+} from '../pricing/PriceMath.js';
+import { ORDER_BOOK_ABI } from './abi.js';
+
+// IOrderBook.OrderSide enum values
+export const ORDER_SIDES = { buy: 0, sell: 1 };
+
+const MAX_UINT72 = (1n << 72n) - 1n;
+const MAX_UINT24 = (1n << 24n) - 1n;
+
+const DEFAULT_OPTIONS = {
+    tickOverride: null,
+    roundToTick: false,
+    gasBufferPercent: 20,
+    maxRetries: 3,
+    retryDelay: 2000,
+    maxBatchSize: 50,
+    maxGasPerTransaction: 12000000
+};
+
+export class OrderBookCore {
+    #ethers;
+    #contract;
+    #options;
+    #tickCache = new Map();
+
+    /**
+     * @param {object} ethers - ethers v5 library
+     * @param {object|null} contract - OrderBook contract bound to a signer or provider
+     * @param {object} options - tick, gas and retry settings, see DEFAULT_OPTIONS
+     */
+    constructor(ethers, contract = null, options = {}) {
+        this.#ethers = ethers;
+        this.#contract = contract;
+        this.#options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    static createContract(ethers, address, signerOrProvider) {
+        return new ethers.Contract(address, ORDER_BOOK_ABI, signerOrProvider);
+    }
+
+    get contract() {
+        return this.#contract;
+    }
+
+    // Rebinding keeps the tick cache, ticks belong to the token not the signer
+    set contract(contract) {
+        this.#contract = contract;
+    }
+
+    async getPriceTick(tokenId) {
+        if (this.#options.tickOverride) {
+            return BigInt(this.#options.tickOverride);
+        }
+
+        if (this.#tickCache.has(tokenId)) {
+            return this.#tickCache.get(tokenId);
+        }
+
+        try {
+            const tokenIdInfo = await this.#contract.getTokenIdInfo(tokenId);
+            const tick = BigInt(tokenIdInfo.tick.toString());
+
+            this.#tickCache.set(tokenId, tick);
+            return tick;
+
+        } catch (error) {
+            console.warn(`Failed to read tick size for token ${tokenId}:`, error.message);
+            return 0n; // Unknown tick, leave enforcement to the contract
+        }
+    }
+
+    async toTickPrice(tokenId, price, side) {
+        const decimalPrice = normalizeDecimal(price);
+        if (decimalPrice === null) {
+            throw new ValidationError('price', price, 'decimal', `Invalid price ${price} for token ${tokenId}`);
+        }
+
+        let priceUnits = parseUnits(decimalPrice);
+        const tick = await this.getPriceTick(tokenId);
+
+        if (!isOnTick(priceUnits, tick)) {
+            const nearest = roundToTick(priceUnits, tick, roundingModeForSide(side));
+
+            if (!this.#options.roundToTick || nearest === 0n) {
+                throw new ValidationError(
+                    'price',
+                    decimalPrice,
+                    'tick',
+                    `Price ${decimalPrice} for token ${tokenId} is not a multiple of the tick ${formatUnits(tick)}. ` +
+                    `Nearest valid price: ${formatUnits(nearest === 0n ? tick : nearest)}`
+                );
+            }
+
+            priceUnits = nearest;
+        }
+
+        return this.#ethers.BigNumber.from(priceUnits.toString());
+    }
+
+    toWei(price) {
+        const decimalPrice = normalizeDecimal(price);
+        if (decimalPrice === null) {
+            throw new ValidationError('price', price, 'decimal', `Invalid price ${price}`);
+        }
+
+        return this.#ethers.BigNumber.from(parseUnits(decimalPrice).toString());
+    }
+
+    validateContractLimits(order) {
+        const price = BigInt(order.price.toString());
+        const quantity = BigInt(order.quantity.toString());
+
+        if (price > MAX_UINT72) {
+            throw new Error(`Price exceeds maximum allowed value`);
+        }
+
+        if (quantity > MAX_UINT24) {
+            throw new Error(`Quantity exceeds maximum allowed value (${MAX_UINT24.toString()})`);
+        }
+
+        if (price <= 0n) {
+            throw new Error('Price must be greater than 0');
+        }
+
+        if (quantity <= 0n) {
+            throw new Error('Quantity must be greater than 0');
+        }
+    }
+
+    /**
+     * Convert { tokenId, price, quantity } with a decimal price into a LimitOrder tuple.
+     * A balance, when given, is checked against the quantity of a sell.
+     */
+    async buildLimitOrder(request, side, balance = null) {
+        if (!(side in ORDER_SIDES)) {
+            throw new Error(`Unknown order side: ${side}`);
+        }
+
+        // Each batch has exactly one side, never switch it on the caller's behalf
+        if (request.side && request.side !== side) {
+            throw new Error(`Order is a ${request.side} order but this batch only places ${side} orders`);
+        }
+
+        if (!/^\d+$/.test(String(request.quantity ?? '').trim())) {
+            throw new ValidationError('quantity', request.quantity, 'integer', `Invalid quantity ${request.quantity} for token ${request.tokenId}`);
+        }
+
+        const quantity = this.#ethers.BigNumber.from(String(request.quantity).trim());
+
+        if (side === 'sell' && balance !== null && quantity.gt(balance)) {
+            throw new Error(`Insufficient balance. Have: ${balance.toString()}, Need: ${quantity.toString()}`);
+        }
+
+        const order = {
+            side: ORDER_SIDES[side],
+            tokenId: request.tokenId,
+            price: await this.toTickPrice(request.tokenId, request.price, side),
+            quantity
+        };
+
+        this.validateContractLimits(order);
+
+        return order;
+    }
+
+    /**
+     * Build every order or none. balances maps tokenId to the amount held, for sells.
+     */
+    async buildLimitOrders(requests, side, balances = null) {
+        const orders = [];
+        const failures = [];
+
+        for (const request of requests) {
+            try {
+                const balance = balances ? (balances.get(request.tokenId) ?? 0) : null;
+                orders.push(await this.buildLimitOrder(request, side, balance));
+            } catch (error) {
+                failures.push(`token ${request.tokenId}: ${error.message}`);
+            }
+        }
+
+        // Never sign a smaller batch than the caller confirmed
+        if (failures.length > 0) {
+            throw new ValidationError(
+                'orders',
+                failures.length,
+                'all orders valid',
+                `${failures.length} of ${requests.length} orders are invalid: ${failures.join('; ')}`
+            );
+        }
+
+        return orders;
+    }
+
+    // Bids escrow price * quantity of the quote token up front
+    escrowFor(orders) {
+        return orders.reduce(
+            (total, order) => total.add(order.price.mul(order.quantity)),
+            this.#ethers.BigNumber.from(0)
+        );
+    }
+
+    /**
+     * cancelOrders arguments for [{ orderId, tokenId, price, side }] with decimal prices
+     */
+    buildCancellation(cancels) {
+        const orderIds = [];
+        const orders = [];
+
+        for (const cancel of cancels) {
+            if (!(cancel.side in ORDER_SIDES)) {
+                throw new Error(`Order ${cancel.orderId} needs a side of buy or sell`);
+            }
+
+            orderIds.push(this.#ethers.BigNumber.from(cancel.orderId));
+            orders.push({ side: ORDER_SIDES[cancel.side], tokenId: cancel.tokenId, price: this.toWei(cancel.price) });
+        }
+
+        return { orderIds, orders };
+    }
+
+    async estimateGasLimit(methodName, args) {
+        const gasEstimate = await this.#contract.estimateGas[methodName](...args);
+
+        return gasEstimate.mul(100 + this.#options.gasBufferPercent).div(100);
+    }
+
+    // Dry run: a call that reverts here reverts on chain too
+    async simulate(methodName, args) {
+        try {
+            await this.#contract.callStatic[methodName](...args);
+            return await this.estimateGasLimit(methodName, args);
+        } catch (error) {
+            throw toContractError(error, this.#contract.address, methodName, this.#ethers);
+        }
+    }
+
+    // Split orders into batches that fit the size and per-transaction gas limits
+    async planOrderChunks(orders) {
+        const { maxBatchSize, maxGasPerTransaction } = this.#options;
+        const maxGas = this.#ethers.BigNumber.from(maxGasPerTransaction);
+        const chunks = [];
+
+        for (let start = 0; start < orders.length; start += maxBatchSize) {
+            chunks.push(...await this.#splitByGas(orders.slice(start, start + maxBatchSize), maxGas));
+        }
+
+        return chunks;
+    }
+
+    async #splitByGas(orders, maxGas) {
+        let gasLimit;
+
+        try {
+            gasLimit = await this.estimateGasLimit('limitOrders', [orders]);
+        } catch (error) {
+            // Leave it to the send step to retry and report this chunk's failure
+            console.warn(`Gas estimate failed for a chunk of ${orders.length} orders:`, error.message);
+            return [{ orders, gasLimit: null }];
+        }
+
+        if (gasLimit.lte(maxGas) || orders.length === 1) {
+            return [{ orders, gasLimit }];
+        }
+
+        // Halve until each chunk fits under the per-transaction gas ceiling
+        const middle = Math.ceil(orders.length / 2);
+        return [
+            ...await this.#splitByGas(orders.slice(0, middle), maxGas),
+            ...await this.#splitByGas(orders.slice(middle), maxGas)
+        ];
+    }
+
+    /**
+     * Send each chunk as its own limitOrders transaction. Returns one plain
+     * { success, txHash, blockNumber, gasUsed, ordersAttempted, error } per chunk.
+     */
+    async sendOrderChunks(chunks) {
+        const results = [];
+
+        // Assign nonces ourselves so back-to-back sends never collide in the wallet
+        let nonce = await this.#contract.signer.getTransactionCount('pending');
+
+        for (const [index, chunk] of chunks.entries()) {
+            try {
+                const result = await this.sendTransaction('limitOrders', [chunk.orders], {
+                    nonce,
+                    gasLimit: chunk.gasLimit
+                });
+                nonce++;
+
+                results.push({ success: true, ...result, ordersAttempted: chunk.orders.length });
+
+            } catch (error) {
+                // A mined but reverted transaction still used up its nonce
+                if (error.txHash) {
+                    nonce++;
+                }
+
+                console.error(`limitOrders transaction ${index + 1}/${chunks.length} failed:`, error.message);
+
+                results.push({
+                    success: false,
+                    txHash: error.txHash || null,
+                    error: error.message,
+                    ordersAttempted: chunk.orders.length
+                });
+            }
+        }
+
+        return results;
+    }
+
+    async sendTransaction(methodName, args, overrides = {}) {
+        const { maxRetries, retryDelay } = this.#options;
+
+        let lastError;
+
+        for (let attempt = 0; attempt < maxRetries; attempt++) {
+            let tx;
+
+            try {
+                // Simulate first, a call that reverts here reverts on chain too
+                await this.#contract.callStatic[methodName](...args);
+
+                const gasLimit = overrides.gasLimit || await this.estimateGasLimit(methodName, args);
+                tx = await this.#contract[methodName](...args, { ...overrides, gasLimit });
+
+            } catch (error) {
+                const contractError = toContractError(error, this.#contract.address, methodName, this.#ethers);
+
+                // Deterministic reverts are reported straight away instead of retried
+                if (contractError instanceof ContractError && contractError.isDeterministic) {
+                    throw contractError;
+                }
+
+                lastError = contractError;
+                console.warn(`${methodName} attempt ${attempt + 1} failed:`, error.message);
+
+                if (attempt < maxRetries - 1) {
+                    await new Promise(resolve => setTimeout(resolve, retryDelay));
+                }
+                continue;
+            }
+
+            // Once broadcast the nonce is spent, so a failure here must not be resent
+            try {
+                const receipt = await tx.wait();
+
+                return {
+                    txHash: tx.hash,
+                    blockNumber: receipt.blockNumber,
+                    gasUsed: receipt.gasUsed.toString()
+                };
+            } catch (error) {
+                const txError = new Error(`${methodName} transaction ${tx.hash} failed: ${error.reason || error.message}`);
+                txError.txHash = tx.hash;
+                throw txError;
+            }
+        }
+
+        throw new Error(`All ${methodName} attempts failed: ${lastError?.message || 'Unknown error'}`);
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Order Book ABIs
+ * Contract interfaces shared by the browser services and the Node scripts
+ */
+
+// Estfor OrderBook behind the marketplace proxy
+export const ORDER_BOOK_ABI = [
+    {
+        "inputs": [
+            {
+                "components": [
+                    {"internalType": "enum IOrderBook.OrderSide", "name": "side", "type": "uint8"},
+                    {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+                    {"internalType": "uint72", "name": "price", "type": "uint72"},
+                    {"internalType": "uint24", "name": "quantity", "type": "uint24"}
+                ],
+                "internalType": "struct IOrderBook.LimitOrder[]",
+                "name": "orders",
+                "type": "tuple[]"
+            }
+        ],
+        "name": "limitOrders",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
+        "name": "getLowestAsk",
+        "outputs": [{"internalType": "uint72", "name": "", "type": "uint72"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
+        "name": "getHighestBid",
+        "outputs": [{"internalType": "uint72", "name": "", "type": "uint72"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
+        "name": "getTokenIdInfo",
+        "outputs": [
+            {
+                "components": [
+                    {"internalType": "uint128", "name": "tick", "type": "uint128"},
+                    {"internalType": "uint128", "name": "minQuantity", "type": "uint128"}
+                ],
+                "internalType": "struct IOrderBook.TokenIdInfo",
+                "name": "",
+                "type": "tuple"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"internalType": "enum IOrderBook.OrderSide", "name": "side", "type": "uint8"},
+            {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+            {"internalType": "uint72", "name": "price", "type": "uint72"}
+        ],
+        "name": "allOrdersAtPrice",
+        "outputs": [
+            {
+                "components": [
+                    {"internalType": "address", "name": "maker", "type": "address"},
+                    {"internalType": "uint24", "name": "quantity", "type": "uint24"},
+                    {"internalType": "uint40", "name": "id", "type": "uint40"}
+                ],
+                "internalType": "struct IOrderBook.Order[]",
+                "name": "",
+                "type": "tuple[]"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"internalType": "uint256[]", "name": "orderIds", "type": "uint256[]"},
+            {
+                "components": [
+                    {"internalType": "enum IOrderBook.OrderSide", "name": "side", "type": "uint8"},
+                    {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+                    {"internalType": "uint72", "name": "price", "type": "uint72"}
+                ],
+                "internalType": "struct IOrderBook.CancelOrder[]",
+                "name": "orders",
+                "type": "tuple[]"
+            }
+        ],
+        "name": "cancelOrders",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [{"internalType": "uint256[]", "name": "orderIds", "type": "uint256[]"}],
+        "name": "claimTokens",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [{"internalType": "uint256[]", "name": "orderIds", "type": "uint256[]"}],
+        "name": "claimNFTs",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"internalType": "uint256[]", "name": "brushOrderIds", "type": "uint256[]"},
+            {"internalType": "uint256[]", "name": "nftOrderIds", "type": "uint256[]"}
+        ],
+        "name": "claimAll",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [{"internalType": "uint40[]", "name": "orderIds", "type": "uint40[]"}],
+        "name": "tokensClaimable",
+        "outputs": [{"internalType": "uint256", "name": "amount", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [{"internalType": "uint40[]", "name": "orderIds", "type": "uint40[]"}],
+        "name": "nftsClaimable",
+        "outputs": [{"internalType": "uint256[]", "name": "amounts", "type": "uint256[]"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+// Estfor items
+export const ERC1155_ABI = [
+    {
+        "inputs": [
+            {"name": "account", "type": "address"},
+            {"name": "id", "type": "uint256"}
+        ],
+        "name": "balanceOf",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"name": "accounts", "type": "address[]"},
+            {"name": "ids", "type": "uint256[]"}
+        ],
+        "name": "balanceOfBatch",
+        "outputs": [{"name": "", "type": "uint256[]"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"name": "operator", "type": "address"},
+            {"name": "approved", "type": "bool"}
+        ],
+        "name": "setApprovalForAll",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"name": "account", "type": "address"},
+            {"name": "operator", "type": "address"}
+        ],
+        "name": "isApprovedForAll",
+        "outputs": [{"name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+// Quote token used to escrow bids
+export const ERC20_ABI = [
+    {
+        "inputs": [{"name": "account", "type": "address"}],
+        "name": "balanceOf",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"name": "owner", "type": "address"},
+            {"name": "spender", "type": "address"}
+        ],
+        "name": "allowance",
+        "outputs": [{"name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {"name": "spender", "type": "address"},
+            {"name": "amount", "type": "uint256"}
+        ],
+        "name": "approve",
+        "outputs": [{"name": "", "type": "bool"}],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    }
+];
+
+// Multicall3, deployed at the same address on most chains
+export const MULTICALL3_ABI = [
+    {
+        "inputs": [
+            {
+                "components": [
+                    {"internalType": "address", "name": "target", "type": "address"},
+                    {"internalType": "bool", "name": "allowFailure", "type": "bool"},
+                    {"internalType": "bytes", "name": "callData", "type": "bytes"}
+                ],
+                "internalType": "struct Multicall3.Call3[]",
+                "name": "calls",
+                "type": "tuple[]"
+            }
+        ],
+        "name": "aggregate3",
+        "outputs": [
+            {
+                "components": [
+                    {"internalType": "bool", "name": "success", "type": "bool"},
+                    {"internalType": "bytes", "name": "returnData", "type": "bytes"}
+                ],
+                "internalType": "struct Multicall3.Result[]",
+                "name": "returnData",
+                "type": "tuple[]"
+            }
+        ],
+        "stateMutability": "payable",
+        "type": "function"
+    }
+];
@@ -0,0 +1,116 @@
+/**
+ * Amount Formatting
+ * Display strings for wei amounts and item quantities, rounded with BigInt so large stacks stay exact
+ */
+
+import { config } from '../../config/index.js';
+
+const COMPACT_SUFFIXES = ['', 'K', 'M', 'B', 'T'];
+
+function toBigInt(value) {
+    return typeof value === 'bigint' ? value : BigInt(value.toString());
+}
+
+function groupThousands(digits, separator) {
+    return separator ? digits.replace(/\B(?=(\d{3})+(?!\d))/g, separator) : digits;
+}
+
+/**
+ * Round integer units to fractionDigits (half up) and split into integer and fraction digits
+ */
+function roundUnits(units, decimals, fractionDigits) {
+    const dropped = Math.max(0, decimals - fractionDigits);
+    const scale = 10n ** BigInt(dropped);
+    const rounded = (units + scale / 2n) / scale;
+
+    const shownDecimals = decimals - dropped;
+    const digits = rounded.toString().padStart(shownDecimals + 1, '0');
+
+    return {
+        integerPart: digits.slice(0, digits.length - shownDecimals),
+        fractionPart: digits.slice(digits.length - shownDecimals),
+        isZero: rounded === 0n
+    };
+}
+
+/**
+ * Wei (or any integer units) to a display string.
+ *
+ * Options, defaulting to app.ui.amounts:
+ *   unitDecimals        decimals of the token, 18 for wei
+ *   decimals            maximum fraction digits shown
+ *   minDecimals         fraction digits kept even when they are zeros
+ *   thousandsSeparator  '' to leave the integer part ungrouped
+ *   compact             1.25K / 3.4M / 2B, with compactDecimals fraction digits
+ *
+ * Non-zero amounts too small to show come out as "<0.0001" rather than "0".
+ */
+export function formatAmount(units, options = {}) {
+    const {
+        unitDecimals = 18,
+        decimals = config.get('app.ui.amounts.decimals'),
+        minDecimals = 0,
+        thousandsSeparator = config.get('app.ui.amounts.thousandsSeparator'),
+        compact = false,
+        compactDecimals = config.get('app.ui.amounts.compactDecimals')
+    } = options;
+
+    const value = toBigInt(units);
+    const sign = value < 0n ? '-' : '';
+    const magnitude = value < 0n ? -value : value;
+
+    let scaleDecimals = unitDecimals;
+    let suffix = '';
+    let fractionDigits = decimals;
+
+    if (compact) {
+        const one = 10n ** BigInt(unitDecimals);
+        let index = 0;
+
+        while (index < COMPACT_SUFFIXES.length - 1 && magnitude >= one * 1000n ** BigInt(index + 1)) {
+            index++;
+        }
+
+        if (index > 0) {
+            scaleDecimals += index * 3;
+            suffix = COMPACT_SUFFIXES[index];
+            fractionDigits = compactDecimals;
+        }
+    }
+
+    const { integerPart, fractionPart, isZero } = roundUnits(magnitude, scaleDecimals, fractionDigits);
+
+    if (isZero && magnitude > 0n) {
+        const smallest = fractionDigits > 0 ? `0.${'0'.repeat(fractionDigits - 1)}1` : '1';
+        return `${sign}<${smallest}`;
+    }
+
+    let fraction = fractionPart.replace(/0+$/, '');
+    if (fraction.length < minDecimals) {
+        fraction = fractionPart.slice(0, minDecimals).padEnd(minDecimals, '0');
+    }
+
+    const integer = groupThousands(integerPart, thousandsSeparator);
+    return `${isZero ? '' : sign}${integer}${fraction ? `.${fraction}` : ''}${suffix}`;
+}
+
+/**
+ * Prices are shown to the last wei, they are what the order book matches on
+ */
+export function formatPrice(priceWei, options = {}) {
+    return formatAmount(priceWei, { decimals: options.unitDecimals ?? 18, ...options });
+}
+
+/**
+ * Whole item quantities, grouped and optionally compact
+ */
+export function formatQuantity(quantity, options = {}) {
+    return formatAmount(quantity, { ...options, unitDecimals: 0, decimals: 0 });
+}
+
+/**
+ * Price times quantity in wei, exact for any stack size
+ */
+export function orderTotal(priceWei, quantity) {
+    return toBigInt(priceWei) * toBigInt(quantity);
+}
@@ -0,0 +1,104 @@
+/**
+ * Price Math
+ * Decimal-string and wei (BigInt) price handling that never goes through JS floats
+ */
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d*))?$|^\.(\d+)$/;
+const EXPONENT_PATTERN = /^(\d+(?:\.\d*)?|\.\d+)e([+-]?\d+)$/i;
+
+/**
+ * Canonical decimal string ("1e-7" -> "0.0000001", "01.50" -> "1.5"), null when not a non-negative number
+ */
+export function normalizeDecimal(value) {
+    if (value === null || value === undefined) return null;
+
+    let text = typeof value === 'bigint' ? value.toString() : String(value).trim();
+
+    // Number#toString switches to exponent notation for very small and very large values
+    const exponentMatch = text.match(EXPONENT_PATTERN);
+    if (exponentMatch) {
+        text = shiftDecimal(exponentMatch[1], parseInt(exponentMatch[2], 10));
+    }
+
+    const match = text.match(DECIMAL_PATTERN);
+    if (!match) return null;
+
+    const integerPart = (match[1] ?? '0').replace(/^0+(?=\d)/, '');
+    const fractionPart = (match[2] ?? match[3] ?? '').replace(/0+$/, '');
+
+    return fractionPart ? `${integerPart}.${fractionPart}` : integerPart;
+}
+
+function shiftDecimal(mantissa, exponent) {
+    const [integerPart, fractionPart = ''] = mantissa.split('.');
+    let digits = integerPart + fractionPart;
+    let pointIndex = integerPart.length + exponent;
+
+    if (pointIndex <= 0) {
+        digits = '0'.repeat(1 - pointIndex) + digits;
+        pointIndex = 1;
+    } else if (pointIndex > digits.length) {
+        digits = digits + '0'.repeat(pointIndex - digits.length);
+    }
+
+    return `${digits.slice(0, pointIndex)}.${digits.slice(pointIndex)}`;
+}
+
+/**
+ * Decimal string to integer units (wei for 18 decimals)
+ */
+export function parseUnits(value, decimals = 18) {
+    const normalized = normalizeDecimal(value);
+    if (normalized === null) {
+        throw new Error(`Invalid decimal value: ${value}`);
+    }
+
+    const [integerPart, fractionPart = ''] = normalized.split('.');
+    if (fractionPart.length > decimals) {
+        throw new Error(`Too many decimal places in ${normalized}, maximum is ${decimals}`);
+    }
+
+    return BigInt(integerPart + fractionPart.padEnd(decimals, '0'));
+}
+
+/**
+ * Integer units back to a trimmed decimal string
+ */
+export function formatUnits(units, decimals = 18) {
+    const value = BigInt(units);
+    const sign = value < 0n ? '-' : '';
+    const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+
+    const integerPart = digits.slice(0, digits.length - decimals);
+    const fractionPart = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    return `${sign}${integerPart}${fractionPart ? `.${fractionPart}` : ''}`;
+}
+
+export function isOnTick(units, tick) {
+    const tickUnits = BigInt(tick);
+    return tickUnits === 0n || BigInt(units) % tickUnits === 0n;
+}
+
+/**
+ * Round to a multiple of the tick, mode is 'down' or 'up'
+ */
+export function roundToTick(units, tick, mode = 'down') {
+    const value = BigInt(units);
+    const tickUnits = BigInt(tick);
+
+    if (tickUnits === 0n) return value;
+
+    const remainder = value % tickUnits;
+    if (remainder === 0n) return value;
+
+    const roundedDown = value - remainder;
+    return mode === 'up' ? roundedDown + tickUnits : roundedDown;
+}
+
+/**
+ * Rounding mode that keeps an order on the safe side of the tick: sells round down, bids round up
+ */
+export function roundingModeForSide(side) {
+    return side === 'buy' ? 'up' : 'down';
+}
@@ -0,0 +1,85 @@
+/**
+ * Pricing Strategies
+ * Pure functions from an OrderBook to a sell price in wei, so they can be tested without a wallet.
+ * Ticks and percentages are passed in by the caller, nothing here reads the config.
+ */
+
+import { roundToTick, roundingModeForSide } from './PriceMath.js';
+
+const BPS_DENOMINATOR = 10000n;
+
+function toBps(percent) {
+    return BigInt(Math.round(Number(percent) * 100));
+}
+
+function positiveOrNull(priceWei) {
+    return priceWei > 0n ? priceWei.toString() : null;
+}
+
+/**
+ * Undercut the lowest ask by one tick, null without a tick to undercut by
+ */
+export function undercutByTick(orderBook, { tick = 0n } = {}) {
+    if (!orderBook.bestAsk || BigInt(tick) === 0n) return null;
+    return positiveOrNull(BigInt(orderBook.bestAsk.price) - BigInt(tick));
+}
+
+/**
+ * Match the lowest ask exactly
+ */
+export function matchLowestAsk(orderBook) {
+    return orderBook.bestAsk ? orderBook.bestAsk.price : null;
+}
+
+/**
+ * Midpoint between the highest bid and the lowest ask
+ */
+export function midpoint(orderBook) {
+    return orderBook.midpoint;
+}
+
+/**
+ * Fixed percentage markup over the highest bid
+ */
+export function markupOverBid(orderBook, { markupPercent = 0 } = {}) {
+    if (!orderBook.bestBid) return null;
+
+    const bid = BigInt(orderBook.bestBid.price);
+    return positiveOrNull(bid * (BPS_DENOMINATOR + toBps(markupPercent)) / BPS_DENOMINATOR);
+}
+
+/**
+ * Fixed percentage below the floor (lowest ask)
+ */
+export function percentBelowFloor(orderBook, { belowFloorPercent = 0 } = {}) {
+    if (!orderBook.bestAsk) return null;
+
+    const floor = BigInt(orderBook.bestAsk.price);
+    return positiveOrNull(floor * (BPS_DENOMINATOR - toBps(belowFloorPercent)) / BPS_DENOMINATOR);
+}
+
+export const PRICING_STRATEGIES = Object.freeze({
+    undercut: { label: 'Undercut lowest ask by a tick', price: undercutByTick },
+    matchAsk: { label: 'Match lowest ask', price: matchLowestAsk },
+    midpoint: { label: 'Midpoint of bid and ask', price: midpoint },
+    markupOverBid: { label: 'Markup over highest bid', price: markupOverBid },
+    belowFloor: { label: 'Percentage below floor', price: percentBelowFloor }
+});
+
+/**
+ * Price an order book with a named strategy, returns a wei string or null when the book can't support it.
+ * With the token's tick the price is rounded onto it, sells down and bids up, so the contract accepts it.
+ */
+export function resolvePrice(strategyId, orderBook, options = {}) {
+    const strategy = PRICING_STRATEGIES[strategyId];
+
+    if (!strategy) {
+        throw new Error(`Unknown pricing strategy: ${strategyId}`);
+    }
+
+    const priceWei = strategy.price(orderBook, options);
+    if (priceWei === null) return null;
+
+    const { tick = 0n, side = 'sell' } = options;
+    return positiveOrNull(roundToTick(priceWei, tick, roundingModeForSide(side)));
+}
@@ -0,0 +1,104 @@
+/**
+ * Key-Value Storage
+ * Promise-based get/set/delete over an IndexedDB object store, with an in-memory
+ * fallback where IndexedDB is missing (Node, some private browsing modes)
+ */
+
+/**
+ * One object store with out-of-line keys. `version` is the IndexedDB layout version,
+ * what is stored in the records is versioned by the caller.
+ */
+export class IndexedDbStorage {
+    #indexedDB;
+    #databaseName;
+    #storeName;
+    #version;
+    #database = null;
+
+    constructor(indexedDB, databaseName, { storeName = 'state', version = 1 } = {}) {
+        this.#indexedDB = indexedDB;
+        this.#databaseName = databaseName;
+        this.#storeName = storeName;
+        this.#version = version;
+    }
+
+    get(key) {
+        return this.#run('readonly', store => store.get(key));
+    }
+
+    async set(key, value) {
+        await this.#run('readwrite', store => store.put(value, key));
+    }
+
+    async delete(key) {
+        await this.#run('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.#run('readwrite', store => store.clear());
+    }
+
+    #open() {
+        if (!this.#database) {
+            this.#database = new Promise((resolve, reject) => {
+                const request = this.#indexedDB.open(this.#databaseName, this.#version);
+
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+                    if (!database.objectStoreNames.contains(this.#storeName)) {
+                        database.createObjectStore(this.#storeName);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`${this.#databaseName} is open in another tab with an older version`));
+            });
+
+            // Let a later call try again instead of keeping the failure
+            this.#database.catch(() => { this.#database = null; });
+        }
+
+        return this.#database;
+    }
+
+    async #run(mode, operation) {
+        const database = await this.#open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.#storeName, mode);
+            const request = operation(transaction.objectStore(this.#storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+        });
+    }
+}
+
+/**
+ * Same interface kept in a Map, values are copied like IndexedDB does
+ */
+export class MemoryStorage {
+    #entries = new Map();
+
+    async get(key) {
+        return this.#entries.has(key) ? structuredClone(this.#entries.get(key)) : undefined;
+    }
+
+    async set(key, value) {
+        this.#entries.set(key, structuredClone(value));
+    }
+
+    async delete(key) {
+        this.#entries.delete(key);
+    }
+
+    async clear() {
+        this.#entries.clear();
+    }
+}
+
+export function createStorage(databaseName) {
+    const indexedDB = globalThis.indexedDB;
+    return indexedDB ? new IndexedDbStorage(indexedDB, databaseName) : new MemoryStorage();
+}
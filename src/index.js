@@ -1,14 +1,27 @@
 // Estfor Sell Orders - Simple HTTP Server
 // Default Port: 3080
 // Access at: http://localhost:3080
+// Static files plus the cached REST API under /api (see src/server/ApiRouter.js)
 
-const http = require('http');
-const fs = require('fs');
-const path = require('path');
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { config } from './config/index.js';
+import { ApiRouter } from './server/ApiRouter.js';
 
-const PORT = process.env.PORT || 3080;
+const PORT = process.env.PORT || config.get('server.port');
+
+const apiRouter = new ApiRouter(ethers);
+
+// Expired per-address entries would otherwise stay around until restart
+setInterval(() => apiRouter.cache.prune(), 60000).unref();
+
+const server = http.createServer(async (req, res) => {
+    if (await apiRouter.handle(req, res)) {
+        return;
+    }
 
-const server = http.createServer((req, res) => {
     let filePath = '.' + req.url;
 
     if (filePath === './') {
@@ -59,4 +72,5 @@ server.listen(PORT, () => {
     console.log(`Estfor Sell Orders server running on http://localhost:${PORT}`);
     console.log(`Main application: http://localhost:${PORT}/estfor-items-working.html`);
     console.log(`Simple version: http://localhost:${PORT}/public/index.html`);
+    console.log(`API: http://localhost:${PORT}/api/health`);
 });
\ No newline at end of file
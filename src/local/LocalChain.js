@@ -0,0 +1,465 @@
+/**
+ * Local Chain
+ * Scripted JSON-RPC responder standing in for Sonic. Answers the calls ethers makes for
+ * the marketplace proxy, the items ERC-1155, the quote token ERC-20 and Multicall3 from a
+ * LocalOrderBook, and mines every transaction into its own block straight away.
+ *
+ * Served over HTTP by src/local/index.js, or used in-process through request(), which
+ * makes it an EIP-1193 provider: new ethers.providers.Web3Provider(localChain)
+ */
+
+import { ERC1155_ABI, ERC20_ABI, MULTICALL3_ABI, ORDER_BOOK_ABI } from '../core/orderbook/abi.js';
+import { EIP1967_IMPLEMENTATION_SLOT } from '../core/orderbook/ContractInspector.js';
+import { REVERT_ERRORS } from '../core/errors/RevertDecoder.js';
+import { LocalOrderBook, RevertError } from './LocalOrderBook.js';
+
+const GAS_PRICE = 1000000000n; // 1 gwei
+const BLOCK_GAS_LIMIT = 30000000n;
+const BASE_GAS = 50000n;
+const GAS_PER_ORDER = 45000n;
+
+// Error code geth uses for reverts, ethers reads the revert data from error.data
+const REVERT_CODE = 3;
+
+export class LocalChain {
+    #ethers;
+    #chainId;
+    #addresses;
+    #accounts;
+    #orderBook;
+    #interfaces;
+    #blocks = [];
+    #transactions = new Map();
+    #receipts = new Map();
+    #nonces = new Map();
+
+    /**
+     * @param {object} ethers - ethers v5 library
+     * @param {object} options - chainId, contract addresses { marketplace, implementation,
+     *   items, quoteToken, multicall3 } and the unlocked accounts eth_sendTransaction accepts
+     */
+    constructor(ethers, { chainId, addresses, accounts = [] }) {
+        this.#ethers = ethers;
+        this.#chainId = chainId;
+        this.#addresses = Object.fromEntries(
+            Object.entries(addresses).map(([name, address]) => [name, address.toLowerCase()])
+        );
+        this.#accounts = accounts.map(account => ethers.utils.getAddress(account));
+        this.#orderBook = new LocalOrderBook(this.#addresses.marketplace);
+        this.#interfaces = {
+            orderBook: new ethers.utils.Interface(ORDER_BOOK_ABI),
+            items: new ethers.utils.Interface(ERC1155_ABI),
+            quoteToken: new ethers.utils.Interface(ERC20_ABI),
+            multicall: new ethers.utils.Interface(MULTICALL3_ABI),
+            errors: new ethers.utils.Interface(REVERT_ERRORS)
+        };
+
+        this.#mineBlock([]);
+    }
+
+    get orderBook() {
+        return this.#orderBook;
+    }
+
+    get chainId() {
+        return this.#chainId;
+    }
+
+    get blockNumber() {
+        return this.#blocks.length - 1;
+    }
+
+    /**
+     * EIP-1193 entry point, throws { code, message, data } like a wallet would
+     */
+    async request({ method, params = [] }) {
+        const response = this.#dispatch(method, params);
+
+        if (response.error) {
+            throw Object.assign(new Error(response.error.message), response.error);
+        }
+
+        return response.result;
+    }
+
+    /**
+     * JSON-RPC 2.0 entry point for the HTTP server, single calls and batches
+     */
+    handle(payload) {
+        if (Array.isArray(payload)) {
+            return payload.map(call => this.handle(call));
+        }
+
+        const { id = null, method, params = [] } = payload || {};
+        return { jsonrpc: '2.0', id, ...this.#dispatch(method, params) };
+    }
+
+    #dispatch(method, params) {
+        const handler = this.#methods[method];
+
+        if (!handler) {
+            return { error: { code: -32601, message: `Method ${method} is not supported by the local chain` } };
+        }
+
+        try {
+            return { result: handler(...params) };
+        } catch (error) {
+            if (error instanceof RevertError) {
+                return { error: { code: REVERT_CODE, message: `execution reverted: ${error.message}`, data: this.#encodeRevert(error) } };
+            }
+
+            return { error: { code: error.code ?? -32000, message: error.message } };
+        }
+    }
+
+    #methods = {
+        web3_clientVersion: () => 'estfor-local/1.0.0',
+        eth_chainId: () => this.#hex(this.#chainId),
+        net_version: () => String(this.#chainId),
+        eth_accounts: () => this.#accounts,
+        eth_requestAccounts: () => this.#accounts,
+        eth_blockNumber: () => this.#hex(this.blockNumber),
+        eth_gasPrice: () => this.#hex(GAS_PRICE),
+        eth_maxPriorityFeePerGas: () => this.#hex(GAS_PRICE),
+        eth_getBalance: address => this.#hex(this.#orderBook.nativeBalance(address)),
+        eth_getTransactionCount: address => this.#hex(this.#nonceOf(address)),
+        eth_getCode: address => this.#codeAt(address),
+        eth_getStorageAt: (address, slot) => this.#storageAt(address, slot),
+        eth_getBlockByNumber: tag => this.#blockByNumber(tag),
+        eth_getBlockByHash: hash => this.#blocks.find(block => block.hash === hash) ?? null,
+        eth_getTransactionByHash: hash => this.#transactions.get(hash) ?? null,
+        eth_getTransactionReceipt: hash => this.#receipts.get(hash) ?? null,
+        eth_call: tx => this.#orderBook.simulate(() => this.#call(tx.from, tx.to, tx.data)),
+        eth_estimateGas: tx => this.#hex(this.#orderBook.simulate(() => this.#estimate(tx.from, tx.to, tx.data))),
+        eth_sendRawTransaction: raw => this.#sendRaw(raw),
+        eth_sendTransaction: tx => this.#sendUnlocked(tx),
+        eth_feeHistory: () => ({ oldestBlock: this.#hex(this.blockNumber), baseFeePerGas: [this.#hex(GAS_PRICE)], gasUsedRatio: [0], reward: [] }),
+        wallet_switchEthereumChain: ({ chainId }) => {
+            if (Number(chainId) !== this.#chainId) {
+                throw Object.assign(new Error(`Unrecognized chain ${chainId}`), { code: 4902 });
+            }
+            return null;
+        },
+        wallet_addEthereumChain: () => null
+    };
+
+    // Contract dispatch
+
+    #call(from, to, data = '0x') {
+        const sender = (from || this.#ethers.constants.AddressZero).toLowerCase();
+
+        switch (to?.toLowerCase()) {
+            case this.#addresses.marketplace:
+                return this.#callOrderBook(sender, data);
+            case this.#addresses.items:
+                return this.#callItems(sender, data);
+            case this.#addresses.quoteToken:
+                return this.#callQuoteToken(sender, data);
+            case this.#addresses.multicall3:
+                return this.#callMulticall(sender, data);
+            default:
+                return '0x'; // An account without code
+        }
+    }
+
+    #callOrderBook(sender, data) {
+        const contract = this.#interfaces.orderBook;
+        const { name, args } = this.#parse(contract, data);
+        const book = this.#orderBook;
+
+        const results = {
+            limitOrders: () => book.limitOrders(sender, args.orders),
+            cancelOrders: () => book.cancelOrders(sender, args.orderIds, args.orders),
+            claimAll: () => book.claimAll(sender, args.brushOrderIds, args.nftOrderIds),
+            claimTokens: () => book.claimAll(sender, args.orderIds, []),
+            claimNFTs: () => book.claimAll(sender, [], args.orderIds),
+            getLowestAsk: () => [this.#uint(book.getLowestAsk(args.tokenId))],
+            getHighestBid: () => [this.#uint(book.getHighestBid(args.tokenId))],
+            getTokenIdInfo: () => {
+                const { tick, minQuantity } = book.getTokenIdInfo(args.tokenId);
+                return [{ tick: this.#uint(tick), minQuantity: this.#uint(minQuantity) }];
+            },
+            allOrdersAtPrice: () => [book.allOrdersAtPrice(args.side, args.tokenId, args.price).map(order => ({
+                maker: order.maker,
+                quantity: this.#uint(order.quantity),
+                id: this.#uint(order.id)
+            }))],
+            tokensClaimable: () => [this.#uint(book.tokensClaimable(args.orderIds))],
+            nftsClaimable: () => [book.nftsClaimable(args.orderIds).map(amount => this.#uint(amount))]
+        };
+
+        return contract.encodeFunctionResult(name, results[name]() ?? []);
+    }
+
+    #callItems(sender, data) {
+        const contract = this.#interfaces.items;
+        const { name, args } = this.#parse(contract, data);
+        const book = this.#orderBook;
+
+        const results = {
+            balanceOf: () => [this.#uint(book.balanceOf(args.account, args.id))],
+            balanceOfBatch: () => {
+                if (args.accounts.length !== args.ids.length) {
+                    throw new RevertError('LengthMismatch');
+                }
+                return [args.accounts.map((account, index) => this.#uint(book.balanceOf(account, args.ids[index])))];
+            },
+            isApprovedForAll: () => [book.isApprovedForAll(args.account, args.operator)],
+            setApprovalForAll: () => book.setApprovalForAll(sender, args.operator, args.approved)
+        };
+
+        return contract.encodeFunctionResult(name, results[name]() ?? []);
+    }
+
+    #callQuoteToken(sender, data) {
+        const contract = this.#interfaces.quoteToken;
+        const { name, args } = this.#parse(contract, data);
+        const book = this.#orderBook;
+
+        const results = {
+            balanceOf: () => [this.#uint(book.quoteBalance(args.account))],
+            allowance: () => [this.#uint(book.allowance(args.owner, args.spender))],
+            approve: () => {
+                book.approve(sender, args.spender, args.amount);
+                return [true];
+            }
+        };
+
+        return contract.encodeFunctionResult(name, results[name]());
+    }
+
+    #callMulticall(sender, data) {
+        const contract = this.#interfaces.multicall;
+        const { args } = this.#parse(contract, data);
+
+        const returnData = args.calls.map(call => {
+            try {
+                return { success: true, returnData: this.#call(sender, call.target, call.callData) };
+            } catch (error) {
+                if (!(error instanceof RevertError) || !call.allowFailure) throw error;
+                return { success: false, returnData: this.#encodeRevert(error) };
+            }
+        });
+
+        return contract.encodeFunctionResult('aggregate3', [returnData]);
+    }
+
+    #parse(contract, data) {
+        try {
+            const { name, args } = contract.parseTransaction({ data });
+            return { name, args };
+        } catch {
+            // Unknown selector, a real contract without a fallback reverts with no data
+            throw new RevertError('UnknownSelector');
+        }
+    }
+
+    #estimate(from, to, data) {
+        this.#call(from, to, data);
+
+        if (to?.toLowerCase() === this.#addresses.marketplace) {
+            const { name, args } = this.#parse(this.#interfaces.orderBook, data);
+            const size = BigInt((args.orders ?? args.orderIds ?? args.brushOrderIds ?? []).length);
+            return BASE_GAS + GAS_PER_ORDER * (name === 'claimAll' ? size + BigInt(args.nftOrderIds.length) : size);
+        }
+
+        return BASE_GAS;
+    }
+
+    // Transactions
+
+    #sendRaw(raw) {
+        const tx = this.#ethers.utils.parseTransaction(raw);
+
+        if (tx.chainId !== this.#chainId) {
+            throw new Error(`Transaction is for chain ${tx.chainId}, this is chain ${this.#chainId}`);
+        }
+
+        return this.#mine({
+            hash: this.#ethers.utils.keccak256(raw),
+            from: tx.from,
+            to: tx.to,
+            data: tx.data,
+            value: tx.value.toHexString(),
+            nonce: tx.nonce,
+            gas: BigInt(tx.gasLimit.toString())
+        });
+    }
+
+    // Dev accounts are unlocked, the same as a hardhat node
+    #sendUnlocked(tx) {
+        if (!this.#accounts.some(account => account.toLowerCase() === tx.from?.toLowerCase())) {
+            throw new Error(`Account ${tx.from} is not unlocked on the local chain`);
+        }
+
+        return this.#mine({
+            from: tx.from,
+            to: tx.to,
+            data: tx.data || '0x',
+            value: tx.value || '0x0',
+            nonce: tx.nonce !== undefined ? Number(tx.nonce) : this.#nonceOf(tx.from),
+            gas: tx.gas ? BigInt(tx.gas) : BLOCK_GAS_LIMIT
+        });
+    }
+
+    #mine(tx) {
+        const from = this.#ethers.utils.getAddress(tx.from);
+        const expectedNonce = this.#nonceOf(from);
+
+        if (tx.nonce !== expectedNonce) {
+            throw new Error(`Nonce ${tx.nonce} for ${from} does not match the next nonce ${expectedNonce}`);
+        }
+
+        this.#nonces.set(from.toLowerCase(), expectedNonce + 1);
+
+        const hash = tx.hash ?? this.#ethers.utils.id(`${from}:${tx.nonce}:${this.#chainId}`);
+        const blockNumber = this.blockNumber + 1;
+        let status = 1;
+        let gasUsed;
+
+        // A revert is mined with status 0 and leaves no other trace, like on chain
+        try {
+            gasUsed = this.#orderBook.atomically(() => {
+                const value = BigInt(tx.value);
+                if (value > 0n) {
+                    this.#orderBook.transferNative(from, tx.to, value);
+                }
+                return this.#estimate(from, tx.to, tx.data);
+            });
+        } catch (error) {
+            if (!(error instanceof RevertError)) throw error;
+
+            console.warn(`Transaction ${hash} reverted: ${error.message}`);
+            status = 0;
+            gasUsed = BASE_GAS;
+        }
+
+        const block = this.#mineBlock([hash]);
+
+        this.#transactions.set(hash, {
+            hash,
+            from,
+            to: tx.to,
+            input: tx.data,
+            value: this.#hex(BigInt(tx.value)),
+            nonce: this.#hex(tx.nonce),
+            gas: this.#hex(tx.gas),
+            gasPrice: this.#hex(GAS_PRICE),
+            chainId: this.#hex(this.#chainId),
+            type: '0x0',
+            blockHash: block.hash,
+            blockNumber: block.number,
+            transactionIndex: '0x0'
+        });
+
+        this.#receipts.set(hash, {
+            transactionHash: hash,
+            transactionIndex: '0x0',
+            blockHash: block.hash,
+            blockNumber: this.#hex(blockNumber),
+            from,
+            to: tx.to,
+            contractAddress: null,
+            cumulativeGasUsed: this.#hex(gasUsed),
+            gasUsed: this.#hex(gasUsed),
+            effectiveGasPrice: this.#hex(GAS_PRICE),
+            logs: [],
+            logsBloom: '0x' + '00'.repeat(256),
+            status: this.#hex(status),
+            type: '0x0'
+        });
+
+        return hash;
+    }
+
+    #mineBlock(transactions) {
+        const number = this.#blocks.length;
+        const parent = this.#blocks[number - 1];
+
+        const block = {
+            number: this.#hex(number),
+            hash: this.#ethers.utils.id(`local-block:${number}`),
+            parentHash: parent?.hash ?? this.#ethers.constants.HashZero,
+            timestamp: this.#hex(Math.floor(Date.now() / 1000)),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: this.#hex(BLOCK_GAS_LIMIT),
+            gasUsed: '0x0',
+            baseFeePerGas: this.#hex(GAS_PRICE),
+            miner: this.#ethers.constants.AddressZero,
+            extraData: '0x',
+            transactions
+        };
+
+        this.#blocks.push(block);
+        return block;
+    }
+
+    #blockByNumber(tag) {
+        if (tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') {
+            return this.#blocks[this.blockNumber];
+        }
+
+        return this.#blocks[tag === 'earliest' ? 0 : Number(tag)] ?? null;
+    }
+
+    #nonceOf(address) {
+        return this.#nonces.get(address.toLowerCase()) ?? 0;
+    }
+
+    // Code
+
+    #codeAt(address) {
+        switch (address.toLowerCase()) {
+            case this.#addresses.marketplace:
+            case this.#addresses.items:
+            case this.#addresses.quoteToken:
+            case this.#addresses.multicall3:
+                return '0x6080604052';
+            case this.#addresses.implementation:
+                return this.#implementationCode();
+            default:
+                return '0x';
+        }
+    }
+
+    // PUSH4 <selector> for each function, enough for ContractInspector to find them
+    #implementationCode() {
+        const contract = this.#interfaces.orderBook;
+        const selectors = Object.values(contract.functions).map(fragment => `63${contract.getSighash(fragment).slice(2)}`);
+
+        return `0x6080604052${selectors.join('')}`;
+    }
+
+    #storageAt(address, slot) {
+        const isImplementationSlot = this.#ethers.BigNumber.from(slot).eq(EIP1967_IMPLEMENTATION_SLOT);
+
+        if (address.toLowerCase() === this.#addresses.marketplace && isImplementationSlot) {
+            return this.#ethers.utils.hexZeroPad(this.#addresses.implementation, 32);
+        }
+
+        return this.#ethers.constants.HashZero;
+    }
+
+    // Encoding
+
+    #encodeRevert(error) {
+        try {
+            return this.#interfaces.errors.encodeErrorResult(error.errorName, error.args.map(arg => this.#abiValue(arg)));
+        } catch {
+            return '0x';
+        }
+    }
+
+    #abiValue(value) {
+        return typeof value === 'bigint' ? this.#uint(value) : value;
+    }
+
+    #uint(value) {
+        return this.#ethers.BigNumber.from(value.toString());
+    }
+
+    #hex(value) {
+        return '0x' + BigInt(value).toString(16);
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Local Estfor API
+ * Fake api.estfor.com for the local stand-in. Items come from fixtures, orders and
+ * player holdings are read from the LocalChain so they always agree with the RPC.
+ *
+ *   GET /health
+ *   GET /items
+ *   GET /orders?tokenId=1&maker=0x...   (both filters optional)
+ *   GET /players/:address/items
+ */
+
+export class LocalEstforApi {
+    #chain;
+    #items;
+
+    #routes = [
+        { pattern: /^\/health$/, handler: () => this.#health() },
+        { pattern: /^\/items$/, handler: () => this.#items },
+        { pattern: /^\/orders$/, handler: params => this.#orders(params) },
+        { pattern: /^\/players\/(0x[0-9a-fA-F]{40})\/items$/, handler: (params, [address]) => this.#playerItems(address) }
+    ];
+
+    /**
+     * @param {LocalChain} chain - chain whose order book backs /orders and /players
+     * @param {Array} items - item catalogue in the api.estfor.com /items format
+     */
+    constructor(chain, items) {
+        this.#chain = chain;
+        this.#items = items;
+    }
+
+    /**
+     * Response for a GET path, null when the path is not part of the API
+     */
+    handle(pathname, searchParams) {
+        const route = this.#routes.find(({ pattern }) => pattern.test(pathname));
+        if (!route) {
+            return null;
+        }
+
+        const match = pathname.match(route.pattern).slice(1);
+        return { status: 200, body: route.handler(searchParams, match) };
+    }
+
+    #health() {
+        return { ok: true, environment: 'local', chainId: this.#chain.chainId, blockNumber: this.#chain.blockNumber };
+    }
+
+    // Filled and cancelled orders are kept with amountRemaining 0, as the real API does
+    #orders(params) {
+        const tokenId = params.get('tokenId');
+        const maker = params.get('maker')?.toLowerCase();
+
+        const orders = this.#chain.orderBook.allOrders()
+            .filter(order => (!tokenId || order.tokenId === tokenId) && (!maker || order.maker === maker))
+            .map(order => ({
+                id: order.id.toString(),
+                tokenId: Number(order.tokenId),
+                price: order.price.toString(),
+                quantity: order.originalQuantity.toString(),
+                amountRemaining: order.quantity.toString(),
+                isBuyOrder: order.side === 0,
+                maker: order.maker,
+                createdAt: new Date(order.createdAt).toISOString()
+            }));
+
+        return { orders };
+    }
+
+    #playerItems(address) {
+        return this.#chain.orderBook.itemsOf(address).map(({ tokenId, balance }) => ({
+            tokenId: Number(tokenId),
+            balance: balance.toString()
+        }));
+    }
+}
@@ -0,0 +1,424 @@
+/**
+ * Local Order Book
+ * In-memory stand-in for the Estfor OrderBook, the items ERC-1155, the quote token ERC-20
+ * and native balances.
+ * Follows the contract's rules closely enough for development and tests: price ticks,
+ * minimum quantities, price-time matching, escrow, claims and the same custom errors.
+ * All amounts are BigInt, addresses are lowercased.
+ */
+
+const SIDE_BUY = 0;
+const SIDE_SELL = 1;
+const MAX_CLAIM_ORDERS = 200;
+
+/**
+ * A contract revert: the custom error name and its arguments, encoded by LocalChain
+ */
+export class RevertError extends Error {
+    constructor(errorName, args = []) {
+        super(`${errorName}(${args.map(String).join(', ')})`);
+        this.name = 'RevertError';
+        this.errorName = errorName;
+        this.args = args;
+    }
+}
+
+// Accepts BigInt, numbers, decimal strings and ethers BigNumbers
+const big = value => BigInt(value.toString());
+const key = value => String(big(value));
+const address = value => value.toLowerCase();
+
+export class LocalOrderBook {
+    #marketplace;
+    #state = {
+        tokens: new Map(), // tokenId -> { tick, minQuantity }
+        items: new Map(), // `${account}:${tokenId}` -> amount
+        approvals: new Set(), // `${owner}:${operator}`
+        native: new Map(), // account -> amount
+        quote: new Map(), // account -> quote token amount
+        allowances: new Map(), // `${owner}:${spender}` -> quote token amount
+        orders: new Map(), // orderId -> order, kept after filling so claims can find the maker
+        tokensClaimable: new Map(), // sell orderId -> quote owed to its maker
+        nftsClaimable: new Map(), // buy orderId -> items owed to its maker
+        nextOrderId: 1n,
+        nextTimestamp: 0
+    };
+
+    constructor(marketplaceAddress) {
+        this.#marketplace = address(marketplaceAddress);
+    }
+
+    // Setup
+
+    setTokenInfo(tokenId, tick, minQuantity = 1n) {
+        this.#state.tokens.set(key(tokenId), { tick: big(tick), minQuantity: big(minQuantity) });
+    }
+
+    mint(account, tokenId, amount) {
+        this.#addItems(account, tokenId, big(amount));
+    }
+
+    setNativeBalance(account, amount) {
+        this.#state.native.set(address(account), big(amount));
+    }
+
+    setQuoteBalance(account, amount) {
+        this.#state.quote.set(address(account), big(amount));
+    }
+
+    /**
+     * Run fn against the state and keep the changes only when it doesn't revert
+     */
+    atomically(fn) {
+        const snapshot = structuredClone(this.#state);
+
+        try {
+            return fn();
+        } catch (error) {
+            this.#state = snapshot;
+            throw error;
+        }
+    }
+
+    // Run fn and throw its changes away, for eth_call and gas estimates
+    simulate(fn) {
+        const snapshot = structuredClone(this.#state);
+
+        try {
+            return fn();
+        } finally {
+            this.#state = snapshot;
+        }
+    }
+
+    // ERC-1155 and native balances
+
+    balanceOf(account, tokenId) {
+        return this.#state.items.get(`${address(account)}:${key(tokenId)}`) ?? 0n;
+    }
+
+    isApprovedForAll(owner, operator) {
+        return this.#state.approvals.has(`${address(owner)}:${address(operator)}`);
+    }
+
+    setApprovalForAll(owner, operator, approved) {
+        const approval = `${address(owner)}:${address(operator)}`;
+
+        if (approved) {
+            this.#state.approvals.add(approval);
+        } else {
+            this.#state.approvals.delete(approval);
+        }
+    }
+
+    nativeBalance(account) {
+        return this.#state.native.get(address(account)) ?? 0n;
+    }
+
+    transferNative(from, to, amount) {
+        this.#takeNative(from, big(amount));
+        this.#addNative(to, big(amount));
+    }
+
+    // Quote token balances and allowances
+
+    quoteBalance(account) {
+        return this.#state.quote.get(address(account)) ?? 0n;
+    }
+
+    allowance(owner, spender) {
+        return this.#state.allowances.get(`${address(owner)}:${address(spender)}`) ?? 0n;
+    }
+
+    approve(owner, spender, amount) {
+        this.#state.allowances.set(`${address(owner)}:${address(spender)}`, big(amount));
+    }
+
+    // Holdings of one account with a non-zero balance
+    itemsOf(account) {
+        const prefix = `${address(account)}:`;
+
+        return [...this.#state.items.entries()]
+            .filter(([itemKey, amount]) => itemKey.startsWith(prefix) && amount > 0n)
+            .map(([itemKey, amount]) => ({ tokenId: itemKey.slice(prefix.length), balance: amount }));
+    }
+
+    // Order book views
+
+    getTokenIdInfo(tokenId) {
+        return this.#state.tokens.get(key(tokenId)) ?? { tick: 0n, minQuantity: 0n };
+    }
+
+    getHighestBid(tokenId) {
+        return this.#openOrders(SIDE_BUY, tokenId).reduce((best, order) => order.price > best ? order.price : best, 0n);
+    }
+
+    getLowestAsk(tokenId) {
+        const asks = this.#openOrders(SIDE_SELL, tokenId);
+        return asks.reduce((best, order) => order.price < best ? order.price : best, asks[0]?.price ?? 0n);
+    }
+
+    allOrdersAtPrice(side, tokenId, price) {
+        return this.#openOrders(side, tokenId)
+            .filter(order => order.price === big(price))
+            .map(order => ({ maker: order.maker, quantity: order.quantity, id: order.id }));
+    }
+
+    tokensClaimable(orderIds) {
+        return orderIds.reduce((total, orderId) => total + (this.#state.tokensClaimable.get(key(orderId)) ?? 0n), 0n);
+    }
+
+    nftsClaimable(orderIds) {
+        return orderIds.map(orderId => this.#state.nftsClaimable.get(key(orderId)) ?? 0n);
+    }
+
+    // Every order ever placed, newest first, in the shape of the Estfor API
+    allOrders() {
+        return [...this.#state.orders.values()].sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Order book writes
+
+    limitOrders(sender, orders) {
+        for (const order of orders) {
+            this.#limitOrder(address(sender), {
+                side: Number(order.side),
+                tokenId: key(order.tokenId),
+                price: big(order.price),
+                quantity: big(order.quantity)
+            });
+        }
+    }
+
+    cancelOrders(sender, orderIds, orders) {
+        if (orderIds.length !== orders.length) {
+            throw new RevertError('LengthMismatch');
+        }
+
+        orderIds.forEach((orderId, index) => {
+            const level = orders[index];
+            const order = this.#state.orders.get(key(orderId));
+            const price = big(level.price);
+
+            if (!order || order.quantity === 0n || order.side !== Number(level.side) ||
+                order.tokenId !== key(level.tokenId) || order.price !== price) {
+                throw new RevertError('OrderNotFound', [big(orderId), price]);
+            }
+
+            if (order.maker !== address(sender)) {
+                throw new RevertError('NotMaker');
+            }
+
+            // Hand back what the order still had in escrow
+            if (order.side === SIDE_SELL) {
+                this.#addItems(order.maker, order.tokenId, order.quantity);
+            } else {
+                this.#addQuote(order.maker, order.quantity * order.price);
+            }
+
+            order.quantity = 0n;
+            order.cancelled = true;
+        });
+    }
+
+    claimAll(sender, brushOrderIds, nftOrderIds) {
+        if (brushOrderIds.length + nftOrderIds.length > MAX_CLAIM_ORDERS) {
+            throw new RevertError('ClaimingTooManyOrders');
+        }
+
+        const claimer = address(sender);
+        let claimed = false;
+
+        for (const orderId of brushOrderIds) {
+            const amount = this.#claimFrom(this.#state.tokensClaimable, orderId, claimer);
+            if (amount > 0n) {
+                this.#addQuote(claimer, amount);
+                claimed = true;
+            }
+        }
+
+        for (const orderId of nftOrderIds) {
+            const amount = this.#claimFrom(this.#state.nftsClaimable, orderId, claimer);
+            if (amount > 0n) {
+                this.#addItems(claimer, this.#state.orders.get(key(orderId)).tokenId, amount);
+                claimed = true;
+            }
+        }
+
+        if (!claimed) {
+            throw new RevertError('NothingToClaim');
+        }
+    }
+
+    #claimFrom(claimable, orderId, claimer) {
+        const order = this.#state.orders.get(key(orderId));
+
+        if (!order || order.maker !== claimer) {
+            throw new RevertError('NotMaker');
+        }
+
+        const amount = claimable.get(key(orderId)) ?? 0n;
+        claimable.delete(key(orderId));
+        return amount;
+    }
+
+    #limitOrder(maker, order) {
+        const info = this.#state.tokens.get(order.tokenId);
+
+        if (!info) {
+            throw new RevertError('TokenDoesntExist', [big(order.tokenId)]);
+        }
+        if (order.quantity === 0n) {
+            throw new RevertError('NoQuantity');
+        }
+        if (order.price === 0n) {
+            throw new RevertError('PriceZero');
+        }
+        if (info.tick > 0n && order.price % info.tick !== 0n) {
+            throw new RevertError('PriceNotMultipleOfTick', [info.tick]);
+        }
+
+        const remaining = order.side === SIDE_SELL
+            ? this.#matchSell(maker, order)
+            : this.#matchBuy(maker, order);
+
+        if (remaining === 0n) return;
+
+        if (remaining < info.minQuantity) {
+            throw new RevertError('QuantityRemainingTooLow');
+        }
+
+        const id = this.#state.nextOrderId++;
+        this.#state.orders.set(key(id), {
+            id,
+            maker,
+            side: order.side,
+            tokenId: order.tokenId,
+            price: order.price,
+            quantity: remaining,
+            originalQuantity: order.quantity,
+            cancelled: false,
+            createdAt: this.#now()
+        });
+    }
+
+    // Sells take the highest bids at or above their price, the rest rests as an ask
+    #matchSell(seller, order) {
+        if (!this.isApprovedForAll(seller, this.#marketplace)) {
+            throw new RevertError('ERC1155MissingApprovalForAll', [this.#marketplace, seller]);
+        }
+
+        const balance = this.balanceOf(seller, order.tokenId);
+        if (balance < order.quantity) {
+            throw new RevertError('ERC1155InsufficientBalance', [seller, balance, order.quantity, big(order.tokenId)]);
+        }
+
+        // Everything moves into the book, bid makers claim their share from there
+        this.#takeItems(seller, order.tokenId, order.quantity);
+
+        const bids = this.#openOrders(SIDE_BUY, order.tokenId)
+            .filter(bid => bid.price >= order.price)
+            .sort((a, b) => (a.price === b.price ? Number(a.id - b.id) : (b.price > a.price ? 1 : -1)));
+
+        let remaining = order.quantity;
+
+        for (const bid of bids) {
+            if (remaining === 0n) break;
+
+            const fill = remaining < bid.quantity ? remaining : bid.quantity;
+            bid.quantity -= fill;
+            remaining -= fill;
+
+            this.#state.nftsClaimable.set(key(bid.id), (this.#state.nftsClaimable.get(key(bid.id)) ?? 0n) + fill);
+            this.#addQuote(seller, fill * bid.price);
+        }
+
+        return remaining;
+    }
+
+    // Buys take the lowest asks at or below their price, the rest rests as a bid
+    #matchBuy(buyer, order) {
+        const escrow = order.price * order.quantity;
+
+        // Escrow comes in through transferFrom, so the marketplace needs an allowance first
+        const allowance = this.allowance(buyer, this.#marketplace);
+        if (allowance < escrow) {
+            throw new RevertError('ERC20InsufficientAllowance', [this.#marketplace, allowance, escrow]);
+        }
+
+        this.#takeQuote(buyer, escrow);
+        this.approve(buyer, this.#marketplace, allowance - escrow);
+
+        const asks = this.#openOrders(SIDE_SELL, order.tokenId)
+            .filter(ask => ask.price <= order.price)
+            .sort((a, b) => (a.price === b.price ? Number(a.id - b.id) : (a.price > b.price ? 1 : -1)));
+
+        let remaining = order.quantity;
+
+        for (const ask of asks) {
+            if (remaining === 0n) break;
+
+            const fill = remaining < ask.quantity ? remaining : ask.quantity;
+            ask.quantity -= fill;
+            remaining -= fill;
+
+            this.#state.tokensClaimable.set(key(ask.id), (this.#state.tokensClaimable.get(key(ask.id)) ?? 0n) + fill * ask.price);
+            this.#addItems(buyer, order.tokenId, fill);
+
+            // Filled below the limit price, refund the difference
+            this.#addQuote(buyer, fill * (order.price - ask.price));
+        }
+
+        return remaining;
+    }
+
+    #openOrders(side, tokenId) {
+        const id = key(tokenId);
+        return [...this.#state.orders.values()].filter(order =>
+            order.side === Number(side) && order.tokenId === id && order.quantity > 0n);
+    }
+
+    #addItems(account, tokenId, amount) {
+        const itemKey = `${address(account)}:${key(tokenId)}`;
+        this.#state.items.set(itemKey, (this.#state.items.get(itemKey) ?? 0n) + amount);
+    }
+
+    #takeItems(account, tokenId, amount) {
+        const itemKey = `${address(account)}:${key(tokenId)}`;
+        this.#state.items.set(itemKey, (this.#state.items.get(itemKey) ?? 0n) - amount);
+    }
+
+    #addNative(account, amount) {
+        this.#state.native.set(address(account), this.nativeBalance(account) + amount);
+    }
+
+    #takeNative(account, amount) {
+        const balance = this.nativeBalance(account);
+
+        if (balance < amount) {
+            throw new RevertError('ERC20InsufficientBalance', [address(account), balance, amount]);
+        }
+
+        this.#state.native.set(address(account), balance - amount);
+    }
+
+    #addQuote(account, amount) {
+        this.#state.quote.set(address(account), this.quoteBalance(account) + amount);
+    }
+
+    #takeQuote(account, amount) {
+        const balance = this.quoteBalance(account);
+
+        if (balance < amount) {
+            throw new RevertError('ERC20InsufficientBalance', [address(account), balance, amount]);
+        }
+
+        this.#state.quote.set(address(account), balance - amount);
+    }
+
+    // Strictly increasing so orders placed in one call keep their sequence
+    #now() {
+        this.#state.nextTimestamp = Math.max(Date.now(), this.#state.nextTimestamp + 1);
+        return this.#state.nextTimestamp;
+    }
+}
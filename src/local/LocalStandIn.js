@@ -0,0 +1,63 @@
+/**
+ * Local Stand-in
+ * Builds a LocalChain and LocalEstforApi from fixture data: token ticks, dev accounts
+ * with items, native and quote token balances, and resting orders from a market maker. Has no Node
+ * dependencies, so tests can create one in-process without starting the server.
+ */
+
+import { ORDER_SIDES } from '../core/orderbook/OrderBookCore.js';
+import { LocalChain } from './LocalChain.js';
+import { LocalEstforApi } from './LocalEstforApi.js';
+
+/**
+ * @param {object} ethers - ethers v5 library
+ * @param {object} options - chainId, addresses { marketplace, implementation, items,
+ *   quoteToken, multicall3 }, items (catalogue) and state ({ tokens, accounts, orders }, see fixtures)
+ * @returns {{ chain: LocalChain, api: LocalEstforApi }}
+ */
+export function createLocalStandIn(ethers, { chainId, addresses, items = [], state = {} }) {
+    const { tokens = [], accounts = [], orders = [] } = state;
+    const parse = value => BigInt(ethers.utils.parseEther(String(value)).toString());
+
+    const chain = new LocalChain(ethers, {
+        chainId,
+        addresses,
+        accounts: accounts.map(account => account.address)
+    });
+    const book = chain.orderBook;
+
+    for (const token of tokens) {
+        book.setTokenInfo(token.tokenId, parse(token.tick), token.minQuantity ?? 1);
+    }
+
+    for (const account of accounts) {
+        book.setNativeBalance(account.address, parse(account.native ?? 0));
+        book.setQuoteBalance(account.address, parse(account.quote ?? 0));
+
+        // Approved accounts have approved both the items and the quote token
+        book.setApprovalForAll(account.address, addresses.marketplace, Boolean(account.approved));
+        if (account.approved) {
+            book.approve(account.address, addresses.marketplace, BigInt(ethers.constants.MaxUint256.toString()));
+        }
+
+        for (const [tokenId, amount] of Object.entries(account.items ?? {})) {
+            book.mint(account.address, tokenId, amount);
+        }
+    }
+
+    // Placed through the order book rules, a fixture that breaks them fails loudly here
+    for (const order of orders) {
+        if (!(order.side in ORDER_SIDES)) {
+            throw new Error(`Fixture order for token ${order.tokenId} needs a side of buy or sell`);
+        }
+
+        book.atomically(() => book.limitOrders(order.maker, [{
+            side: ORDER_SIDES[order.side],
+            tokenId: order.tokenId,
+            price: parse(order.price),
+            quantity: order.quantity
+        }]));
+    }
+
+    return { chain, api: new LocalEstforApi(chain, items) };
+}
@@ -0,0 +1,108 @@
+// Estfor Local Stand-in - offline Sonic chain and Estfor API
+// Default Port: 8546 (config local.port)
+// JSON-RPC: POST http://127.0.0.1:8546/rpc
+// Estfor API: GET http://127.0.0.1:8546/items, /orders, /players/:address/items
+// Point the app, CLI or server at it with ESTFOR_ENV=local
+
+import http from 'http';
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { createLocalStandIn } from './LocalStandIn.js';
+
+// The stand-in serves the local environment, read its config even when ESTFOR_ENV is unset
+process.env.ESTFOR_ENV = process.env.ESTFOR_ENV || 'local';
+const { config } = await import('../config/index.js');
+
+const PORT = process.env.PORT || config.get('local.port');
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const readFixture = name => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8'));
+
+const { chain, api } = createLocalStandIn(ethers, {
+    chainId: config.get('networks.sonic.chainId'),
+    addresses: {
+        marketplace: config.getContractAddress('marketplace'),
+        implementation: config.get('contracts.marketplace.implementation'),
+        items: config.getContractAddress('items'),
+        quoteToken: config.getContractAddress('quoteToken'),
+        multicall3: config.getContractAddress('multicall3')
+    },
+    items: readFixture('items.json'),
+    state: readFixture('state.json')
+});
+
+// The browser app runs on another port, so every response allows cross-origin reads
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+async function handleRpc(req, res) {
+    let payload;
+
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendJson(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: `Parse error: ${error.message}` } });
+        return;
+    }
+
+    sendJson(res, 200, chain.handle(payload));
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'POST' && (url.pathname === '/rpc' || url.pathname === '/')) {
+        await handleRpc(req, res);
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        sendJson(res, 405, { error: `${req.method} is not supported` });
+        return;
+    }
+
+    const response = api.handle(url.pathname, url.searchParams);
+    if (!response) {
+        sendJson(res, 404, { error: `Unknown endpoint ${url.pathname}` });
+        return;
+    }
+
+    sendJson(res, response.status, response.body);
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Estfor local stand-in running on http://127.0.0.1:${PORT} (chain ${chain.chainId})`);
+    console.log(`JSON-RPC: http://127.0.0.1:${PORT}/rpc`);
+    console.log(`Estfor API: http://127.0.0.1:${PORT}/items`);
+    console.log('Dev accounts use the public test mnemonic "test test test test test test test test test test test junk"');
+});
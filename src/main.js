@@ -6,11 +6,20 @@
 import { config } from './config/index.js';
 import { appController } from './controllers/AppController.js';
 import { validator } from './security/InputValidator.js';
+import { PRICING_STRATEGIES, resolvePrice } from './core/pricing/PricingStrategy.js';
+import { formatUnits, parseUnits } from './core/pricing/PriceMath.js';
+import { formatAmount, formatPrice, formatQuantity, orderTotal } from './core/pricing/AmountFormat.js';
 
 class EstforMarketplaceApp {
     constructor() {
         this.isInitialized = false;
         this.selectedItems = new Set();
+        this.orderSide = 'sell';
+        this.expandedItems = new Set();
+        this.pricingStrategy = config.get('pricing.defaultStrategy');
+        this.itemStrategies = new Map();
+        this.draftPrices = new Map();
+        this.draftQuantities = new Map();
         this.uiElements = {};
     }
 
@@ -27,12 +36,15 @@ class EstforMarketplaceApp {
             // Set up event listeners
             this.#setupEventListeners();
 
+            // Show the last visit's catalogue, selection and drafts while fresh data loads
+            const restoredState = await appController.restoreState();
+            this.#restoreDrafts(restoredState);
+            this.#setupStateListeners();
+            this.#updateUI(restoredState);
+
             // Initialize application controller
             await appController.initialize();
 
-            // Set up state listeners
-            this.#setupStateListeners();
-
             // Show debug panel in development
             if (config.isDevelopment()) {
                 this.#showDebugPanel();
@@ -67,10 +79,13 @@ class EstforMarketplaceApp {
     #initializeUIElements() {
         const elements = [
             'wallet-btn', 'load-items-btn', 'load-orders-btn', 'load-player-items-btn',
-            'create-sell-orders-btn', 'select-all-checkbox', 'network-status',
+            'create-sell-orders-btn', 'cancel-orders-btn', 'select-all-checkbox', 'network-status',
             'loading-overlay', 'error-banner', 'success-banner', 'items-list',
             'items-count', 'last-updated', 'selected-count', 'debug-panel',
-            'debug-output', 'debug-toggle', 'debug-clear'
+            'debug-output', 'debug-toggle', 'debug-clear',
+            'user-orders-list', 'user-orders-count', 'load-user-orders-btn',
+            'claim-all-btn', 'order-side-select', 'pricing-strategy-select', 'apply-pricing-btn',
+            'modal-overlay', 'watch-address-input', 'watch-address-btn', 'portfolio-value'
         ];
 
         elements.forEach(id => {
@@ -79,6 +94,11 @@ class EstforMarketplaceApp {
                 console.warn(`UI element not found: ${id}`);
             }
         });
+
+        const strategySelect = this.uiElements['pricing-strategy-select'];
+        if (strategySelect) {
+            strategySelect.innerHTML = this.#renderStrategyOptions(this.pricingStrategy);
+        }
     }
 
     #setupEventListeners() {
@@ -87,6 +107,17 @@ class EstforMarketplaceApp {
             this.#handleWalletAction();
         });
 
+        // Read-only watch mode
+        this.uiElements['watch-address-btn']?.addEventListener('click', () => {
+            this.#handleWatchAction();
+        });
+
+        this.uiElements['watch-address-input']?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.#handleWatchAction();
+            }
+        });
+
         // Data loading
         this.uiElements['load-items-btn']?.addEventListener('click', () => {
             this.#loadItems();
@@ -100,9 +131,43 @@ class EstforMarketplaceApp {
             this.#loadPlayerItems();
         });
 
+        this.uiElements['load-user-orders-btn']?.addEventListener('click', () => {
+            this.#loadUserOrders();
+        });
+
+        this.uiElements['claim-all-btn']?.addEventListener('click', () => {
+            this.#claimAll();
+        });
+
+        // Per-order actions in the open orders panel
+        this.uiElements['user-orders-list']?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-order-action]');
+            if (button) {
+                this.#handleUserOrderAction(button.dataset.orderAction, button.dataset.orderId);
+            }
+        });
+
         // Order creation
         this.uiElements['create-sell-orders-btn']?.addEventListener('click', () => {
-            this.#createSellOrders();
+            this.#createOrders();
+        });
+
+        this.uiElements['order-side-select']?.addEventListener('change', (e) => {
+            this.#handleOrderSideChange(e.target.value);
+        });
+
+        // Pricing strategies
+        this.uiElements['pricing-strategy-select']?.addEventListener('change', (e) => {
+            this.pricingStrategy = e.target.value;
+        });
+
+        this.uiElements['apply-pricing-btn']?.addEventListener('click', () => {
+            this.#applyPricing();
+        });
+
+        // Order cancellation
+        this.uiElements['cancel-orders-btn']?.addEventListener('click', () => {
+            this.#cancelSelectedOrders();
         });
 
         // Select all functionality
@@ -157,7 +222,10 @@ class EstforMarketplaceApp {
         this.#updateWalletStatus(state.wallet);
 
         // Update items list
-        this.#updateItemsList(state.items, state.balances);
+        this.#updateItemsList(state.items, state.balances, state.orderBooks);
+
+        // Update open orders panel
+        this.#updateUserOrdersList(state.userOrders, state.items);
 
         // Update stats
         this.#updateStats(state);
@@ -172,7 +240,20 @@ class EstforMarketplaceApp {
 
         if (!statusEl || !btnEl) return;
 
-        if (wallet?.isConnected) {
+        const watchBtnEl = this.uiElements['watch-address-btn'];
+        if (watchBtnEl) {
+            watchBtnEl.textContent = wallet?.isReadOnly ? 'Stop Watching' : 'Watch';
+        }
+
+        if (wallet?.isConnected && wallet.isReadOnly) {
+            statusEl.innerHTML = `
+                <span class="status-indicator watching"></span>
+                <span class="status-text">Watching: ${wallet.shortAddress} (read-only)</span>
+            `;
+            btnEl.textContent = 'Connect Wallet';
+            btnEl.classList.remove('btn-secondary');
+            btnEl.classList.add('btn-primary');
+        } else if (wallet?.isConnected) {
             statusEl.innerHTML = `
                 <span class="status-indicator connected"></span>
                 <span class="status-text">Connected: ${wallet.shortAddress}</span>
@@ -191,7 +272,7 @@ class EstforMarketplaceApp {
         }
     }
 
-    #updateItemsList(items, balances) {
+    #updateItemsList(items, balances, orderBooks = new Map()) {
         const listEl = this.uiElements['items-list'];
         if (!listEl) return;
 
@@ -203,6 +284,12 @@ class EstforMarketplaceApp {
         const itemsHtml = items.map(item => {
             const balance = balances.get(item.id) || 0;
             const isSelected = this.selectedItems.has(item.id);
+            // Bids don't need the items, only sells are limited by balance
+            const isSelling = this.orderSide === 'sell';
+            const isDisabled = isSelling && balance === 0;
+            const orderBook = orderBooks.get(item.id);
+            const isExpanded = this.expandedItems.has(item.id);
+            const marketPrice = orderBook?.bestAsk ? formatPrice(orderBook.bestAsk.price) : '-';
 
             return `
                 <div class="item-row ${isSelected ? 'selected' : ''}" data-token-id="${item.id}">
@@ -218,18 +305,19 @@ class EstforMarketplaceApp {
                         <div class="item-details">
                             <div class="item-name" title="${item.name}">${item.name}</div>
                             <div class="item-tier">Tier ${item.tier}</div>
+                            <button class="depth-toggle" data-depth-toggle="${item.id}">${isExpanded ? 'Hide depth' : 'Show depth'}</button>
                         </div>
                     </div>
-                    <div class="balance-display ${balance === 0 ? 'zero' : ''}">${balance}</div>
-                    <div class="market-price">-</div>
+                    <div class="balance-display ${balance === 0 ? 'zero' : ''}">${formatQuantity(balance)}</div>
+                    <div class="market-price">${marketPrice}</div>
                     <div class="quantity-input">
                         <input type="number"
                                class="input-field qty-to-sell-input"
                                placeholder="0"
                                min="1"
-                               max="${balance}"
-                               value="${balance > 0 ? balance : ''}"
-                               ${balance === 0 ? 'disabled' : ''}>
+                               ${isSelling ? `max="${balance}"` : ''}
+                               value="${this.draftQuantities.get(item.id) ?? (isSelling && balance > 0 ? balance : '')}"
+                               ${isDisabled ? 'disabled' : ''}>
                     </div>
                     <div class="price-input">
                         <input type="number"
@@ -237,10 +325,12 @@ class EstforMarketplaceApp {
                                placeholder="0.00"
                                step="0.001"
                                min="0.000001"
-                               ${balance === 0 ? 'disabled' : ''}>
+                               value="${this.draftPrices.get(item.id) || ''}"
+                               ${isDisabled ? 'disabled' : ''}>
                     </div>
                     <div class="total-value">-</div>
                 </div>
+                ${isExpanded ? this.#renderDepthTable(item.id, orderBook) : ''}
             `;
         }).join('');
 
@@ -250,6 +340,178 @@ class EstforMarketplaceApp {
         this.#attachItemEventListeners();
     }
 
+    #updateUserOrdersList(userOrders, items) {
+        const listEl = this.uiElements['user-orders-list'];
+        if (!listEl) return;
+
+        if (this.uiElements['user-orders-count']) {
+            const count = userOrders.length;
+            this.uiElements['user-orders-count'].textContent = `${count} order${count !== 1 ? 's' : ''}`;
+        }
+
+        if (userOrders.length === 0) {
+            listEl.innerHTML = '<div class="no-items"><p>No open orders.</p></div>';
+            return;
+        }
+
+        const itemNames = new Map(items.map(item => [item.id, item.name]));
+        const canSign = appController.canSign;
+
+        listEl.innerHTML = userOrders.map(order => {
+            const name = itemNames.get(order.tokenId) || 'Unknown item';
+            const placedAt = order.placedAt ? new Date(order.placedAt).toLocaleString() : '-';
+
+            return `
+                <div class="order-row" data-order-id="${order.orderId}">
+                    <div class="item-name" title="${name}">${name} (#${order.tokenId})</div>
+                    <div class="order-side ${order.side}">${order.side.toUpperCase()}</div>
+                    <div class="market-price">${formatPrice(order.price)}</div>
+                    <div>${formatQuantity(order.remaining)}</div>
+                    <div>${formatQuantity(order.filled)} (${order.fillPercent}%)</div>
+                    <div>${placedAt}</div>
+                    <div class="order-actions">
+                        <button class="btn btn-small" data-order-action="reprice" data-order-id="${order.orderId}" ${canSign ? '' : 'disabled'}>Reprice</button>
+                        <button class="btn btn-small btn-danger" data-order-action="cancel" data-order-id="${order.orderId}" ${canSign ? '' : 'disabled'}>Cancel</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    #renderDepthTable(tokenId, orderBook) {
+        if (!orderBook) {
+            return `<div class="depth-row" data-depth-for="${tokenId}"><p class="depth-empty">Loading order book...</p></div>`;
+        }
+
+        const maxLevels = config.get('app.ui.depthLevels');
+        const bids = orderBook.depth('buy', maxLevels);
+        const asks = orderBook.depth('sell', maxLevels);
+        const rowCount = Math.max(bids.length, asks.length);
+
+        if (rowCount === 0) {
+            return `<div class="depth-row" data-depth-for="${tokenId}"><p class="depth-empty">No open orders for this item.</p></div>`;
+        }
+
+        const rows = Array.from({ length: rowCount }, (_, index) => {
+            const bid = bids[index];
+            const ask = asks[index];
+
+            return `
+                <tr>
+                    <td>${bid ? bid.orderCount : ''}</td>
+                    <td>${bid ? formatQuantity(bid.quantity) : ''}</td>
+                    <td class="depth-bid">${bid ? formatPrice(bid.price) : ''}</td>
+                    <td class="depth-ask">${ask ? formatPrice(ask.price) : ''}</td>
+                    <td>${ask ? formatQuantity(ask.quantity) : ''}</td>
+                    <td>${ask ? ask.orderCount : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const spread = orderBook.spread !== null ? formatPrice(orderBook.spread) : '-';
+        const globalLabel = PRICING_STRATEGIES[this.pricingStrategy]?.label || this.pricingStrategy;
+
+        return `
+            <div class="depth-row" data-depth-for="${tokenId}">
+                <label class="depth-strategy">
+                    Pricing
+                    <select class="input-field item-strategy-select" data-strategy-for="${tokenId}">
+                        <option value="">Global (${globalLabel})</option>
+                        ${this.#renderStrategyOptions(this.itemStrategies.get(tokenId))}
+                    </select>
+                </label>
+                <table class="depth-table">
+                    <thead>
+                        <tr>
+                            <th>Orders</th><th>Bid qty</th><th>Bid</th>
+                            <th>Ask</th><th>Ask qty</th><th>Orders</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="depth-summary">
+                    Spread: ${spread} &middot; Bids: ${orderBook.totalBidQuantity} &middot; Asks: ${orderBook.totalAskQuantity}
+                </div>
+            </div>
+        `;
+    }
+
+    #renderStrategyOptions(selectedId) {
+        return Object.entries(PRICING_STRATEGIES).map(([id, strategy]) =>
+            `<option value="${id}" ${id === selectedId ? 'selected' : ''}>${strategy.label}</option>`
+        ).join('');
+    }
+
+    async #priceFromStrategy(tokenId, orderBook) {
+        const strategyId = this.itemStrategies.get(tokenId) || this.pricingStrategy;
+        const pricing = config.get('pricing');
+
+        // The configured tick stands in while the token's can't be read
+        const priceWei = resolvePrice(strategyId, orderBook, {
+            tick: await appController.loadPriceTick(tokenId) || BigInt(pricing.tick),
+            side: this.orderSide === 'sell' ? 'sell' : 'buy',
+            markupPercent: pricing.markupPercent,
+            belowFloorPercent: pricing.belowFloorPercent
+        });
+
+        if (priceWei === null) {
+            return false;
+        }
+
+        this.draftPrices.set(tokenId, formatUnits(priceWei));
+        this.#saveDrafts();
+        return true;
+    }
+
+    async #applyPricing() {
+        if (this.selectedItems.size === 0) {
+            this.#showError('Please select items to price');
+            return;
+        }
+
+        const unpriced = [];
+
+        for (const tokenId of this.selectedItems) {
+            try {
+                const orderBook = appController.orderBooks.get(tokenId) || await appController.loadOrderBook(tokenId);
+
+                if (!await this.#priceFromStrategy(tokenId, orderBook)) {
+                    unpriced.push(tokenId);
+                }
+            } catch (error) {
+                console.warn(`Failed to price token ${tokenId}:`, error);
+                unpriced.push(tokenId);
+            }
+        }
+
+        this.#updateItemsList(appController.items, appController.balances, appController.orderBooks);
+
+        if (unpriced.length > 0) {
+            this.#showError(`No price for ${unpriced.length} items, their order books can't support the chosen strategy: #${unpriced.join(', #')}`);
+        } else {
+            this.#showSuccess(`Priced ${this.selectedItems.size} items`);
+        }
+    }
+
+    async #toggleDepth(tokenId) {
+        if (this.expandedItems.has(tokenId)) {
+            this.expandedItems.delete(tokenId);
+            this.#updateItemsList(appController.items, appController.balances, appController.orderBooks);
+            return;
+        }
+
+        this.expandedItems.add(tokenId);
+        this.#updateItemsList(appController.items, appController.balances, appController.orderBooks);
+
+        try {
+            // Loading the book updates state, which re-renders the expanded row
+            await appController.loadOrderBook(tokenId);
+        } catch (error) {
+            this.expandedItems.delete(tokenId);
+            this.#showError(`Failed to load order book: ${error.message}`);
+        }
+    }
+
     #attachItemEventListeners() {
         // Item selection
         document.querySelectorAll('.item-checkbox').forEach(checkbox => {
@@ -267,6 +529,48 @@ class EstforMarketplaceApp {
 
                 this.#updateSelectedCount();
                 this.#updateCreateOrdersButton();
+                this.#saveDrafts();
+            });
+        });
+
+        // Order book depth expander
+        document.querySelectorAll('.depth-toggle').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.#toggleDepth(parseInt(e.target.dataset.depthToggle));
+            });
+        });
+
+        // Per-item pricing strategy override
+        document.querySelectorAll('.item-strategy-select').forEach(select => {
+            select.addEventListener('change', async (e) => {
+                const tokenId = parseInt(e.target.dataset.strategyFor);
+
+                if (e.target.value) {
+                    this.itemStrategies.set(tokenId, e.target.value);
+                } else {
+                    this.itemStrategies.delete(tokenId);
+                }
+
+                const orderBook = appController.orderBooks.get(tokenId);
+
+                try {
+                    if (orderBook && await this.#priceFromStrategy(tokenId, orderBook)) {
+                        this.#updateItemsList(appController.items, appController.balances, appController.orderBooks);
+                    }
+                } catch (error) {
+                    this.#showError(`Failed to price token ${tokenId}: ${error.message}`);
+                }
+            });
+        });
+
+        // Keep typed prices and quantities across re-renders and reloads
+        document.querySelectorAll('.qty-to-sell-input, .sell-price-input').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const tokenId = parseInt(e.target.closest('.item-row').dataset.tokenId);
+                const drafts = e.target.classList.contains('sell-price-input') ? this.draftPrices : this.draftQuantities;
+
+                drafts.set(tokenId, e.target.value);
+                this.#saveDrafts();
             });
         });
 
@@ -277,8 +581,15 @@ class EstforMarketplaceApp {
                 this.#updateTotalValue(e.target.closest('.item-row'));
             });
 
-            input.addEventListener('blur', (e) => {
+            input.addEventListener('blur', async (e) => {
                 this.#validateInput(e.target);
+
+                // Fetch the tick size once per token, then check the price against it
+                if (e.target.classList.contains('sell-price-input') && e.target.value !== '') {
+                    const tokenId = parseInt(e.target.closest('.item-row').dataset.tokenId);
+                    await appController.loadPriceTick(tokenId);
+                    this.#validateInput(e.target);
+                }
             });
         });
     }
@@ -291,7 +602,14 @@ class EstforMarketplaceApp {
 
         if (value === '') return;
 
-        const validation = validator.validateInput(value, type);
+        const options = {};
+        if (type === 'price') {
+            const tokenId = parseInt(input.closest('.item-row')?.dataset.tokenId);
+            options.tick = appController.getPriceTick(tokenId);
+            options.side = this.orderSide === 'sell' ? 'sell' : 'buy';
+        }
+
+        const validation = validator.validateInput(value, type, options);
         if (!validation.isValid) {
             input.classList.add('error');
             input.title = validation.errors.join(', ');
@@ -305,12 +623,14 @@ class EstforMarketplaceApp {
         const priceInput = row.querySelector('.sell-price-input');
         const totalEl = row.querySelector('.total-value');
 
-        const qty = parseFloat(qtyInput.value) || 0;
-        const price = parseFloat(priceInput.value) || 0;
-        const total = qty * price;
+        const quantity = validator.validateInput(qtyInput.value, 'quantity');
+        const price = validator.validateInput(priceInput.value, 'price');
+        const total = quantity.isValid && price.isValid
+            ? orderTotal(parseUnits(price.sanitizedValue), quantity.sanitizedValue)
+            : 0n;
 
-        if (total > 0) {
-            totalEl.textContent = `${total.toFixed(4)} ETH`;
+        if (total > 0n) {
+            totalEl.textContent = `${formatAmount(total)} ${config.get('contracts.quoteToken.symbol')}`;
             totalEl.classList.add('total-value');
         } else {
             totalEl.textContent = '-';
@@ -318,6 +638,23 @@ class EstforMarketplaceApp {
         }
     }
 
+    #restoreDrafts(state) {
+        for (const [tokenId, draft] of state.drafts) {
+            if (draft.price !== null) this.draftPrices.set(tokenId, draft.price);
+            if (draft.quantity !== null) this.draftQuantities.set(tokenId, draft.quantity);
+        }
+
+        state.selectedItems.forEach(tokenId => this.selectedItems.add(tokenId));
+    }
+
+    #saveDrafts() {
+        appController.saveDrafts({
+            prices: this.draftPrices,
+            quantities: this.draftQuantities,
+            selected: this.selectedItems
+        });
+    }
+
     #updateSelectedCount() {
         const countEl = this.uiElements['selected-count'];
         if (countEl) {
@@ -327,10 +664,15 @@ class EstforMarketplaceApp {
     }
 
     #updateCreateOrdersButton() {
-        const btnEl = this.uiElements['create-sell-orders-btn'];
-        if (btnEl) {
-            btnEl.disabled = this.selectedItems.size === 0 || !appController.isConnected;
-        }
+        // Writes need a signer, a watched address is read-only
+        const isDisabled = this.selectedItems.size === 0 || !appController.canSign;
+
+        ['create-sell-orders-btn', 'cancel-orders-btn'].forEach(id => {
+            const btnEl = this.uiElements[id];
+            if (btnEl) {
+                btnEl.disabled = isDisabled;
+            }
+        });
     }
 
     #updateStats(state) {
@@ -338,6 +680,16 @@ class EstforMarketplaceApp {
             this.uiElements['items-count'].textContent = `${state.items.length} items`;
         }
 
+        const portfolioEl = this.uiElements['portfolio-value'];
+        if (portfolioEl) {
+            const { totalWei, pricedItems, unpricedItems } = state.portfolioValue;
+            const symbol = config.get('contracts.quoteToken.symbol');
+
+            portfolioEl.textContent = state.balances.size > 0
+                ? `Portfolio: ${formatAmount(totalWei)} ${symbol} (${pricedItems} priced${unpricedItems > 0 ? `, ${unpricedItems} without bids` : ''})`
+                : '';
+        }
+
         if (this.uiElements['last-updated'] && state.lastUpdated) {
             const date = new Date(state.lastUpdated);
             this.uiElements['last-updated'].textContent = `Updated: ${date.toLocaleTimeString()}`;
@@ -350,18 +702,56 @@ class EstforMarketplaceApp {
             loadPlayerBtn.disabled = !state.wallet?.isConnected;
         }
 
+        const loadOrdersBtn = this.uiElements['load-user-orders-btn'];
+        if (loadOrdersBtn) {
+            loadOrdersBtn.disabled = !state.wallet?.isConnected;
+        }
+
+        const claimBtn = this.uiElements['claim-all-btn'];
+        if (claimBtn) {
+            claimBtn.disabled = !appController.canSign;
+        }
+
         this.#updateCreateOrdersButton();
     }
 
     // Event Handlers
+    async #handleWatchAction() {
+        try {
+            if (appController.state.wallet?.isReadOnly) {
+                await appController.disconnectWallet();
+                this.#showSuccess('Stopped watching address');
+                return;
+            }
+
+            const address = this.uiElements['watch-address-input']?.value.trim();
+            if (!address) {
+                this.#showError('Enter an address to watch');
+                return;
+            }
+
+            await appController.watchAddress(address);
+            this.#showSuccess('Watching address in read-only mode');
+        } catch (error) {
+            this.#showError(`Watch failed: ${error.message}`);
+        }
+    }
+
     async #handleWalletAction() {
         try {
-            if (appController.isConnected) {
+            // A watched address is replaced by connecting a real wallet
+            if (appController.canSign) {
                 await appController.disconnectWallet();
                 this.#showSuccess('Wallet disconnected');
             } else {
-                await appController.connectWallet();
-                this.#showSuccess('Wallet connected successfully');
+                const wallets = appController.availableWallets;
+
+                // Several extensions installed, let the user pick instead of whoever owns window.ethereum
+                const rdns = wallets.length > 1 ? await this.#showWalletPicker(wallets) : wallets[0]?.rdns;
+                if (wallets.length > 1 && !rdns) return;
+
+                const connection = await appController.connectWallet(rdns);
+                this.#showSuccess(`${connection.walletType} connected successfully`);
             }
         } catch (error) {
             this.#showError(`Wallet operation failed: ${error.message}`);
@@ -380,7 +770,8 @@ class EstforMarketplaceApp {
     async #loadMarketOrders() {
         try {
             await appController.loadMarketOrders();
-            this.#showSuccess('Market orders loaded');
+            await appController.loadMarketPrices();
+            this.#showSuccess('Market orders and prices loaded');
         } catch (error) {
             this.#showError(`Failed to load market orders: ${error.message}`);
         }
@@ -395,58 +786,187 @@ class EstforMarketplaceApp {
         }
     }
 
-    async #createSellOrders() {
-        if (this.selectedItems.size === 0) {
-            this.#showError('Please select items to sell');
+    async #loadUserOrders() {
+        try {
+            await appController.loadUserOrders();
+            this.#showSuccess('Open orders loaded');
+        } catch (error) {
+            this.#showError(`Failed to load open orders: ${error.message}`);
+        }
+    }
+
+    async #claimAll() {
+        try {
+            const confirmed = await this.#showConfirmDialog(
+                'Claim All',
+                'Claim all sale proceeds and filled items from the order book in a single transaction?'
+            );
+
+            if (!confirmed) return;
+
+            const result = await appController.claimAll();
+
+            if (result.isSuccessful) {
+                const symbol = config.get('contracts.quoteToken.symbol');
+                this.#showSuccess(`Claimed ${formatAmount(result.amountClaimed || 0)} ${symbol} and ${result.itemsClaimed} items! Transaction: ${result.txHash}`);
+            } else {
+                this.#showError(`Failed to claim: ${result.errorMessage}`);
+            }
+
+        } catch (error) {
+            this.#showError(`Claim failed: ${error.message}`);
+        }
+    }
+
+    async #handleUserOrderAction(action, orderId) {
+        const order = appController.userOrders.find(userOrder => userOrder.orderId === orderId);
+        if (!order) {
+            this.#showError('Order not found. Please refresh your open orders.');
             return;
         }
 
         try {
-            // Collect order data
-            const orderRequests = [];
+            let result;
+
+            if (action === 'cancel') {
+                const confirmed = await this.#showConfirmDialog(
+                    'Cancel Order',
+                    `Cancel your ${order.side} order for ${formatQuantity(order.remaining)} of item #${order.tokenId} at ${formatPrice(order.price)}?`
+                );
+                if (!confirmed) return;
 
-            for (const tokenId of this.selectedItems) {
+                result = await appController.cancelUserOrder(order);
+
+            } else if (action === 'reprice') {
+                const newPrice = prompt(`New price for ${formatQuantity(order.remaining)} of item #${order.tokenId}:`, formatUnits(order.price));
+                if (newPrice === null) return;
+
+                const confirmed = await this.#showConfirmDialog(
+                    'Reprice Order',
+                    `Cancel the order at ${formatPrice(order.price)} and place ${formatQuantity(order.remaining)} at ${newPrice}? This takes two transactions.`
+                );
+                if (!confirmed) return;
+
+                result = await appController.repriceUserOrder(order, newPrice);
+            } else {
+                return;
+            }
+
+            if (result.isSuccessful) {
+                this.#showSuccess(`Order ${action === 'cancel' ? 'cancelled' : 'repriced'}! Transaction: ${result.txHash}`);
+            } else {
+                this.#showError(`Failed to ${action} order: ${result.errorMessage}`);
+            }
+
+        } catch (error) {
+            this.#showError(`Order ${action} failed: ${error.message}`);
+        }
+    }
+
+    #handleOrderSideChange(side) {
+        this.orderSide = ['buy', 'market-buy'].includes(side) ? side : 'sell';
+
+        const labels = {
+            sell: 'Create Sell Orders',
+            buy: 'Create Buy Orders',
+            'market-buy': 'Plan Market Buy'
+        };
+
+        const btnEl = this.uiElements['create-sell-orders-btn'];
+        if (btnEl) {
+            btnEl.textContent = labels[this.orderSide];
+            btnEl.classList.toggle('btn-danger', this.orderSide === 'sell');
+            btnEl.classList.toggle('btn-primary', this.orderSide !== 'sell');
+        }
+
+        // Quantity limits depend on the side, so re-render the rows
+        this.#updateItemsList(appController.items, appController.balances, appController.orderBooks);
+    }
+
+    async #createOrders() {
+        const side = this.orderSide;
+
+        if (this.selectedItems.size === 0) {
+            this.#showError(`Please select items to ${side}`);
+            return;
+        }
+
+        try {
+            // Every selected row is validated as typed, so rows with a bad quantity or price
+            // show up in the report with the reason instead of silently dropping out
+            const orderRequests = [...this.selectedItems].map(tokenId => {
                 const row = document.querySelector(`[data-token-id="${tokenId}"]`);
-                const qtyInput = row.querySelector('.qty-to-sell-input');
-                const priceInput = row.querySelector('.sell-price-input');
-
-                const quantity = parseFloat(qtyInput.value);
-                const price = parseFloat(priceInput.value);
-
-                if (quantity > 0 && price > 0) {
-                    orderRequests.push({
-                        tokenId,
-                        amount: quantity,
-                        priceInEth: price
-                    });
-                }
+
+                return {
+                    tokenId,
+                    amount: row.querySelector('.qty-to-sell-input').value,
+                    priceInEth: row.querySelector('.sell-price-input').value
+                };
+            });
+
+            if (side === 'market-buy') {
+                await this.#executeMarketBuys(orderRequests);
+                return;
             }
 
-            if (orderRequests.length === 0) {
-                this.#showError('No valid orders found. Please check quantities and prices.');
+            // Check every order up front and show what will and won't be submitted
+            const report = await appController.validateOrders(orderRequests, side);
+            const validRequests = report.validRequests;
+
+            if (validRequests.length === 0) {
+                await this.#showConfirmDialog(
+                    'No Valid Orders',
+                    'None of the selected orders can be submitted.',
+                    this.#renderValidationReport(report),
+                    { confirmOnly: true }
+                );
                 return;
             }
 
-            // Confirm with user
-            const confirmed = await this.#showConfirmDialog(
-                'Create Sell Orders',
-                `Create ${orderRequests.length} sell orders? This will require blockchain transactions and gas fees.`
-            );
+            // Confirm the side explicitly, bids lock up funds until filled or cancelled
+            let confirmed;
+
+            if (side === 'buy') {
+                const escrow = validRequests.reduce(
+                    (total, request) => total + orderTotal(parseUnits(request.priceInEth), request.amount),
+                    0n
+                );
+                const symbol = config.get('contracts.quoteToken.symbol');
+
+                confirmed = await this.#showConfirmDialog(
+                    'Create Buy Orders',
+                    `Create ${validRequests.length} BUY orders (bids)? Up to ${formatAmount(escrow)} ${symbol} will be escrowed until they fill or are cancelled.`,
+                    this.#renderValidationReport(report)
+                );
+            } else {
+                confirmed = await this.#showConfirmDialog(
+                    'Create Sell Orders',
+                    `Create ${validRequests.length} SELL orders? This will require blockchain transactions and gas fees.`,
+                    this.#renderValidationReport(report)
+                );
+            }
 
             if (!confirmed) return;
 
             // Create orders
-            const result = await appController.createSellOrders(orderRequests);
+            const result = side === 'buy'
+                ? await appController.createBidOrders(validRequests)
+                : await appController.createSellOrders(validRequests);
 
             if (result.isSuccessful) {
-                this.#showSuccess(`Successfully created ${result.ordersCreated} sell orders! Transaction: ${result.txHash}`);
+                this.#showSuccess(`Successfully created ${result.ordersCreated} ${side} orders! Transaction: ${result.txHash}`);
 
                 // Clear selections
                 this.selectedItems.clear();
                 this.#updateSelectedCount();
+                this.#saveDrafts();
 
                 // Refresh UI
                 await appController.loadPlayerItems();
+            } else if (result.isPartial) {
+                // Keep the selection so the failed orders can be retried
+                this.#showError(`Created ${result.ordersCreated} of ${validRequests.length} ${side} orders:\n${result.chunkSummary.join('\n')}`);
+                await appController.loadPlayerItems();
             } else {
                 this.#showError(`Failed to create orders: ${result.errorMessage}`);
             }
@@ -456,6 +976,90 @@ class EstforMarketplaceApp {
         }
     }
 
+    async #cancelSelectedOrders() {
+        if (this.selectedItems.size === 0) {
+            this.#showError('Please select items to cancel');
+            return;
+        }
+
+        try {
+            // The sell price field holds the price level the listing was placed at. Every row
+            // goes through as typed so a bad price is reported instead of skipped
+            const cancelRequests = [...this.selectedItems].map(tokenId => ({
+                tokenId,
+                priceInEth: document.querySelector(`[data-token-id="${tokenId}"]`).querySelector('.sell-price-input').value,
+                side: 'sell'
+            }));
+
+            const confirmed = await this.#showConfirmDialog(
+                'Cancel Sell Orders',
+                `Cancel your listings at ${cancelRequests.length} price levels? All of them are cancelled in a single transaction.`
+            );
+
+            if (!confirmed) return;
+
+            const result = await appController.cancelOrders(cancelRequests);
+
+            if (result.isSuccessful) {
+                this.#showSuccess(`Successfully cancelled ${result.ordersCancelled} orders! Transaction: ${result.txHash}`);
+
+                // Clear selections
+                this.selectedItems.clear();
+                this.#updateSelectedCount();
+                this.#saveDrafts();
+            } else {
+                this.#showError(`Failed to cancel orders: ${result.errorMessage}`);
+            }
+
+        } catch (error) {
+            this.#showError(`Order cancellation failed: ${error.message}`);
+        }
+    }
+
+    async #executeMarketBuys(buyRequests) {
+        // Show the fill plan before anything is signed
+        const plans = await appController.planMarketBuys(buyRequests);
+        const fillablePlans = plans.filter(plan => plan.hasFills);
+
+        if (fillablePlans.length === 0) {
+            this.#showError('No asks available within your maximum prices.');
+            return;
+        }
+
+        const symbol = config.get('contracts.quoteToken.symbol');
+        const planLines = plans.map(plan => {
+            if (!plan.hasFills) {
+                return `#${plan.tokenId}: no asks at or below ${formatPrice(plan.maxPrice)}`;
+            }
+
+            const shortfall = plan.isComplete ? '' : ` (only ${formatQuantity(plan.fillableQuantity)} of ${formatQuantity(plan.requestedQuantity)} available)`;
+            return `#${plan.tokenId}: ${formatQuantity(plan.fillableQuantity)} @ avg ${formatPrice(plan.averagePrice)} ${symbol}, ` +
+                `worst ${formatPrice(plan.worstPrice)}, slippage ${plan.slippagePercent}%, total ${formatAmount(plan.totalCost)} ${symbol}${shortfall}`;
+        });
+
+        const confirmed = await this.#showConfirmDialog(
+            'Market Buy',
+            `${planLines.join('\n')}\n\nSubmit ${fillablePlans.length} buy orders at the worst planned prices? Anything not filled stays on the book as a bid.`
+        );
+
+        if (!confirmed) return;
+
+        const result = await appController.executeMarketBuys(fillablePlans);
+
+        if (result.isSuccessful) {
+            this.#showSuccess(`Market buy submitted for ${result.ordersCreated} items! Transaction: ${result.txHash}`);
+
+            // Clear selections
+            this.selectedItems.clear();
+            this.#updateSelectedCount();
+            this.#saveDrafts();
+        } else if (result.isPartial) {
+            this.#showError(`Market buy partially submitted:\n${result.chunkSummary.join('\n')}`);
+        } else {
+            this.#showError(`Market buy failed: ${result.errorMessage}`);
+        }
+    }
+
     #handleSelectAll(checked) {
         document.querySelectorAll('.item-checkbox').forEach(checkbox => {
             if (checkbox.disabled) return;
@@ -475,6 +1079,7 @@ class EstforMarketplaceApp {
 
         this.#updateSelectedCount();
         this.#updateCreateOrdersButton();
+        this.#saveDrafts();
     }
 
     #handleKeyboardShortcuts(e) {
@@ -521,13 +1126,144 @@ class EstforMarketplaceApp {
         console.log(message);
     }
 
-    #showConfirmDialog(title, message) {
+    #showConfirmDialog(title, message, details = null, { confirmOnly = false } = {}) {
+        const overlay = this.uiElements['modal-overlay'];
+
+        if (!overlay) {
+            return Promise.resolve(confirm(`${title}\n\n${message}`));
+        }
+
+        overlay.querySelector('.modal-title').textContent = title;
+
+        const body = overlay.querySelector('.modal-body');
+        body.replaceChildren();
+
+        const messageElement = document.createElement('p');
+        messageElement.className = 'modal-message';
+        messageElement.textContent = message;
+        body.appendChild(messageElement);
+
+        if (details) {
+            body.appendChild(details);
+        }
+
+        const confirmButton = overlay.querySelector('.modal-confirm');
+        const cancelButton = overlay.querySelector('.modal-cancel');
+        const closeButton = overlay.querySelector('.modal-close');
+
+        confirmButton.textContent = confirmOnly ? 'OK' : 'Confirm';
+        cancelButton.classList.toggle('hidden', confirmOnly);
+        overlay.classList.remove('hidden');
+
+        return new Promise((resolve) => {
+            const finish = (confirmed) => {
+                overlay.classList.add('hidden');
+                confirmButton.removeEventListener('click', onConfirm);
+                cancelButton.removeEventListener('click', onCancel);
+                closeButton.removeEventListener('click', onCancel);
+                resolve(confirmed);
+            };
+            const onConfirm = () => finish(!confirmOnly);
+            const onCancel = () => finish(false);
+
+            confirmButton.addEventListener('click', onConfirm);
+            cancelButton.addEventListener('click', onCancel);
+            closeButton.addEventListener('click', onCancel);
+        });
+    }
+
+    #showWalletPicker(wallets) {
+        const overlay = this.uiElements['modal-overlay'];
+
+        if (!overlay) {
+            return Promise.resolve(wallets[0]?.rdns || null);
+        }
+
+        overlay.querySelector('.modal-title').textContent = 'Choose a Wallet';
+
+        const list = document.createElement('div');
+        list.className = 'wallet-picker';
+
+        for (const wallet of wallets) {
+            const option = document.createElement('button');
+            option.className = 'btn btn-secondary wallet-option';
+            option.dataset.rdns = wallet.rdns;
+
+            // EIP-6963 icons are data URIs supplied by the extension itself
+            if (wallet.icon?.startsWith('data:image/')) {
+                const icon = document.createElement('img');
+                icon.src = wallet.icon;
+                icon.alt = '';
+                icon.className = 'wallet-icon';
+                option.appendChild(icon);
+            }
+
+            option.appendChild(document.createTextNode(wallet.name));
+            list.appendChild(option);
+        }
+
+        overlay.querySelector('.modal-body').replaceChildren(list);
+
+        const confirmButton = overlay.querySelector('.modal-confirm');
+        const cancelButton = overlay.querySelector('.modal-cancel');
+        const closeButton = overlay.querySelector('.modal-close');
+
+        confirmButton.classList.add('hidden');
+        cancelButton.classList.remove('hidden');
+        overlay.classList.remove('hidden');
+
         return new Promise((resolve) => {
-            const confirmed = confirm(`${title}\n\n${message}`);
-            resolve(confirmed);
+            const finish = (rdns) => {
+                overlay.classList.add('hidden');
+                confirmButton.classList.remove('hidden');
+                list.removeEventListener('click', onPick);
+                cancelButton.removeEventListener('click', onCancel);
+                closeButton.removeEventListener('click', onCancel);
+                resolve(rdns);
+            };
+            const onPick = (e) => {
+                const option = e.target.closest('.wallet-option');
+                if (option) finish(option.dataset.rdns);
+            };
+            const onCancel = () => finish(null);
+
+            list.addEventListener('click', onPick);
+            cancelButton.addEventListener('click', onCancel);
+            closeButton.addEventListener('click', onCancel);
         });
     }
 
+    #renderValidationReport(report) {
+        const container = document.createElement('div');
+        container.className = 'validation-report';
+
+        const summary = document.createElement('p');
+        summary.className = 'validation-summary';
+        summary.textContent = report.summary;
+        container.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'validation-list';
+
+        for (const entry of report.entries) {
+            const item = document.createElement('li');
+            item.className = `validation-entry validation-${entry.status}`;
+
+            const label = document.createElement('strong');
+            label.textContent = `#${entry.tokenId} ${entry.status === 'error' ? 'excluded' : entry.status}`;
+            item.appendChild(label);
+
+            if (entry.reasons.length > 0) {
+                item.appendChild(document.createTextNode(`: ${entry.reasons.join(', ')}`));
+            }
+
+            list.appendChild(item);
+        }
+
+        container.appendChild(list);
+        return container;
+    }
+
     #showDebugPanel() {
         this.uiElements['debug-panel']?.classList.remove('hidden');
     }
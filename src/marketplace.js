@@ -1,145 +1,53 @@
 // Estfor Marketplace Contract Interaction Script
-// This script will create sell orders for selected items with specified prices and quantities
+// Creates and cancels order book orders from Node (or a bundled browser build) on top of
+// the same order book core the web app uses
 
-const { ethers } = require('ethers');
+import { ethers } from 'ethers';
+import { config } from './config/index.js';
+import { OrderBookCore } from './core/orderbook/OrderBookCore.js';
+import { ContractInspector } from './core/orderbook/ContractInspector.js';
+import { ERC1155_ABI, ERC20_ABI, ORDER_BOOK_ABI } from './core/orderbook/abi.js';
 
 // Sonic Network Configuration
-const SONIC_RPC = 'https://rpc.soniclabs.com';
-const SONIC_CHAIN_ID = 146;
+const SONIC_RPC = config.get('networks.sonic.rpcUrl');
+const SONIC_CHAIN_ID = config.get('networks.sonic.chainId');
 
 // Contract Addresses
-const MARKETPLACE_PROXY = '0x0D6D3794C858B512716e77e05588D4f1Fc264319';
-const MARKETPLACE_IMPLEMENTATION = '0xb16fbc5251da4c4beadc685406ed2b2c5fa5f1a8';
-const ESTFOR_ITEMS_CONTRACT = '0x8970c63da309d5359a579c2f53bfd64f72b7b706';
-
-// Basic EIP-1967 Proxy ABI to get implementation
-const PROXY_ABI = [
-    {
-        "inputs": [],
-        "name": "implementation",
-        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
-        "stateMutability": "view",
-        "type": "function"
-    }
-];
-
-// Standard marketplace functions that are commonly used for limit orders
-const MARKETPLACE_ABI = [
-    // Create sell order function (common patterns)
-    {
-        "inputs": [
-            {"name": "tokenId", "type": "uint256"},
-            {"name": "amount", "type": "uint256"},
-            {"name": "price", "type": "uint256"}
-        ],
-        "name": "createSellOrder",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {"name": "tokenId", "type": "uint256"},
-            {"name": "amount", "type": "uint256"},
-            {"name": "price", "type": "uint256"}
-        ],
-        "name": "sell",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {"name": "tokenId", "type": "uint256"},
-            {"name": "amount", "type": "uint256"},
-            {"name": "pricePerToken", "type": "uint256"}
-        ],
-        "name": "placeSellOrder",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    // Get all orders function
-    {
-        "inputs": [],
-        "name": "getAllOrders",
-        "outputs": [{"name": "", "type": "tuple[]"}],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    // Check if order exists
-    {
-        "inputs": [{"name": "orderId", "type": "uint256"}],
-        "name": "orders",
-        "outputs": [{"name": "", "type": "tuple"}],
-        "stateMutability": "view",
-        "type": "function"
-    }
-];
-
-// Complete ERC-1155 ABI for approvals and balance checks
-const ERC1155_ABI = [
-    {
-        "inputs": [
-            {"name": "account", "type": "address"},
-            {"name": "id", "type": "uint256"}
-        ],
-        "name": "balanceOf",
-        "outputs": [{"name": "", "type": "uint256"}],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {"name": "accounts", "type": "address[]"},
-            {"name": "ids", "type": "uint256[]"}
-        ],
-        "name": "balanceOfBatch",
-        "outputs": [{"name": "", "type": "uint256[]"}],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {"name": "operator", "type": "address"},
-            {"name": "approved", "type": "bool"}
-        ],
-        "name": "setApprovalForAll",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {"name": "account", "type": "address"},
-            {"name": "operator", "type": "address"}
-        ],
-        "name": "isApprovedForAll",
-        "outputs": [{"name": "", "type": "bool"}],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {"name": "from", "type": "address"},
-            {"name": "to", "type": "address"},
-            {"name": "id", "type": "uint256"},
-            {"name": "amount", "type": "uint256"},
-            {"name": "data", "type": "bytes"}
-        ],
-        "name": "safeTransferFrom",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    {
-        "inputs": [{"name": "interfaceId", "type": "bytes4"}],
-        "name": "supportsInterface",
-        "outputs": [{"name": "", "type": "bool"}],
-        "stateMutability": "view",
-        "type": "function"
+const MARKETPLACE_PROXY = config.getContractAddress('marketplace');
+const MARKETPLACE_IMPLEMENTATION = config.get('contracts.marketplace.implementation');
+const ESTFOR_ITEMS_CONTRACT = config.getContractAddress('items');
+
+const ESTFOR_API = config.get('api.estfor.baseUrl');
+const BALANCE_BATCH_SIZE = config.get('app.reads.balanceBatchSize');
+
+// Headless signer defaults, secrets come from the environment rather than argv
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+const KEYSTORE_PASSWORD_ENV = 'ESTFOR_KEYSTORE_PASSWORD';
+const KEYSTORE_PATH_ENV = 'ESTFOR_KEYSTORE';
+const MNEMONIC_ENV = 'ESTFOR_MNEMONIC';
+
+// Ask for a secret on the terminal without echoing it
+async function promptHidden(question) {
+    const readline = await import('readline');
+
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error(`No terminal to prompt for the keystore password. Set ${KEYSTORE_PASSWORD_ENV} instead.`));
     }
-];
+
+    return new Promise((resolve) => {
+        // Prompt on stderr so stdout stays clean for piped output
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+
+        process.stderr.write(question);
+        rl._writeToOutput = () => {}; // Swallow the echoed keystrokes
+
+        rl.question('', (answer) => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+    });
+}
 
 class EstforMarketplace {
     constructor() {
@@ -148,10 +56,20 @@ class EstforMarketplace {
         this.marketplaceContract = null;
         this.itemsContract = null;
         this.userAddress = null;
+        this.signerSource = null;
+        this.core = null;
     }
 
     // Initialize connection with wallet
-    async connect(privateKey = null) {
+    // Accepts a private key string (legacy) or options:
+    //   { keystorePath | keystoreJson, password, passwordEnv }  encrypted JSON keystore
+    //   { mnemonic, derivationPath }                              HD wallet, mnemonic also read from ESTFOR_MNEMONIC
+    //   { privateKey }
+    //   { readOnly: true, address }                                queries without a signer
+    // With no arguments in Node, ESTFOR_KEYSTORE / ESTFOR_MNEMONIC are used when set.
+    async connect(options = null) {
+        const signerOptions = typeof options === 'string' ? { privateKey: options } : (options || {});
+
         try {
             console.log('Connecting to Sonic network...');
 
@@ -167,10 +85,17 @@ class EstforMarketplace {
             }
 
             // Initialize signer
-            if (privateKey) {
-                this.signer = new ethers.Wallet(privateKey, this.provider);
+            const wallet = signerOptions.readOnly ? null : await this.loadWallet(signerOptions);
+
+            if (wallet) {
+                this.signer = wallet.connect(this.provider);
                 this.userAddress = await this.signer.getAddress();
-                console.log(`Using private key. Address: ${this.userAddress}`);
+                console.log(`Using ${this.signerSource}. Address: ${this.userAddress}`);
+            } else if (signerOptions.readOnly) {
+                // Queries only, contracts are bound to the provider and writes will fail
+                this.signer = null;
+                this.userAddress = signerOptions.address ? ethers.utils.getAddress(signerOptions.address) : null;
+                console.log('Connected read-only');
             } else if (typeof window !== 'undefined' && window.ethereum) {
                 // Browser environment with MetaMask
                 this.provider = new ethers.providers.Web3Provider(window.ethereum);
@@ -179,20 +104,22 @@ class EstforMarketplace {
                 this.userAddress = await this.signer.getAddress();
                 console.log(`Connected with MetaMask. Address: ${this.userAddress}`);
             } else {
-                throw new Error('No wallet connection available. Provide private key or use MetaMask.');
+                throw new Error('No wallet connection available. Provide a keystore, mnemonic or private key, or use MetaMask.');
             }
 
             // Initialize contracts
-            this.marketplaceContract = new ethers.Contract(
-                MARKETPLACE_PROXY,
-                MARKETPLACE_ABI,
-                this.signer
-            );
+            this.marketplaceContract = OrderBookCore.createContract(ethers, MARKETPLACE_PROXY, this.signer || this.provider);
+
+            this.core = new OrderBookCore(ethers, this.marketplaceContract, {
+                tickOverride: config.get('pricing.tickOverride'),
+                roundToTick: config.get('pricing.roundToTick'),
+                ...config.get('app.transaction')
+            });
 
             this.itemsContract = new ethers.Contract(
                 ESTFOR_ITEMS_CONTRACT,
                 ERC1155_ABI,
-                this.signer
+                this.signer || this.provider
             );
 
             console.log('Marketplace contract initialized at:', MARKETPLACE_PROXY);
@@ -205,6 +132,47 @@ class EstforMarketplace {
         }
     }
 
+    // Build an ethers Wallet from the headless signer options, null when none apply
+    async loadWallet(options = {}) {
+        const env = typeof process !== 'undefined' ? process.env : {};
+
+        if (options.privateKey) {
+            this.signerSource = 'private key';
+            return new ethers.Wallet(options.privateKey);
+        }
+
+        const keystorePath = options.keystorePath || (!options.keystoreJson && !options.mnemonic ? env[KEYSTORE_PATH_ENV] : null);
+
+        if (options.keystoreJson || keystorePath) {
+            const keystoreJson = options.keystoreJson || (await import('fs')).readFileSync(keystorePath, 'utf8');
+            const passwordEnv = options.passwordEnv || KEYSTORE_PASSWORD_ENV;
+            const password = options.password ?? env[passwordEnv] ?? await promptHidden('Keystore password: ');
+
+            console.log('Decrypting keystore...');
+            try {
+                this.signerSource = keystorePath ? `keystore ${keystorePath}` : 'keystore';
+                return await ethers.Wallet.fromEncryptedJson(keystoreJson, password);
+            } catch (error) {
+                throw new Error(`Failed to decrypt keystore: ${error.message}`);
+            }
+        }
+
+        const mnemonic = options.mnemonic || env[MNEMONIC_ENV];
+
+        if (mnemonic) {
+            const derivationPath = options.derivationPath || DEFAULT_DERIVATION_PATH;
+
+            if (!ethers.utils.isValidMnemonic(mnemonic.trim())) {
+                throw new Error('Invalid mnemonic phrase');
+            }
+
+            this.signerSource = `mnemonic (${derivationPath})`;
+            return ethers.Wallet.fromMnemonic(mnemonic.trim(), derivationPath);
+        }
+
+        return null;
+    }
+
     // Check if user has approved the marketplace to spend their tokens
     async checkApproval() {
         try {
@@ -247,210 +215,260 @@ class EstforMarketplace {
         }
     }
 
-    // Check multiple token balances
+    // Check multiple token balances, balanceOfBatch in chunks with single reads as fallback
     async getTokenBalances(tokenIds) {
         const balances = {};
 
-        for (const tokenId of tokenIds) {
-            balances[tokenId] = await this.getTokenBalance(tokenId);
+        for (let start = 0; start < tokenIds.length; start += BALANCE_BATCH_SIZE) {
+            const chunk = tokenIds.slice(start, start + BALANCE_BATCH_SIZE);
+
+            try {
+                const accounts = new Array(chunk.length).fill(this.userAddress);
+                const chunkBalances = await this.itemsContract.balanceOfBatch(accounts, chunk);
+
+                chunk.forEach((tokenId, index) => {
+                    balances[tokenId] = chunkBalances[index].toString();
+                });
+            } catch (error) {
+                console.error(`balanceOfBatch failed, reading ${chunk.length} balances one by one:`, error.message);
+
+                for (const tokenId of chunk) {
+                    balances[tokenId] = await this.getTokenBalance(tokenId);
+                }
+            }
         }
 
         return balances;
     }
 
-    // Try multiple function names to create a sell order
+    // Create a sell order for a single item
     async createSellOrder(tokenId, amount, priceInEth) {
+        const [result] = await this.batchCreateSellOrders([{ tokenId, amount, priceInEth }]);
+        return result;
+    }
+
+    // Batch create sell orders, sent as limitOrders transactions of up to maxBatchSize orders
+    async batchCreateSellOrders(orders) {
+        console.log(`\n🚀 Starting batch creation of ${orders.length} sell orders...`);
+
+        let placed;
         try {
-            const priceInWei = ethers.utils.parseEther(priceInEth.toString());
-            const amountBN = ethers.BigNumber.from(amount.toString());
+            placed = await this.placeLimitOrders(
+                orders.map(order => ({ tokenId: order.tokenId, quantity: order.amount, price: order.priceInEth })),
+                'sell'
+            );
+        } catch (error) {
+            console.error('❌ Failed to create sell orders:', error.message);
+            return orders.map(order => ({ ...order, success: false, error: error.message }));
+        }
 
-            console.log(`Creating sell order for token ${tokenId}:`);
-            console.log(`- Amount: ${amount}`);
-            console.log(`- Price: ${priceInEth} ETH (${priceInWei.toString()} wei)`);
+        // Chunks keep the input order, so walk them to attribute each order to its transaction
+        const results = [];
+        let position = 0;
 
-            // Check balance first
-            const balance = await this.getTokenBalance(tokenId);
-            if (ethers.BigNumber.from(balance).lt(amountBN)) {
-                throw new Error(`Insufficient balance. Have: ${balance}, Need: ${amount}`);
+        for (const transaction of placed.transactions) {
+            for (const order of orders.slice(position, position + transaction.ordersAttempted)) {
+                results.push({ ...order, ...transaction });
             }
+            position += transaction.ordersAttempted;
+        }
 
-            // Check approval
-            const isApproved = await this.checkApproval();
-            if (!isApproved) {
-                console.log('Marketplace not approved. Requesting approval...');
-                await this.approveMarketplace();
-            }
+        const successCount = results.filter(result => result.success).length;
 
-            // Try different function names that might exist
-            const possibleFunctions = [
-                'createSellOrder',
-                'sell',
-                'placeSellOrder',
-                'createOrder',
-                'listItem'
-            ];
-
-            let lastError;
-            for (const functionName of possibleFunctions) {
-                try {
-                    console.log(`Trying function: ${functionName}`);
-
-                    // Check if function exists in contract
-                    if (!this.marketplaceContract[functionName]) {
-                        console.log(`Function ${functionName} not found in contract ABI`);
-                        continue;
-                    }
-
-                    const tx = await this.marketplaceContract[functionName](
-                        tokenId,
-                        amountBN,
-                        priceInWei
-                    );
-
-                    console.log(`✅ Sell order transaction sent: ${tx.hash}`);
-                    console.log('Waiting for confirmation...');
-
-                    const receipt = await tx.wait();
-                    console.log(`✅ Sell order confirmed in block: ${receipt.blockNumber}`);
-                    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
-
-                    return {
-                        success: true,
-                        txHash: tx.hash,
-                        blockNumber: receipt.blockNumber,
-                        gasUsed: receipt.gasUsed.toString()
-                    };
-                } catch (error) {
-                    console.log(`Function ${functionName} failed:`, error.message);
-                    lastError = error;
-                    continue;
-                }
-            }
+        console.log(`\n📊 Batch operation completed:`);
+        console.log(`✅ Successful orders: ${successCount}`);
+        console.log(`❌ Failed orders: ${results.length - successCount}`);
+        console.log(`📋 Transactions sent: ${placed.transactions.length}`);
+
+        return results;
+    }
+
+    // Price tick for a token in wei, every order price must be a multiple of it
+    async getPriceTick(tokenId) {
+        return this.core.getPriceTick(tokenId);
+    }
 
-            throw new Error(`All sell order functions failed. Last error: ${lastError?.message || 'Unknown error'}`);
+    // Validate orders and convert them to the limitOrders tuple format, all or nothing
+    // orders: [{ tokenId, quantity, price }] with price as a decimal string in BRUSH
+    async prepareLimitOrders(orders, side) {
+        let balances = null;
 
-        } catch (error) {
-            console.error(`❌ Failed to create sell order for token ${tokenId}:`, error.message);
-            return {
-                success: false,
-                error: error.message
-            };
+        if (side === 'sell') {
+            const held = await this.getTokenBalances([...new Set(orders.map(order => order.tokenId))]);
+            balances = new Map(orders.map(order => [order.tokenId, ethers.BigNumber.from(held[order.tokenId] || 0)]));
         }
+
+        return this.core.buildLimitOrders(orders, side, balances);
     }
 
-    // Batch create sell orders for multiple items
-    async batchCreateSellOrders(orders) {
-        console.log(`\n🚀 Starting batch creation of ${orders.length} sell orders...`);
+    // Bids escrow price * quantity of the quote token, check the wallet can fund them and
+    // approve the marketplace to take it, the same way sells check the item approval
+    async ensureQuoteFunds(prepared, { dryRun = false } = {}) {
+        const quoteToken = config.get('contracts.quoteToken');
+        const needed = this.core.escrowFor(prepared);
+        const format = value => ethers.utils.formatUnits(value, quoteToken.decimals);
 
-        const results = [];
-        let successCount = 0;
-        let errorCount = 0;
+        if (!quoteToken.address) {
+            throw new Error('No quote token configured (contracts.quoteToken.address), bids cannot be funded');
+        }
 
-        for (let i = 0; i < orders.length; i++) {
-            const order = orders[i];
-            console.log(`\n📦 Processing order ${i + 1}/${orders.length}`);
+        const quoteContract = new ethers.Contract(quoteToken.address, ERC20_ABI, this.signer || this.provider);
+        const balance = await quoteContract.balanceOf(this.userAddress);
 
-            try {
-                const result = await this.createSellOrder(
-                    order.tokenId,
-                    order.amount,
-                    order.priceInEth
-                );
-
-                results.push({
-                    tokenId: order.tokenId,
-                    amount: order.amount,
-                    priceInEth: order.priceInEth,
-                    ...result
-                });
+        if (balance.lt(needed)) {
+            throw new Error(`Insufficient ${quoteToken.symbol} balance for these bids. Have: ${format(balance)}, Need: ${format(needed)}`);
+        }
 
-                if (result.success) {
-                    successCount++;
-                    console.log(`✅ Order ${i + 1} completed successfully`);
-                } else {
-                    errorCount++;
-                    console.log(`❌ Order ${i + 1} failed`);
-                }
+        const allowance = await quoteContract.allowance(this.userAddress, MARKETPLACE_PROXY);
+        if (allowance.gte(needed)) return;
 
-                // Add a small delay between transactions
-                if (i < orders.length - 1) {
-                    console.log('Waiting 2 seconds before next transaction...');
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                }
+        if (dryRun) {
+            throw new Error(`Marketplace is not approved to spend ${format(needed)} ${quoteToken.symbol}. Run without --dry-run to approve it.`);
+        }
 
-            } catch (error) {
-                errorCount++;
-                console.error(`❌ Order ${i + 1} failed with error:`, error.message);
-                results.push({
-                    tokenId: order.tokenId,
-                    amount: order.amount,
-                    priceInEth: order.priceInEth,
-                    success: false,
-                    error: error.message
-                });
+        console.log(`Approving marketplace to spend ${format(needed)} ${quoteToken.symbol}...`);
+        const tx = await quoteContract.approve(MARKETPLACE_PROXY, needed);
+        await tx.wait();
+    }
+
+    // Place sell or buy orders; a dry run validates and simulates without sending
+    async placeLimitOrders(orders, side, { dryRun = false } = {}) {
+        const prepared = await this.prepareLimitOrders(orders, side);
+
+        if (side === 'buy') {
+            await this.ensureQuoteFunds(prepared, { dryRun });
+        }
+
+        if (side === 'sell' && !await this.checkApproval()) {
+            if (dryRun) {
+                throw new Error('Marketplace is not approved for your items. Run approve first.');
             }
+            await this.approveMarketplace();
         }
 
-        console.log(`\n📊 Batch operation completed:`);
-        console.log(`✅ Successful orders: ${successCount}`);
-        console.log(`❌ Failed orders: ${errorCount}`);
-        console.log(`📋 Total orders processed: ${orders.length}`);
+        const summary = {
+            side,
+            orders: prepared.map(order => ({
+                tokenId: Number(order.tokenId),
+                price: ethers.utils.formatEther(order.price),
+                quantity: order.quantity.toNumber()
+            }))
+        };
+
+        if (dryRun) {
+            const gasLimit = await this.core.simulate('limitOrders', [prepared]);
+            return { ...summary, success: true, dryRun: true, ordersCreated: 0, gasEstimate: gasLimit.toString() };
+        }
 
-        return results;
+        const chunks = await this.core.planOrderChunks(prepared);
+        const transactions = await this.core.sendOrderChunks(chunks);
+
+        for (const transaction of transactions.filter(result => result.success)) {
+            console.log(`✅ limitOrders confirmed in block ${transaction.blockNumber}: ${transaction.txHash}`);
+        }
+
+        return {
+            ...summary,
+            success: transactions.every(result => result.success),
+            dryRun: false,
+            ordersCreated: transactions
+                .filter(result => result.success)
+                .reduce((total, result) => total + result.ordersAttempted, 0),
+            transactions
+        };
     }
 
-    // Inspect the actual contract to find available functions
+    // Cancel orders; each needs its orderId, tokenId, price and side
+    async cancelLimitOrders(cancels, { dryRun = false } = {}) {
+        const { orderIds, orders } = this.core.buildCancellation(cancels);
+        const summary = { orderIds: orderIds.map(String) };
+
+        if (dryRun) {
+            const gasLimit = await this.core.simulate('cancelOrders', [orderIds, orders]);
+            return { ...summary, success: true, dryRun: true, ordersCancelled: 0, gasEstimate: gasLimit.toString() };
+        }
+
+        const result = await this.core.sendTransaction('cancelOrders', [orderIds, orders]);
+        console.log(`✅ cancelOrders confirmed in block ${result.blockNumber}: ${result.txHash}`);
+
+        return { ...summary, ...result, success: true, dryRun: false, ordersCancelled: orderIds.length };
+    }
+
+    // Best bid and ask per token, null when that side of the book is empty
+    async getTopOfBook(tokenIds) {
+        const books = [];
+
+        for (const tokenId of tokenIds) {
+            const [highestBid, lowestAsk] = await Promise.all([
+                this.marketplaceContract.getHighestBid(tokenId),
+                this.marketplaceContract.getLowestAsk(tokenId)
+            ]);
+
+            books.push({
+                tokenId: Number(tokenId),
+                highestBid: highestBid.isZero() ? null : ethers.utils.formatEther(highestBid),
+                lowestAsk: lowestAsk.isZero() ? null : ethers.utils.formatEther(lowestAsk)
+            });
+        }
+
+        return books;
+    }
+
+    // Open orders for an address from the Estfor API
+    async getOpenOrders(address = this.userAddress) {
+        if (!address) {
+            throw new Error('An address is required to list orders');
+        }
+
+        const response = await fetch(`${ESTFOR_API}/orders?maker=${ethers.utils.getAddress(address).toLowerCase()}`);
+        if (!response.ok) {
+            throw new Error(`API returned ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const orders = Array.isArray(data) ? data : (data.orders || []);
+
+        return orders
+            .filter(order => parseInt(order.amountRemaining ?? order.quantity, 10) > 0)
+            .map(order => ({
+                orderId: String(order.id),
+                tokenId: Number(order.tokenId),
+                side: order.isBuyOrder ? 'buy' : 'sell',
+                price: ethers.utils.formatEther(order.price),
+                quantity: parseInt(order.quantity, 10),
+                remaining: parseInt(order.amountRemaining ?? order.quantity, 10)
+            }));
+    }
+
+    // Check the proxy still points at the verified implementation and that it has our ABI
     async inspectContract() {
-        try {
-            console.log('🔍 Inspecting marketplace contract...');
+        const inspector = new ContractInspector(ethers, this.provider);
 
-            // Get contract code
-            const code = await this.provider.getCode(MARKETPLACE_PROXY);
-            if (code === '0x') {
-                console.log('❌ No contract code found at this address');
-                return false;
-            }
+        console.log('🔍 Inspecting marketplace contract...');
+        const report = await inspector.inspectProxy(MARKETPLACE_PROXY, MARKETPLACE_IMPLEMENTATION, ORDER_BOOK_ABI);
 
-            console.log('✅ Contract code found');
-
-            // Try to call some view functions to understand the contract
-            const functionChecks = [
-                'getAllOrders',
-                'orders',
-                'getOrderCount',
-                'tokenToOrder',
-                'userOrders'
-            ];
-
-            for (const funcName of functionChecks) {
-                try {
-                    if (this.marketplaceContract[funcName]) {
-                        console.log(`✅ Function ${funcName} exists`);
-                        // Try to call it if it's a view function
-                        if (funcName === 'getAllOrders') {
-                            const orders = await this.marketplaceContract[funcName]();
-                            console.log(`  - Returns ${orders.length} orders`);
-                        }
-                    } else {
-                        console.log(`❌ Function ${funcName} not found`);
-                    }
-                } catch (error) {
-                    console.log(`⚠️  Function ${funcName} exists but call failed:`, error.message);
-                }
-            }
+        console.log(`Proxy:          ${report.proxy}`);
+        console.log(`Implementation: ${report.implementation || 'none'}${report.implementationMatches ? ' (verified)' : ''}`);
+        if (report.admin) {
+            console.log(`Admin:          ${report.admin}`);
+        }
 
-            return true;
-        } catch (error) {
-            console.error('Contract inspection failed:', error.message);
-            return false;
+        for (const entry of report.selectors) {
+            console.log(`${entry.found ? '✅' : '❌'} ${entry.selector} ${entry.signature}`);
         }
+
+        if (report.warnings.length > 0) {
+            const banner = '!'.repeat(72);
+            console.warn(`\n${banner}`);
+            report.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+            console.warn(`${banner}\n`);
+        }
+
+        return report;
     }
 }
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = EstforMarketplace;
-}
+export default EstforMarketplace;
 
 // Browser global
 if (typeof window !== 'undefined') {
@@ -482,7 +500,7 @@ async function createSellOrdersFromCheckedItems() {
                 checkedItems.push({
                     tokenId: parseInt(tokenId),
                     amount: parseInt(qtyToSell),
-                    priceInEth: parseFloat(sellPrice)
+                    priceInEth: sellPrice.trim() // Decimal string, parsed to wei without floats
                 });
             }
         });
@@ -1,88 +1,258 @@
 /**
  * Domain Models and Data Transfer Objects
- * Clean data structures with validation and transformation
+ * Clean data structures with validation and transformation.
+ * Prices and token amounts are wei strings, formatted for display with core/pricing/AmountFormat.
  */
 
+import { config } from '../config/index.js';
 import { validator } from '../security/InputValidator.js';
+import { orderTotal } from '../core/pricing/AmountFormat.js';
+import { ValidationError } from '../core/errors/ApplicationError.js';
 
 /**
- * Base Model with common functionality
+ * Field Types
+ * Parsers for the `type` of a schema field. Each returns the parsed value or
+ * calls fail() with the constraint that was broken.
  */
-export class BaseModel {
-    constructor(data = {}) {
-        this.#validate(data);
-        Object.assign(this, this.#transform(data));
-        Object.freeze(this); // Immutable objects
+const validated = type => (value, field, context) => {
+    const validation = validator.validateInput(value, type, field.options);
+    if (!validation.isValid) {
+        fail(context, value, validation.errors.join(', '));
+    }
+
+    return validation.sanitizedValue;
+};
+
+const FIELD_TYPES = {
+    // Shared with form input, so stored and typed values pass the same checks
+    tokenId: validated('tokenId'),
+    price: validated('price'),
+    quantity: validated('quantity'),
+    address: validated('address'),
+    text: validated('text'),
+
+    string(value, field, context) {
+        if (typeof value !== 'string') fail(context, value, 'must be a string');
+        return value;
+    },
+
+    boolean(value, field, context) {
+        if (typeof value !== 'boolean') fail(context, value, 'must be true or false');
+        return value;
+    },
+
+    integer(value, field, context) {
+        const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+
+        if (!Number.isSafeInteger(number)) fail(context, value, 'must be a whole number');
+        if (field.min !== undefined && number < field.min) fail(context, value, `must be at least ${field.min}`);
+        if (field.max !== undefined && number > field.max) fail(context, value, `cannot exceed ${field.max}`);
+        return number;
+    },
+
+    number(value, field, context) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+        if (typeof number !== 'number' || !Number.isFinite(number)) fail(context, value, 'must be a number');
+        return number;
+    },
+
+    enum(value, field, context) {
+        if (!field.values.includes(value)) fail(context, value, `must be one of ${field.values.join(', ')}`);
+        return value;
+    },
+
+    // Milliseconds since the epoch, API payloads send ISO strings
+    timestamp(value, field, context) {
+        const time = value instanceof Date ? value.getTime()
+            : typeof value === 'string' && !/^\d+$/.test(value) ? Date.parse(value)
+            : Number(value);
+
+        if (!Number.isSafeInteger(time) || time < 0) fail(context, value, 'must be a date');
+        return time;
+    },
+
+    // Non-negative integer amounts in the smallest unit, kept as strings for JSON
+    wei(value, field, context) {
+        const text = typeof value === 'object' ? String(value) : String(value).trim();
+
+        if (!/^\d+$/.test(text)) fail(context, value, 'must be a non-negative integer amount');
+        return BigInt(text).toString();
+    },
+
+    // Order ids outgrow Number, compare them as strings
+    id(value, field, context) {
+        const isInteger = typeof value === 'bigint' || Number.isSafeInteger(value) || /^\d+$/.test(value);
+
+        if (!isInteger || (typeof value !== 'string' && value < 0)) fail(context, value, 'must be an integer id');
+        return String(value);
+    },
+
+    array(value, field, context) {
+        if (!Array.isArray(value)) fail(context, value, 'must be a list');
+        return value.map((entry, index) => parseField(field.of, entry, { ...context, path: `${context.path}[${index}]` }));
+    },
+
+    // Accepts a Map, its entries (how toJSON writes it) or a plain object
+    map(value, field, context) {
+        const entries = value instanceof Map || Array.isArray(value) ? [...value]
+            : typeof value === 'object' ? Object.entries(value)
+            : fail(context, value, 'must be a map');
+
+        return new Map(entries.map(([key, entry]) => {
+            const entryContext = { ...context, path: `${context.path}[${key}]` };
+            return [
+                field.key ? parseField(field.key, key, entryContext) : key,
+                field.of ? parseField(field.of, entry, entryContext) : entry
+            ];
+        }));
+    },
+
+    // Instances are kept as they are, they were validated when they were created
+    model(value, field, context) {
+        if (typeof value !== 'object') fail(context, value, `must be a ${field.model.name}`);
+        return field.model.fromJSON(value);
+    },
+
+    // Plain nested objects with their own field schema
+    record(value, field, context) {
+        if (typeof value !== 'object' || Array.isArray(value)) fail(context, value, 'must be an object');
+        return parseFields(field.fields, value, { ...context, path: `${context.path}.` });
+    },
+
+    object(value, field, context) {
+        if (typeof value !== 'object' || Array.isArray(value)) fail(context, value, 'must be an object');
+        return value;
+    },
+
+    any: value => value
+};
+
+function fail({ modelName, path }, value, constraint) {
+    throw new ValidationError(path, value, constraint, `Invalid ${modelName} ${path}: ${constraint}`);
+}
+
+function parseFields(fields, data, context) {
+    const values = {};
+
+    for (const [name, field] of Object.entries(fields)) {
+        values[name] = parseField(field, data[name], { ...context, path: `${context.path}${name}`, values, data });
     }
 
-    #validate(data) {
-        // Override in subclasses
-        return true;
+    return values;
+}
+
+function parseField(field, value, context) {
+    if (value === undefined || value === null) {
+        if (field.required) fail(context, value, 'is required');
+        if (field.default === undefined) return null;
+
+        // Functions keep mutable or time-based defaults from being shared
+        return typeof field.default === 'function' ? field.default() : field.default;
     }
 
-    #transform(data) {
-        // Override in subclasses
-        return data;
+    const parse = FIELD_TYPES[field.type];
+    if (!parse) {
+        throw new Error(`Unknown field type: ${field.type}`);
     }
 
-    toJSON() {
-        return { ...this };
+    const parsed = parse(value, field, context);
+
+    const problem = field.validate?.(parsed, context.values);
+    if (problem) {
+        fail(context, value, problem);
     }
 
-    static fromJSON(json) {
-        return new this(json);
+    return field.transform ? field.transform(parsed, context.values, context.data) : parsed;
+}
+
+function serialize(value) {
+    if (value instanceof BaseModel) return value.toJSON();
+    if (value instanceof Map) return [...value].map(([key, entry]) => [serialize(key), serialize(entry)]);
+    if (Array.isArray(value)) return value.map(serialize);
+    if (typeof value === 'bigint') return value.toString();
+
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, serialize(entry)]));
     }
+
+    return value;
 }
 
 /**
- * Estfor Item Model
+ * Base Model with common functionality
+ *
+ * Subclasses declare their fields in a static schema rather than as class fields
+ * or constructor assignments, the instance is frozen before those would run:
+ *
+ *   static schema = {
+ *       tokenId: { type: 'tokenId', required: true },
+ *       status: { type: 'enum', values: ['open', 'filled'], default: 'open' },
+ *       remaining: { type: 'integer', min: 0, transform: (value, values) => Math.min(value, values.quantity) }
+ *   };
+ *
+ * Missing values fall back to `default` (called if it is a function) or null.
+ * Invalid values, or a `validate` returning a constraint message, throw a
+ * ValidationError naming the model and field.
  */
-export class EstforItem extends BaseModel {
-    constructor(data) {
-        super(data);
+export class BaseModel {
+    static schema = {};
+
+    constructor(data = {}) {
+        Object.assign(this, this.constructor.parse(data));
+        Object.freeze(this); // Immutable objects
     }
 
-    #validate(data) {
-        if (!data.id) {
-            throw new Error('Item ID is required');
-        }
+    static parse(data) {
+        const context = { modelName: this.name, path: '' };
 
-        const tokenIdValidation = validator.validateInput(data.id, 'tokenId');
-        if (!tokenIdValidation.isValid) {
-            throw new Error(`Invalid token ID: ${tokenIdValidation.errors.join(', ')}`);
+        if (data === null || typeof data !== 'object') {
+            fail({ ...context, path: 'data' }, data, 'must be an object');
         }
 
-        if (!data.name || typeof data.name !== 'string') {
-            throw new Error('Item name is required and must be a string');
-        }
+        return parseFields(this.schema, data, context);
+    }
 
-        return true;
+    // A copy with some fields changed, validated like a new instance
+    with(changes) {
+        return new this.constructor({ ...this, ...changes });
     }
 
-    #transform(data) {
-        const nameValidation = validator.validateInput(data.name, 'text');
+    toJSON() {
+        return serialize({ ...this });
+    }
 
-        return {
-            id: parseInt(data.id, 10),
-            name: nameValidation.sanitizedValue || data.name,
-            description: data.description ? validator.sanitizeHtml(data.description) : '',
-            image: data.image || '',
-            tier: data.tier || 0,
-            skill: data.skill || '',
-            isActive: Boolean(data.isActive ?? true),
-            metadata: data.metadata || {}
-        };
+    static fromJSON(json) {
+        return json instanceof this ? json : new this(json);
     }
+}
+
+// Zero is a valid amount but never a valid order price
+const positiveWei = value => (BigInt(value) > 0n ? null : 'must be greater than 0');
+
+/**
+ * Estfor Item Model
+ */
+export class EstforItem extends BaseModel {
+    static schema = {
+        id: { type: 'tokenId', required: true },
+        name: { type: 'text', required: true, options: { minLength: 1 } },
+        description: { type: 'string', default: '', transform: value => validator.sanitizeHtml(value) },
+        // Images from hosts outside the allow list are dropped rather than rejecting the item
+        image: { type: 'string', default: '', transform: value => (value ? validator.validateUrl(value).sanitizedUrl || '' : '') },
+        tier: { type: 'integer', min: 0, default: 0 },
+        skill: { type: 'string', default: '' },
+        isActive: { type: 'boolean', default: true },
+        metadata: { type: 'object', default: () => ({}) }
+    };
 
     get displayName() {
         return `${this.name} (#${this.id})`;
     }
 
     get imageUrl() {
-        if (!this.image) return '';
-
-        const urlValidation = validator.validateUrl(this.image);
-        return urlValidation.isValid ? urlValidation.sanitizedUrl : '';
+        // Checked against the allowed hosts when the item was created
+        return this.image;
     }
 }
 
@@ -90,95 +260,191 @@ export class EstforItem extends BaseModel {
  * Market Order Model
  */
 export class MarketOrder extends BaseModel {
-    constructor(data) {
-        super(data);
+    static schema = {
+        tokenId: { type: 'tokenId', required: true },
+        side: { type: 'enum', values: ['buy', 'sell'], required: true },
+        price: { type: 'wei', required: true, validate: positiveWei },
+        quantity: { type: 'quantity', required: true },
+        user: { type: 'string', default: '' },
+        timestamp: { type: 'timestamp', default: () => Date.now() },
+        status: { type: 'string', default: 'pending' },
+        txHash: { type: 'string' }
+    };
+
+    get sideNumeric() {
+        return config.get(`contracts.marketplace.orderSides.${this.side}`);
     }
 
-    #validate(data) {
-        const validations = [
-            { field: 'tokenId', type: 'tokenId', value: data.tokenId },
-            { field: 'price', type: 'price', value: data.price },
-            { field: 'quantity', type: 'quantity', value: data.quantity }
-        ];
+    // In wei
+    get totalValue() {
+        return orderTotal(this.price, this.quantity).toString();
+    }
 
-        for (const { field, type, value } of validations) {
-            const validation = validator.validateInput(value, type);
-            if (!validation.isValid) {
-                throw new Error(`Invalid ${field}: ${validation.errors.join(', ')}`);
-            }
-        }
+    get isExpired() {
+        // Orders expire after 30 days
+        const expiryTime = this.timestamp + (30 * 24 * 60 * 60 * 1000);
+        return Date.now() > expiryTime;
+    }
+}
 
-        if (!['buy', 'sell'].includes(data.side)) {
-            throw new Error('Order side must be either "buy" or "sell"');
-        }
+/**
+ * User Order Model
+ * An order placed by the connected wallet, verified against the order book
+ */
+export class UserOrder extends BaseModel {
+    static schema = {
+        orderId: { type: 'id', required: true },
+        tokenId: { type: 'tokenId', required: true },
+        side: { type: 'enum', values: ['buy', 'sell'], required: true },
+        price: { type: 'wei', required: true, validate: positiveWei },
+        quantity: { type: 'integer', min: 0, default: 0 },
+        // The book can't hold more than was placed
+        remaining: { type: 'integer', min: 0, default: 0, transform: (value, values) => Math.min(value, values.quantity) },
+        placedAt: { type: 'timestamp' },
+        isVerified: { type: 'boolean', default: false }
+    };
 
-        return true;
+    get sideNumeric() {
+        return config.get(`contracts.marketplace.orderSides.${this.side}`);
     }
 
-    #transform(data) {
-        const tokenIdValidation = validator.validateInput(data.tokenId, 'tokenId');
-        const priceValidation = validator.validateInput(data.price, 'price');
-        const quantityValidation = validator.validateInput(data.quantity, 'quantity');
-
-        return {
-            tokenId: tokenIdValidation.sanitizedValue,
-            side: data.side,
-            price: priceValidation.sanitizedValue,
-            quantity: quantityValidation.sanitizedValue,
-            user: data.user || '',
-            timestamp: data.timestamp || Date.now(),
-            status: data.status || 'pending',
-            txHash: data.txHash || null
-        };
+    get filled() {
+        return this.quantity - this.remaining;
     }
 
-    get sideNumeric() {
-        return this.side === 'sell' ? 0 : 1;
+    get isPartiallyFilled() {
+        return this.filled > 0 && this.remaining > 0;
     }
 
-    get totalValue() {
-        return this.price * this.quantity;
+    get fillPercent() {
+        if (this.quantity === 0) return 0;
+        return Math.round((this.filled / this.quantity) * 100);
     }
 
-    get isExpired() {
-        // Orders expire after 30 days
-        const expiryTime = this.timestamp + (30 * 24 * 60 * 60 * 1000);
-        return Date.now() > expiryTime;
+    // What is still on the book, in wei
+    get remainingValue() {
+        return orderTotal(this.price, this.remaining).toString();
     }
 }
 
+const PRICE_LEVEL = {
+    type: 'record',
+    fields: {
+        price: { type: 'wei', required: true },
+        quantity: { type: 'integer', min: 0, default: 0 },
+        orderCount: { type: 'integer', min: 1, default: 1 }
+    }
+};
+
+// Empty levels dropped, best price first: descending for bids (-1), ascending for asks (1)
+function sortLevels(levels, direction) {
+    return levels
+        .filter(level => level.quantity > 0)
+        .sort((a, b) => {
+            const diff = BigInt(a.price) - BigInt(b.price);
+            return diff === 0n ? 0 : (diff < 0n ? -direction : direction);
+        });
+}
+
 /**
- * User Balance Model
+ * Order Book Model
+ * Bids and asks aggregated by price level; prices are wei strings
  */
-export class UserBalance extends BaseModel {
-    constructor(data) {
-        super(data);
+export class OrderBook extends BaseModel {
+    static schema = {
+        tokenId: { type: 'tokenId', required: true },
+        bids: { type: 'array', of: PRICE_LEVEL, required: true, transform: levels => sortLevels(levels, -1) },
+        asks: { type: 'array', of: PRICE_LEVEL, required: true, transform: levels => sortLevels(levels, 1) },
+        source: { type: 'enum', values: ['api', 'chain'], default: 'api' },
+        updatedAt: { type: 'timestamp', default: () => Date.now() }
+    };
+
+    get bestBid() {
+        return this.bids[0] || null;
     }
 
-    #validate(data) {
-        const tokenIdValidation = validator.validateInput(data.tokenId, 'tokenId');
-        if (!tokenIdValidation.isValid) {
-            throw new Error(`Invalid token ID: ${tokenIdValidation.errors.join(', ')}`);
-        }
+    get bestAsk() {
+        return this.asks[0] || null;
+    }
 
-        const balanceValidation = validator.validateInput(data.balance, 'quantity');
-        if (!balanceValidation.isValid) {
-            throw new Error(`Invalid balance: ${balanceValidation.errors.join(', ')}`);
-        }
+    get spread() {
+        if (!this.bestBid || !this.bestAsk) return null;
+        return (BigInt(this.bestAsk.price) - BigInt(this.bestBid.price)).toString();
+    }
+
+    get midpoint() {
+        if (!this.bestBid || !this.bestAsk) return null;
+        return ((BigInt(this.bestAsk.price) + BigInt(this.bestBid.price)) / 2n).toString();
+    }
 
-        return true;
+    get totalBidQuantity() {
+        return this.bids.reduce((total, level) => total + level.quantity, 0);
     }
 
-    #transform(data) {
-        const tokenIdValidation = validator.validateInput(data.tokenId, 'tokenId');
-        const balanceValidation = validator.validateInput(data.balance, 'quantity');
+    get totalAskQuantity() {
+        return this.asks.reduce((total, level) => total + level.quantity, 0);
+    }
 
-        return {
-            tokenId: tokenIdValidation.sanitizedValue,
-            balance: balanceValidation.sanitizedValue,
-            lastUpdated: data.lastUpdated || Date.now()
-        };
+    get isEmpty() {
+        return this.bids.length === 0 && this.asks.length === 0;
+    }
+
+    depth(side, maxLevels = Infinity) {
+        const levels = side === 'buy' ? this.bids : this.asks;
+        return levels.slice(0, maxLevels);
+    }
+}
+
+/**
+ * Market Buy Plan Model
+ * How a market buy would sweep the ask side, shown to the user before signing
+ */
+export class MarketBuyPlan extends BaseModel {
+    static schema = {
+        tokenId: { type: 'tokenId', required: true },
+        requestedQuantity: { type: 'integer', min: 0, default: 0 },
+        maxPrice: { type: 'wei' },
+        fills: {
+            type: 'array',
+            required: true,
+            of: {
+                type: 'record',
+                fields: {
+                    price: { type: 'wei', required: true },
+                    quantity: { type: 'integer', min: 1, required: true }
+                }
+            }
+        },
+        fillableQuantity: { type: 'integer', min: 0, default: 0 },
+        totalCost: { type: 'wei', default: '0' },
+        averagePrice: { type: 'wei' },
+        bestPrice: { type: 'wei' },
+        worstPrice: { type: 'wei' },
+        slippagePercent: { type: 'number', default: 0 }
+    };
+
+    get hasFills() {
+        return this.fillableQuantity > 0;
+    }
+
+    get isComplete() {
+        return this.fillableQuantity >= this.requestedQuantity;
+    }
+
+    get shortfall() {
+        return Math.max(0, this.requestedQuantity - this.fillableQuantity);
     }
+}
+
+/**
+ * User Balance Model
+ */
+export class UserBalance extends BaseModel {
+    static schema = {
+        tokenId: { type: 'tokenId', required: true },
+        balance: { type: 'integer', min: 0, required: true },
+        lastUpdated: { type: 'timestamp', default: () => Date.now() }
+    };
 
     get hasBalance() {
         return this.balance > 0;
@@ -205,34 +471,21 @@ export class UserBalance extends BaseModel {
  * Transaction Result Model
  */
 export class TransactionResult extends BaseModel {
-    constructor(data) {
-        super(data);
-    }
-
-    #validate(data) {
-        if (data.success !== true && data.success !== false) {
-            throw new Error('Transaction result must have a boolean success field');
-        }
-
-        if (data.txHash && typeof data.txHash !== 'string') {
-            throw new Error('Transaction hash must be a string');
-        }
-
-        return true;
-    }
-
-    #transform(data) {
-        return {
-            success: Boolean(data.success),
-            txHash: data.txHash || null,
-            blockNumber: data.blockNumber || null,
-            gasUsed: data.gasUsed || null,
-            error: data.error || null,
-            timestamp: data.timestamp || Date.now(),
-            ordersCreated: data.ordersCreated || 0,
-            note: data.note || null
-        };
-    }
+    static schema = {
+        success: { type: 'boolean', required: true },
+        txHash: { type: 'string' },
+        blockNumber: { type: 'integer', min: 0 },
+        gasUsed: { type: 'wei' },
+        error: { type: 'string' },
+        timestamp: { type: 'timestamp', default: () => Date.now() },
+        side: { type: 'enum', values: ['buy', 'sell'] },
+        ordersCreated: { type: 'integer', min: 0, default: 0 },
+        ordersAttempted: { type: 'integer', min: 0, default: 0 },
+        ordersCancelled: { type: 'integer', min: 0, default: 0 },
+        amountClaimed: { type: 'wei' },
+        itemsClaimed: { type: 'integer', min: 0, default: 0 },
+        note: { type: 'string' }
+    };
 
     get explorerUrl() {
         if (!this.txHash) return null;
@@ -252,47 +505,176 @@ export class TransactionResult extends BaseModel {
 }
 
 /**
- * Wallet Connection Model
+ * Order Validation Report Model
+ * Per-order outcome of the pre-submission checks, so nothing is dropped silently
  */
-export class WalletConnection extends BaseModel {
-    constructor(data) {
-        super(data);
+export class OrderValidationReport extends BaseModel {
+    static schema = {
+        side: { type: 'enum', values: ['buy', 'sell'], required: true },
+        entries: {
+            type: 'array',
+            required: true,
+            of: {
+                type: 'record',
+                fields: {
+                    // As requested, it may be the reason the entry failed
+                    tokenId: { type: 'any' },
+                    status: { type: 'enum', values: ['ok', 'warning', 'error'], required: true },
+                    reasons: { type: 'array', of: { type: 'string' }, default: () => [] },
+                    request: { type: 'object' }
+                }
+            }
+        },
+        createdAt: { type: 'timestamp', default: () => Date.now() }
+    };
+
+    static createEntry(tokenId, request, errors = [], warnings = []) {
+        return {
+            tokenId,
+            status: errors.length > 0 ? 'error' : warnings.length > 0 ? 'warning' : 'ok',
+            reasons: [...errors, ...warnings],
+            request: errors.length > 0 ? null : request
+        };
     }
 
-    #validate(data) {
-        if (data.address) {
-            const addressValidation = validator.validateInput(data.address, 'address');
-            if (!addressValidation.isValid) {
-                throw new Error(`Invalid wallet address: ${addressValidation.errors.join(', ')}`);
-            }
-        }
+    get errorEntries() {
+        return this.entries.filter(entry => entry.status === 'error');
+    }
 
-        return true;
+    get warningEntries() {
+        return this.entries.filter(entry => entry.status === 'warning');
     }
 
-    #transform(data) {
-        let sanitizedAddress = null;
-        if (data.address) {
-            const addressValidation = validator.validateInput(data.address, 'address');
-            sanitizedAddress = addressValidation.sanitizedValue;
-        }
+    get hasErrors() {
+        return this.errorEntries.length > 0;
+    }
 
-        return {
-            address: sanitizedAddress,
-            isConnected: Boolean(data.isConnected),
-            chainId: data.chainId || null,
-            walletType: data.walletType || 'unknown',
-            lastConnected: data.lastConnected || Date.now()
-        };
+    get hasWarnings() {
+        return this.warningEntries.length > 0;
+    }
+
+    get validRequests() {
+        return this.entries.filter(entry => entry.status !== 'error').map(entry => entry.request);
+    }
+
+    get summary() {
+        const ready = this.entries.length - this.errorEntries.length;
+        return `${ready} of ${this.entries.length} orders ready, ${this.warningEntries.length} with warnings, ${this.errorEntries.length} excluded`;
+    }
+
+    get errorMessage() {
+        if (!this.hasErrors) return null;
+
+        return this.errorEntries
+            .map(entry => `Token ${entry.tokenId}: ${entry.reasons.join(', ')}`)
+            .join('; ');
+    }
+}
+
+/**
+ * Multi Transaction Result Model
+ * Aggregates the per-chunk results of a batch that was split across transactions
+ */
+export class MultiTransactionResult extends BaseModel {
+    static schema = {
+        chunks: { type: 'array', of: { type: 'model', model: TransactionResult }, required: true },
+        side: { type: 'enum', values: ['buy', 'sell'] },
+        error: { type: 'string' },
+        timestamp: { type: 'timestamp', default: () => Date.now() }
+    };
+
+    get successfulChunks() {
+        return this.chunks.filter(chunk => chunk.isSuccessful);
+    }
+
+    get failedChunks() {
+        return this.chunks.filter(chunk => !chunk.isSuccessful);
     }
 
+    get isSuccessful() {
+        return !this.error && this.chunks.length > 0 && this.failedChunks.length === 0;
+    }
+
+    get isPartial() {
+        return this.successfulChunks.length > 0 && this.failedChunks.length > 0;
+    }
+
+    get ordersCreated() {
+        return this.successfulChunks.reduce((total, chunk) => total + chunk.ordersCreated, 0);
+    }
+
+    get txHashes() {
+        return this.chunks.map(chunk => chunk.txHash).filter(Boolean);
+    }
+
+    get txHash() {
+        // Joined so single-result callers can keep displaying one field
+        return this.successfulChunks.map(chunk => chunk.txHash).join(', ') || null;
+    }
+
+    get chunkSummary() {
+        return this.chunks.map((chunk, index) => {
+            const label = `Transaction ${index + 1}/${this.chunks.length} (${chunk.ordersAttempted} orders)`;
+            return chunk.isSuccessful
+                ? `${label}: confirmed ${chunk.txHash}`
+                : `${label}: failed - ${chunk.errorMessage}`;
+        });
+    }
+
+    get errorMessage() {
+        if (this.isSuccessful) return null;
+        if (this.error) return this.error;
+        if (this.chunks.length === 0) return 'No transactions were sent';
+
+        return this.failedChunks
+            .map(chunk => `transaction ${this.chunks.indexOf(chunk) + 1}: ${chunk.errorMessage}`)
+            .join('; ');
+    }
+}
+
+/**
+ * Claimable Balance Model
+ * Proceeds and items waiting in the order book for the connected wallet
+ */
+export class ClaimableBalance extends BaseModel {
+    static schema = {
+        tokenOrderIds: { type: 'array', of: { type: 'id' }, required: true },
+        tokensClaimable: { type: 'wei', default: '0' },
+        nftOrderIds: { type: 'array', of: { type: 'id' }, required: true },
+        nftsClaimable: { type: 'integer', min: 0, default: 0 }
+    };
+
+    get hasClaimable() {
+        return this.tokenOrderIds.length > 0 || this.nftOrderIds.length > 0;
+    }
+
+    get orderCount() {
+        return this.tokenOrderIds.length + this.nftOrderIds.length;
+    }
+}
+
+/**
+ * Wallet Connection Model
+ */
+export class WalletConnection extends BaseModel {
+    static schema = {
+        address: { type: 'address' },
+        isConnected: { type: 'boolean', default: false },
+        isReadOnly: { type: 'boolean', default: false },
+        chainId: { type: 'integer', min: 1 },
+        walletType: { type: 'string', default: 'unknown' },
+        walletRdns: { type: 'string' },
+        error: { type: 'string' },
+        lastConnected: { type: 'timestamp', default: () => Date.now() }
+    };
+
     get shortAddress() {
         if (!this.address) return '';
         return `${this.address.slice(0, 6)}...${this.address.slice(-4)}`;
     }
 
     get isOnCorrectNetwork() {
-        return this.chainId === 146; // Sonic network
+        return this.chainId === config.get('networks.sonic.chainId');
     }
 }
 
@@ -300,21 +682,26 @@ export class WalletConnection extends BaseModel {
  * Application State Model
  */
 export class AppState extends BaseModel {
-    constructor(data) {
-        super(data);
-    }
-
-    #transform(data) {
-        return {
-            isLoading: Boolean(data.isLoading),
-            error: data.error || null,
-            items: Array.isArray(data.items) ? data.items.map(item => new EstforItem(item)) : [],
-            orders: Array.isArray(data.orders) ? data.orders.map(order => new MarketOrder(order)) : [],
-            balances: new Map(data.balances || []),
-            wallet: data.wallet ? new WalletConnection(data.wallet) : null,
-            lastUpdated: data.lastUpdated || Date.now()
-        };
-    }
+    static schema = {
+        isLoading: { type: 'boolean', default: false },
+        error: { type: 'string' },
+        items: { type: 'array', of: { type: 'model', model: EstforItem }, default: () => [] },
+        orders: { type: 'array', of: { type: 'model', model: MarketOrder }, default: () => [] },
+        userOrders: { type: 'array', of: { type: 'model', model: UserOrder }, default: () => [] },
+        // Amount held per token id
+        balances: { type: 'map', key: { type: 'tokenId' }, of: { type: 'integer', min: 0 }, default: () => new Map() },
+        orderBooks: { type: 'map', key: { type: 'tokenId' }, of: { type: 'model', model: OrderBook }, default: () => new Map() },
+        wallet: { type: 'model', model: WalletConnection },
+        // Order inputs as typed, kept so they survive a reload
+        drafts: {
+            type: 'map',
+            key: { type: 'tokenId' },
+            of: { type: 'record', fields: { price: { type: 'string' }, quantity: { type: 'string' } } },
+            default: () => new Map()
+        },
+        selectedItems: { type: 'array', of: { type: 'tokenId' }, default: () => [] },
+        lastUpdated: { type: 'timestamp', default: () => Date.now() }
+    };
 
     get connectedWallet() {
         return this.wallet?.isConnected ? this.wallet : null;
@@ -328,7 +715,31 @@ export class AppState extends BaseModel {
         return this.items.find(item => item.id === tokenId);
     }
 
+    getOrderBook(tokenId) {
+        return this.orderBooks.get(tokenId) || null;
+    }
+
     getBalanceForToken(tokenId) {
-        return this.balances.get(tokenId) || new UserBalance({ tokenId, balance: 0 });
+        return new UserBalance({ tokenId, balance: this.balances.get(tokenId) || 0 });
+    }
+
+    get portfolioValue() {
+        // Valued at the highest bid, what the holdings would fetch if sold now
+        let totalWei = 0n;
+        let pricedItems = 0;
+        let unpricedItems = 0;
+
+        for (const [tokenId, balance] of this.balances) {
+            const bestBid = this.getOrderBook(tokenId)?.bestBid;
+
+            if (bestBid) {
+                totalWei += BigInt(bestBid.price) * BigInt(balance);
+                pricedItems++;
+            } else {
+                unpricedItems++;
+            }
+        }
+
+        return { totalWei: totalWei.toString(), pricedItems, unpricedItems };
     }
 }
\ No newline at end of file
@@ -4,6 +4,14 @@
  */
 
 import { config } from '../config/index.js';
+import {
+    formatUnits,
+    isOnTick,
+    normalizeDecimal,
+    parseUnits,
+    roundToTick,
+    roundingModeForSide
+} from '../core/pricing/PriceMath.js';
 
 export class InputValidator {
     static #instance = null;
@@ -33,8 +41,9 @@ export class InputValidator {
     }
 
     #escapeHtml(unsafe) {
+        // Existing entities are left alone so sanitizing twice doesn't change the text
         return unsafe
-            .replace(/&/g, "&amp;")
+            .replace(/&(?!(?:amp|lt|gt|quot|#039);)/g, "&amp;")
             .replace(/</g, "&lt;")
             .replace(/>/g, "&gt;")
             .replace(/"/g, "&quot;")
@@ -71,7 +80,7 @@ export class InputValidator {
         // Type-specific validation
         switch (type) {
             case 'price':
-                return this.#validatePrice(value);
+                return this.#validatePrice(value, options);
             case 'quantity':
                 return this.#validateQuantity(value);
             case 'tokenId':
@@ -86,35 +95,54 @@ export class InputValidator {
         }
     }
 
-    #validatePrice(value) {
+    #validatePrice(value, options = {}) {
         const result = { isValid: false, sanitizedValue: null, errors: [] };
         const rules = config.get('validation.price');
 
-        // Convert to number
-        const numValue = parseFloat(value);
+        // Work on decimal strings, floats can't represent most prices exactly
+        const decimalValue = normalizeDecimal(value);
 
-        if (isNaN(numValue)) {
+        if (decimalValue === null) {
             result.errors.push('Price must be a valid number');
             return result;
         }
 
-        if (numValue < rules.min) {
-            result.errors.push(`Price must be at least ${rules.min} ETH`);
+        let priceUnits;
+        try {
+            priceUnits = parseUnits(decimalValue, rules.decimals);
+        } catch (error) {
+            result.errors.push(`Price can have at most ${rules.decimals} decimal places`);
             return result;
         }
 
-        if (numValue > rules.max) {
-            result.errors.push(`Price cannot exceed ${rules.max} ETH`);
+        if (priceUnits <= 0n) {
+            result.errors.push('Price must be greater than 0');
             return result;
         }
 
-        if (numValue <= 0) {
-            result.errors.push('Price must be greater than 0');
+        if (priceUnits < parseUnits(rules.min, rules.decimals)) {
+            result.errors.push(`Price must be at least ${normalizeDecimal(rules.min)} ETH`);
+            return result;
+        }
+
+        if (priceUnits > parseUnits(rules.max, rules.decimals)) {
+            result.errors.push(`Price cannot exceed ${normalizeDecimal(rules.max)} ETH`);
+            return result;
+        }
+
+        // Tick size is per token and only known once read from the contract
+        if (options.tick && !isOnTick(priceUnits, options.tick)) {
+            const nearest = roundToTick(priceUnits, options.tick, roundingModeForSide(options.side));
+            // A sell below one tick rounds to zero, the tick itself is the lowest price there is
+            result.errors.push(
+                `Price must be a multiple of ${formatUnits(options.tick, rules.decimals)}. ` +
+                `Nearest valid price: ${formatUnits(nearest === 0n ? options.tick : nearest, rules.decimals)}`
+            );
             return result;
         }
 
         result.isValid = true;
-        result.sanitizedValue = numValue;
+        result.sanitizedValue = decimalValue;
         return result;
     }
 
@@ -122,31 +150,33 @@ export class InputValidator {
         const result = { isValid: false, sanitizedValue: null, errors: [] };
         const rules = config.get('validation.quantity');
 
-        // Convert to integer
-        const intValue = parseInt(value, 10);
+        // Parsed exactly like prices, a float would silently round large or fractional input
+        const decimalValue = normalizeDecimal(value);
 
-        if (isNaN(intValue)) {
+        if (decimalValue === null) {
             result.errors.push('Quantity must be a valid number');
             return result;
         }
 
-        if (intValue < rules.min) {
-            result.errors.push(`Quantity must be at least ${rules.min}`);
+        if (decimalValue.includes('.')) {
+            result.errors.push('Quantity must be a whole number');
             return result;
         }
 
-        if (intValue > rules.max) {
-            result.errors.push(`Quantity cannot exceed ${rules.max}`);
+        const intValue = BigInt(decimalValue);
+
+        if (intValue < BigInt(rules.min)) {
+            result.errors.push(`Quantity must be at least ${rules.min}`);
             return result;
         }
 
-        if (!Number.isInteger(intValue) || intValue !== parseFloat(value)) {
-            result.errors.push('Quantity must be a whole number');
+        if (intValue > BigInt(rules.max)) {
+            result.errors.push(`Quantity cannot exceed ${rules.max}`);
             return result;
         }
 
         result.isValid = true;
-        result.sanitizedValue = intValue;
+        result.sanitizedValue = Number(intValue);
         return result;
     }
 
@@ -277,17 +307,26 @@ export class InputValidator {
     static #rateLimits = new Map();
 
     checkRateLimit(key, maxRequests = 10, windowMs = 60000) {
-        const now = Date.now();
-        const windowStart = now - windowMs;
+        const check = this.peekRateLimit(key, maxRequests, windowMs);
 
-        if (!InputValidator.#rateLimits.has(key)) {
-            InputValidator.#rateLimits.set(key, []);
+        if (check.allowed) {
+            // Add current request
+            InputValidator.#rateLimits.get(key).push(Date.now());
         }
 
-        const requests = InputValidator.#rateLimits.get(key);
+        return check;
+    }
+
+    /**
+     * Same answer as checkRateLimit without counting a request, for flows that have to
+     * know several limits allow them before starting
+     */
+    peekRateLimit(key, maxRequests = 10, windowMs = 60000) {
+        const now = Date.now();
+        const windowStart = now - windowMs;
 
         // Remove old requests
-        const recentRequests = requests.filter(timestamp => timestamp > windowStart);
+        const recentRequests = (InputValidator.#rateLimits.get(key) ?? []).filter(timestamp => timestamp > windowStart);
         InputValidator.#rateLimits.set(key, recentRequests);
 
         if (recentRequests.length >= maxRequests) {
@@ -297,8 +336,6 @@ export class InputValidator {
             };
         }
 
-        // Add current request
-        recentRequests.push(now);
         return { allowed: true };
     }
 
@@ -0,0 +1,302 @@
+/**
+ * API Router
+ * REST endpoints of the local server. Proxies api.estfor.com and reads the order book
+ * and item balances over RPC, caching both so every browser shares one set of requests.
+ *
+ *   GET /api/health
+ *   GET /api/items
+ *   GET /api/orders                            (every open order)
+ *   GET /api/orders/:tokenId
+ *   GET /api/orders?maker=0x...
+ *   GET /api/players/:address/items
+ *   GET /api/prices?tokenIds=1,2,3
+ *   GET /api/balances/:address?tokenIds=1,2,3   (all catalogue items when omitted)
+ */
+
+import { config } from '../config/index.js';
+import { OrderBookCore } from '../core/orderbook/OrderBookCore.js';
+import { ERC1155_ABI } from '../core/orderbook/abi.js';
+import { ServerCache } from './ServerCache.js';
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export class ApiRouter {
+    #ethers;
+    #cache;
+    #provider = null;
+    #orderBook = null;
+    #itemsContract = null;
+
+    #routes = [
+        { pattern: /^\/api\/health$/, handler: () => this.#health() },
+        { pattern: /^\/api\/items$/, handler: () => this.#catalogue() },
+        { pattern: /^\/api\/orders\/(\d+)$/, handler: (params, [tokenId]) => this.#ordersForToken(tokenId) },
+        { pattern: /^\/api\/orders$/, handler: params => (params.has('maker') ? this.#ordersForMaker(params.get('maker')) : this.#allOrders()) },
+        { pattern: /^\/api\/players\/(0x[0-9a-fA-F]{40})\/items$/, handler: (params, [address]) => this.#playerItems(address) },
+        { pattern: /^\/api\/prices$/, handler: params => this.#prices(params) },
+        { pattern: /^\/api\/balances\/(0x[0-9a-fA-F]{40})$/, handler: (params, [address]) => this.#balances(address, params) }
+    ];
+
+    constructor(ethers, cache = new ServerCache()) {
+        this.#ethers = ethers;
+        this.#cache = cache;
+    }
+
+    /**
+     * Answer the request when it is for /api, returns false for everything else
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (!url.pathname.startsWith('/api/')) {
+            return false;
+        }
+
+        try {
+            if (req.method !== 'GET') {
+                throw new HttpError(405, `${req.method} is not supported`);
+            }
+
+            const route = this.#routes.find(({ pattern }) => pattern.test(url.pathname));
+            if (!route) {
+                throw new HttpError(404, `Unknown endpoint ${url.pathname}`);
+            }
+
+            const match = url.pathname.match(route.pattern).slice(1);
+            const { value, hit } = await route.handler(url.searchParams, match);
+
+            this.#sendJson(res, 200, value, hit ? 'HIT' : 'MISS');
+
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 502;
+            if (status === 502) {
+                console.error(`API ${url.pathname} failed:`, error.message);
+            }
+            this.#sendJson(res, status, { error: error.message });
+        }
+
+        return true;
+    }
+
+    get cache() {
+        return this.#cache;
+    }
+
+    #health() {
+        return { value: { ok: true, upstream: config.get('api.estfor.baseUrl'), cachedEntries: this.#cache.size }, hit: false };
+    }
+
+    #catalogue() {
+        return this.#cache.getOrLoad('items', this.#ttl('items'), () => this.#fetchUpstream('/items'));
+    }
+
+    #allOrders() {
+        return this.#cache.getOrLoad('orders:all', this.#ttl('orders'), () => this.#fetchUpstream('/orders'));
+    }
+
+    #ordersForToken(tokenId) {
+        return this.#cache.getOrLoad(`orders:token:${tokenId}`, this.#ttl('orders'),
+            () => this.#fetchUpstream(`/orders?tokenId=${tokenId}`));
+    }
+
+    #ordersForMaker(maker) {
+        const address = this.#parseAddress(maker);
+
+        return this.#cache.getOrLoad(`orders:maker:${address}`, this.#ttl('orders'),
+            () => this.#fetchUpstream(`/orders?maker=${address}`));
+    }
+
+    #playerItems(address) {
+        const player = this.#parseAddress(address);
+
+        return this.#cache.getOrLoad(`players:${player}:items`, this.#ttl('balances'),
+            () => this.#fetchUpstream(`/players/${player}/items`));
+    }
+
+    async #prices(params) {
+        const tokenIds = this.#parseTokenIds(params.get('tokenIds'));
+        if (tokenIds.length === 0) {
+            throw new HttpError(400, 'tokenIds is required');
+        }
+
+        // Cached per token so overlapping requests from different pages share reads
+        const books = await this.#mapConcurrent(tokenIds, async tokenId => {
+            const { value } = await this.#cache.getOrLoad(`prices:${tokenId}`, this.#ttl('prices'),
+                () => this.#readTopOfBook(tokenId));
+            return value;
+        });
+
+        return { value: { books, updatedAt: Date.now() }, hit: false };
+    }
+
+    async #balances(address, params) {
+        const owner = this.#parseAddress(address);
+        let tokenIds = this.#parseTokenIds(params.get('tokenIds'));
+
+        if (tokenIds.length === 0) {
+            const { value: items } = await this.#catalogue();
+            tokenIds = (Array.isArray(items) ? items : []).map(item => String(item.id)).filter(id => /^\d+$/.test(id));
+        }
+
+        const key = `balances:${owner}:${tokenIds.join(',')}`;
+
+        return this.#cache.getOrLoad(key, this.#ttl('balances'), async () => {
+            const balances = await this.#readBalances(owner, tokenIds);
+            return { address: owner, balances, updatedAt: Date.now() };
+        });
+    }
+
+    async #fetchUpstream(path) {
+        const apiConfig = config.get('api.estfor');
+        const response = await fetch(`${apiConfig.baseUrl}${path}`, {
+            headers: { 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(apiConfig.timeout)
+        });
+
+        // Passed on so the browser can tell an unknown player from a failing upstream
+        if (response.status === 404) {
+            throw new HttpError(404, `Upstream ${path} not found`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Upstream ${path} failed: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    // Same shape as the browser's OrderBook model: best level on each side with its depth
+    async #readTopOfBook(tokenId) {
+        const contract = this.#getOrderBook();
+        const sides = config.get('contracts.marketplace.orderSides');
+
+        const [highestBid, lowestAsk] = await Promise.all([
+            contract.getHighestBid(tokenId),
+            contract.getLowestAsk(tokenId)
+        ]);
+
+        const readLevel = async (side, price) => {
+            // A zero price means the side of the book is empty
+            if (price.isZero()) return [];
+
+            const levelOrders = await contract.allOrdersAtPrice(side, tokenId, price);
+            return [{
+                price: price.toString(),
+                quantity: levelOrders.reduce((total, order) => total + Number(order.quantity), 0),
+                orderCount: levelOrders.length
+            }];
+        };
+
+        const [bids, asks] = await Promise.all([
+            readLevel(sides.buy, highestBid),
+            readLevel(sides.sell, lowestAsk)
+        ]);
+
+        return { tokenId: Number(tokenId), bids, asks };
+    }
+
+    async #readBalances(owner, tokenIds) {
+        const batchSize = config.get('app.reads.balanceBatchSize');
+        const chunks = [];
+
+        for (let start = 0; start < tokenIds.length; start += batchSize) {
+            chunks.push(tokenIds.slice(start, start + batchSize));
+        }
+
+        const results = await this.#mapConcurrent(chunks, chunk =>
+            this.#getItems().balanceOfBatch(new Array(chunk.length).fill(owner), chunk));
+
+        const balances = {};
+        chunks.forEach((chunk, index) => {
+            chunk.forEach((tokenId, position) => {
+                balances[tokenId] = results[index][position].toString();
+            });
+        });
+
+        return balances;
+    }
+
+    // Run fn over items with at most readConcurrency calls in flight
+    async #mapConcurrent(items, fn) {
+        const concurrency = config.get('server.readConcurrency');
+        const results = [];
+
+        for (let start = 0; start < items.length; start += concurrency) {
+            results.push(...await Promise.all(items.slice(start, start + concurrency).map(fn)));
+        }
+
+        return results;
+    }
+
+    #parseTokenIds(value) {
+        if (!value) return [];
+
+        const tokenIds = [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))];
+        const invalid = tokenIds.filter(id => !/^\d+$/.test(id));
+
+        if (invalid.length > 0) {
+            throw new HttpError(400, `Invalid token ids: ${invalid.join(', ')}`);
+        }
+
+        const maxTokenIds = config.get('server.maxTokenIds');
+        if (tokenIds.length > maxTokenIds) {
+            throw new HttpError(400, `At most ${maxTokenIds} token ids per request`);
+        }
+
+        return tokenIds;
+    }
+
+    #parseAddress(value) {
+        if (!value || !this.#ethers.utils.isAddress(value)) {
+            throw new HttpError(400, `Invalid address: ${value}`);
+        }
+
+        return value.toLowerCase();
+    }
+
+    #ttl(name) {
+        return config.get(`server.cacheTtl.${name}`);
+    }
+
+    #getProvider() {
+        if (!this.#provider) {
+            this.#provider = new this.#ethers.providers.JsonRpcProvider(
+                config.get('networks.sonic.rpcUrl'),
+                config.get('networks.sonic.chainId')
+            );
+        }
+
+        return this.#provider;
+    }
+
+    #getOrderBook() {
+        if (!this.#orderBook) {
+            this.#orderBook = OrderBookCore.createContract(this.#ethers, config.getContractAddress('marketplace'), this.#getProvider());
+        }
+
+        return this.#orderBook;
+    }
+
+    #getItems() {
+        if (!this.#itemsContract) {
+            this.#itemsContract = new this.#ethers.Contract(config.getContractAddress('items'), ERC1155_ABI, this.#getProvider());
+        }
+
+        return this.#itemsContract;
+    }
+
+    #sendJson(res, status, body, cacheStatus = null) {
+        const headers = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
+        if (cacheStatus) {
+            headers['X-Cache'] = cacheStatus;
+        }
+
+        res.writeHead(status, headers);
+        res.end(JSON.stringify(body));
+    }
+}
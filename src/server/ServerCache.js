@@ -0,0 +1,56 @@
+/**
+ * Server Cache
+ * TTL cache shared by every browser talking to the local API server. Concurrent
+ * requests for the same key wait on one upstream load instead of each sending their own.
+ */
+
+export class ServerCache {
+    #entries = new Map();
+    #pending = new Map();
+
+    /**
+     * Cached value for key, or the result of loader() cached for ttlMs.
+     * Returns { value, hit } so responses can report whether they came from cache.
+     */
+    async getOrLoad(key, ttlMs, loader) {
+        const cached = this.#entries.get(key);
+
+        if (cached && Date.now() <= cached.expiry) {
+            return { value: cached.value, hit: true };
+        }
+
+        if (this.#pending.has(key)) {
+            return { value: await this.#pending.get(key), hit: true };
+        }
+
+        const load = loader();
+        this.#pending.set(key, load);
+
+        try {
+            const value = await load;
+            this.#entries.set(key, { value, expiry: Date.now() + ttlMs });
+            return { value, hit: false };
+        } finally {
+            this.#pending.delete(key);
+        }
+    }
+
+    // Drop expired entries, called periodically so per-address keys don't pile up
+    prune() {
+        const now = Date.now();
+
+        for (const [key, entry] of this.#entries) {
+            if (now > entry.expiry) {
+                this.#entries.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.#entries.clear();
+    }
+
+    get size() {
+        return this.#entries.size;
+    }
+}
@@ -4,20 +4,42 @@
  */
 
 import { config } from '../config/index.js';
-import { EstforItem } from '../models/index.js';
+import { EstforItem, MarketOrder, OrderBook, UserBalance, UserOrder } from '../models/index.js';
 import { validator } from '../security/InputValidator.js';
 
 export class ApiService {
     static #instance = null;
+    #injected;
     #cache = new Map();
     #pendingRequests = new Map();
-
-    constructor() {
-        if (ApiService.#instance) {
+    #proxyCheck = null;
+
+    /**
+     * @param {object|null} dependencies - { fetch, ethers, now } overrides for tests.
+     *   Given dependencies make a standalone instance instead of the shared one.
+     */
+    constructor(dependencies = null) {
+        if (!dependencies && ApiService.#instance) {
             return ApiService.#instance;
         }
 
-        ApiService.#instance = this;
+        this.#injected = dependencies || {};
+
+        if (!dependencies) {
+            ApiService.#instance = this;
+        }
+    }
+
+    get #ethers() {
+        return this.#injected.ethers ?? window.ethers;
+    }
+
+    #fetch(url, options) {
+        return (this.#injected.fetch ?? fetch)(url, options);
+    }
+
+    #now() {
+        return this.#injected.now ? this.#injected.now() : Date.now();
     }
 
     async fetchEstforItems() {
@@ -50,7 +72,7 @@ export class ApiService {
 
     async #fetchItemsFromApi() {
         const apiConfig = config.get('api.estfor');
-        const url = `${apiConfig.baseUrl}/items`;
+        const url = await this.#resolveUrl('/items', '/items');
 
         // Rate limiting
         const rateLimitCheck = validator.checkRateLimit('api-items', 10, 60000);
@@ -62,7 +84,7 @@ export class ApiService {
         const timeoutId = setTimeout(() => controller.abort(), apiConfig.timeout);
 
         try {
-            const response = await fetch(url, {
+            const response = await this.#fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -102,28 +124,8 @@ export class ApiService {
 
         for (const itemData of data) {
             try {
-                // Validate each item
-                if (!itemData.id || !itemData.name) {
-                    continue; // Skip invalid items
-                }
-
-                // Sanitize and validate image URL
-                let imageUrl = '';
-                if (itemData.image) {
-                    const urlValidation = validator.validateUrl(itemData.image);
-                    imageUrl = urlValidation.isValid ? urlValidation.sanitizedUrl : '';
-                }
-
-                const item = new EstforItem({
-                    id: itemData.id,
-                    name: itemData.name,
-                    description: itemData.description || '',
-                    image: imageUrl,
-                    tier: itemData.tier || 0,
-                    skill: itemData.skill || '',
-                    isActive: itemData.isActive !== false,
-                    metadata: itemData.metadata || {}
-                });
+                // The item schema validates the id and name and drops untrusted images
+                const item = EstforItem.fromJSON(itemData);
 
                 items.push(item);
 
@@ -146,7 +148,7 @@ export class ApiService {
 
         try {
             const apiConfig = config.get('api.estfor');
-            const url = `${apiConfig.baseUrl}/orders`;
+            const url = await this.#resolveUrl('/orders', '/orders');
 
             // Rate limiting
             const rateLimitCheck = validator.checkRateLimit('api-orders', 10, 60000);
@@ -157,7 +159,7 @@ export class ApiService {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), apiConfig.timeout);
 
-            const response = await fetch(url, {
+            const response = await this.#fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json'
@@ -186,21 +188,28 @@ export class ApiService {
     }
 
     #processOrdersData(data) {
-        if (!Array.isArray(data)) {
+        const rawOrders = Array.isArray(data) ? data : data?.orders;
+
+        if (!Array.isArray(rawOrders)) {
             return [];
         }
 
         const orders = [];
 
-        for (const orderData of data) {
+        for (const orderData of rawOrders) {
             try {
-                const order = new MarketOrder({
+                const remaining = parseInt(orderData.amountRemaining ?? orderData.quantity, 10) || 0;
+                if (remaining === 0) {
+                    continue; // Fully filled or cancelled
+                }
+
+                const order = MarketOrder.fromJSON({
                     tokenId: orderData.tokenId,
-                    side: orderData.side,
-                    price: orderData.price,
-                    quantity: orderData.quantity,
-                    user: orderData.user,
-                    timestamp: orderData.timestamp || Date.now()
+                    side: orderData.side ?? (orderData.isBuyOrder ? 'buy' : 'sell'),
+                    price: orderData.price.toString(),
+                    quantity: remaining,
+                    user: orderData.user ?? orderData.maker,
+                    timestamp: orderData.timestamp ?? orderData.createdAt
                 });
 
                 orders.push(order);
@@ -213,6 +222,207 @@ export class ApiService {
         return orders;
     }
 
+    async fetchOrderBook(tokenId) {
+        const tokenIdValidation = validator.validateInput(tokenId, 'tokenId');
+        if (!tokenIdValidation.isValid) {
+            throw new Error(`Invalid token ID: ${tokenIdValidation.errors.join(', ')}`);
+        }
+
+        const id = tokenIdValidation.sanitizedValue;
+        const cacheKey = `order-book-${id}`;
+        const cachedData = this.#getFromCache(cacheKey);
+
+        if (cachedData) {
+            return cachedData;
+        }
+
+        const apiConfig = config.get('api.estfor');
+        const url = await this.#resolveUrl(`/orders?tokenId=${id}`, `/orders/${id}`);
+
+        // Rate limiting
+        const rateLimitCheck = validator.checkRateLimit('api-order-book', 30, 60000);
+        if (!rateLimitCheck.allowed) {
+            throw new Error(`API rate limit exceeded. Try again in ${rateLimitCheck.resetTime} seconds.`);
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), apiConfig.timeout);
+
+        try {
+            const response = await this.#fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+
+            if (!response.ok) {
+                throw new Error(`Orders API request failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            const orderBook = OrderBook.fromJSON({
+                tokenId: id,
+                bids: this.#processOrderLevelsData(data, true),
+                asks: this.#processOrderLevelsData(data, false),
+                source: 'api',
+                updatedAt: Date.now()
+            });
+
+            this.#setCache(cacheKey, orderBook, 15000); // Cache for 15 seconds
+            return orderBook;
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError') {
+                throw new Error('Orders API request timed out');
+            }
+
+            throw error;
+        }
+    }
+
+    #processOrderLevelsData(data, isBuyOrder) {
+        const rawOrders = Array.isArray(data) ? data : data?.orders;
+
+        if (!Array.isArray(rawOrders)) {
+            return [];
+        }
+
+        // Aggregate remaining quantity per price level, prices stay in wei
+        const levelsByPrice = new Map();
+
+        for (const orderData of rawOrders) {
+            if (Boolean(orderData.isBuyOrder) !== isBuyOrder) {
+                continue;
+            }
+
+            const remaining = parseInt(orderData.amountRemaining ?? orderData.quantity, 10) || 0;
+            if (remaining === 0 || orderData.price === undefined) {
+                continue;
+            }
+
+            const price = this.#ethers.BigNumber.from(orderData.price.toString()).toString();
+            const level = levelsByPrice.get(price) || { price, quantity: 0, orderCount: 0 };
+
+            level.quantity += remaining;
+            level.orderCount += 1;
+            levelsByPrice.set(price, level);
+        }
+
+        // Best price first: highest bid, lowest ask
+        return Array.from(levelsByPrice.values()).sort((a, b) => {
+            const diff = BigInt(a.price) - BigInt(b.price);
+            const ascending = diff === 0n ? 0 : (diff < 0n ? -1 : 1);
+            return isBuyOrder ? -ascending : ascending;
+        });
+    }
+
+    async fetchOrdersByMaker(makerAddress, options = {}) {
+        // Validate maker address
+        const addressValidation = validator.validateInput(makerAddress, 'address');
+        if (!addressValidation.isValid) {
+            throw new Error(`Invalid maker address: ${addressValidation.errors.join(', ')}`);
+        }
+
+        const maker = addressValidation.sanitizedValue;
+        const includeFilled = Boolean(options.includeFilled);
+        const cacheKey = `maker-orders-${maker}-${includeFilled ? 'all' : 'open'}`;
+        const cachedData = this.#getFromCache(cacheKey);
+
+        if (cachedData) {
+            return cachedData;
+        }
+
+        const apiConfig = config.get('api.estfor');
+        const url = await this.#resolveUrl(`/orders?maker=${maker}`, `/orders?maker=${maker}`);
+
+        // Rate limiting per maker
+        const rateLimitCheck = validator.checkRateLimit(`maker-orders-${maker}`, 10, 60000);
+        if (!rateLimitCheck.allowed) {
+            throw new Error(`Rate limit exceeded for order data. Try again in ${rateLimitCheck.resetTime} seconds.`);
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), apiConfig.timeout);
+
+        try {
+            const response = await this.#fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+
+            if (!response.ok) {
+                throw new Error(`Orders API request failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            const orders = this.#processMakerOrdersData(data, maker, includeFilled);
+
+            this.#setCache(cacheKey, orders, 30000); // Cache for 30 seconds
+            return orders;
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError') {
+                throw new Error('Orders API request timed out');
+            }
+
+            throw error;
+        }
+    }
+
+    #processMakerOrdersData(data, maker, includeFilled = false) {
+        const rawOrders = Array.isArray(data) ? data : data?.orders;
+
+        if (!Array.isArray(rawOrders)) {
+            return [];
+        }
+
+        const orders = [];
+
+        for (const orderData of rawOrders) {
+            try {
+                // The API filter is advisory, only keep orders we actually made
+                if (orderData.maker && orderData.maker.toLowerCase() !== maker) {
+                    continue;
+                }
+
+                const remaining = parseInt(orderData.amountRemaining ?? orderData.quantity, 10) || 0;
+                if (remaining === 0 && !includeFilled) {
+                    continue; // Fully filled or cancelled
+                }
+
+                const order = UserOrder.fromJSON({
+                    orderId: orderData.id ?? orderData.orderId,
+                    tokenId: orderData.tokenId,
+                    side: orderData.isBuyOrder ? 'buy' : 'sell',
+                    price: orderData.price.toString(),
+                    quantity: orderData.quantity ?? remaining,
+                    remaining,
+                    placedAt: orderData.createdAt
+                });
+
+                orders.push(order);
+
+            } catch (error) {
+                console.warn(`Failed to process order ${orderData?.id}:`, error);
+            }
+        }
+
+        return orders;
+    }
+
     async fetchPlayerItems(playerAddress) {
         // Validate player address
         const addressValidation = validator.validateInput(playerAddress, 'address');
@@ -229,7 +439,8 @@ export class ApiService {
 
         try {
             const apiConfig = config.get('api.estfor');
-            const url = `${apiConfig.baseUrl}/players/${addressValidation.sanitizedValue}/items`;
+            const itemsPath = `/players/${addressValidation.sanitizedValue}/items`;
+            const url = await this.#resolveUrl(itemsPath, itemsPath);
 
             // Rate limiting per player
             const rateLimitCheck = validator.checkRateLimit(`player-${addressValidation.sanitizedValue}`, 5, 60000);
@@ -240,7 +451,7 @@ export class ApiService {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), apiConfig.timeout);
 
-            const response = await fetch(url, {
+            const response = await this.#fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json'
@@ -278,10 +489,9 @@ export class ApiService {
 
         for (const itemData of data) {
             try {
-                const item = new (require('../models/index.js')).UserBalance({
+                const item = UserBalance.fromJSON({
                     tokenId: itemData.tokenId,
-                    balance: itemData.balance || 0,
-                    lastUpdated: Date.now()
+                    balance: itemData.balance || 0
                 });
 
                 items.push(item);
@@ -294,6 +504,120 @@ export class ApiService {
         return items;
     }
 
+    /**
+     * Top of book for many tokens from the local API server, which reads and caches
+     * them on-chain. Only available when hasProxy() is true.
+     */
+    async fetchTopOfBooks(tokenIds) {
+        const proxyUrl = await this.#getProxyBaseUrl();
+        if (!proxyUrl) {
+            throw new Error('Local API server is not available');
+        }
+
+        const maxTokenIds = config.get('server.maxTokenIds');
+        const booksById = new Map();
+
+        for (let start = 0; start < tokenIds.length; start += maxTokenIds) {
+            const chunk = tokenIds.slice(start, start + maxTokenIds);
+            const data = await this.#fetchProxyJson(`${proxyUrl}/prices?tokenIds=${chunk.join(',')}`);
+
+            for (const book of data.books || []) {
+                booksById.set(String(book.tokenId), book);
+            }
+        }
+
+        return tokenIds.map(tokenId => OrderBook.fromJSON({
+            tokenId,
+            bids: booksById.get(String(tokenId))?.bids || [],
+            asks: booksById.get(String(tokenId))?.asks || [],
+            source: 'chain',
+            updatedAt: Date.now()
+        }));
+    }
+
+    /**
+     * Item balances from the local API server as a Map of tokenId to amount.
+     * Not cached here, BalanceService caches per block.
+     */
+    async fetchBalances(address, tokenIds) {
+        const proxyUrl = await this.#getProxyBaseUrl();
+        if (!proxyUrl) {
+            throw new Error('Local API server is not available');
+        }
+
+        const addressValidation = validator.validateInput(address, 'address');
+        if (!addressValidation.isValid) {
+            throw new Error(`Invalid address: ${addressValidation.errors.join(', ')}`);
+        }
+
+        const maxTokenIds = config.get('server.maxTokenIds');
+        const balances = new Map();
+
+        for (let start = 0; start < tokenIds.length; start += maxTokenIds) {
+            const chunk = tokenIds.slice(start, start + maxTokenIds);
+            const data = await this.#fetchProxyJson(
+                `${proxyUrl}/balances/${addressValidation.sanitizedValue}?tokenIds=${chunk.join(',')}`
+            );
+
+            for (const tokenId of chunk) {
+                balances.set(tokenId, Number(data.balances?.[tokenId] ?? 0));
+            }
+        }
+
+        return balances;
+    }
+
+    async hasProxy() {
+        return (await this.#getProxyBaseUrl()) !== null;
+    }
+
+    // Same-origin API when src/index.js serves the app, checked once per page load
+    #getProxyBaseUrl() {
+        if (!this.#proxyCheck) {
+            this.#proxyCheck = this.#checkProxy();
+        }
+        return this.#proxyCheck;
+    }
+
+    async #checkProxy() {
+        const proxyConfig = config.get('api.proxy');
+        if (!proxyConfig?.enabled || typeof window === 'undefined') {
+            return null;
+        }
+
+        try {
+            const response = await this.#fetch(`${proxyConfig.baseUrl}/health`, {
+                headers: { 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(2000)
+            });
+            const health = response.ok ? await response.json() : null;
+
+            return health?.ok ? proxyConfig.baseUrl : null;
+        } catch (error) {
+            // Static hosting without the API server, talk to the Estfor API directly
+            return null;
+        }
+    }
+
+    async #resolveUrl(upstreamPath, proxyPath) {
+        const proxyUrl = await this.#getProxyBaseUrl();
+        return proxyUrl ? `${proxyUrl}${proxyPath}` : `${config.get('api.estfor.baseUrl')}${upstreamPath}`;
+    }
+
+    async #fetchProxyJson(url) {
+        const response = await this.#fetch(url, {
+            headers: { 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(config.get('api.estfor.timeout'))
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Local API request failed: ${data.error || `${response.status} ${response.statusText}`}`);
+        }
+
+        return data;
+    }
+
     // Cache management
     #getFromCache(key) {
         const cached = this.#cache.get(key);
@@ -302,7 +626,7 @@ export class ApiService {
             return null;
         }
 
-        if (Date.now() > cached.expiry) {
+        if (this.#now() > cached.expiry) {
             this.#cache.delete(key);
             return null;
         }
@@ -313,7 +637,7 @@ export class ApiService {
     #setCache(key, data, ttlMs) {
         this.#cache.set(key, {
             data,
-            expiry: Date.now() + ttlMs
+            expiry: this.#now() + ttlMs
         });
     }
 
@@ -327,7 +651,7 @@ export class ApiService {
             const apiConfig = config.get('api.estfor');
             const url = `${apiConfig.baseUrl}/health`;
 
-            const response = await fetch(url, {
+            const response = await this.#fetch(url, {
                 method: 'GET',
                 signal: AbortSignal.timeout(5000)
             });
@@ -0,0 +1,175 @@
+/**
+ * Balance Service
+ * ERC-1155 item balances and approvals, read in aggregated batches and cached per block
+ */
+
+import { config } from '../config/index.js';
+import { ERC1155_ABI } from '../core/orderbook/abi.js';
+import { apiService } from './ApiService.js';
+import { multicallService } from './MulticallService.js';
+
+export class BalanceService {
+    static #instance = null;
+    #injected;
+    #itemsContract = null;
+    #cache = new Map();
+    #cacheBlock = null;
+
+    /**
+     * @param {object|null} dependencies - { ethers, api, multicall } overrides for tests.
+     *   Given dependencies make a standalone instance instead of the shared one.
+     */
+    constructor(dependencies = null) {
+        if (!dependencies && BalanceService.#instance) {
+            return BalanceService.#instance;
+        }
+
+        this.#injected = dependencies || {};
+
+        if (!dependencies) {
+            BalanceService.#instance = this;
+        }
+    }
+
+    get #ethers() {
+        return this.#injected.ethers ?? window.ethers;
+    }
+
+    get #api() {
+        return this.#injected.api ?? apiService;
+    }
+
+    get #multicall() {
+        return this.#injected.multicall ?? multicallService;
+    }
+
+    async getBalances(address, tokenIds) {
+        await this.#syncCacheBlock();
+
+        const owner = address.toLowerCase();
+        const missing = [...new Set(tokenIds)].filter(tokenId => !this.#cache.has(`${owner}:${tokenId}`));
+
+        if (missing.length > 0) {
+            await this.#loadBalances(address, missing);
+        }
+
+        const balances = new Map();
+        for (const tokenId of tokenIds) {
+            balances.set(tokenId, this.#cache.get(`${owner}:${tokenId}`) ?? 0);
+        }
+
+        return balances;
+    }
+
+    async getBalance(address, tokenId) {
+        const balances = await this.getBalances(address, [tokenId]);
+        return balances.get(tokenId);
+    }
+
+    async getApprovals(address, operators) {
+        const contract = this.#getItemsContract();
+        const results = await this.#multicall.aggregate(
+            operators.map(operator => ({ contract, method: 'isApprovedForAll', args: [address, operator] }))
+        );
+
+        return new Map(operators.map((operator, index) => [operator, results[index].success && results[index].value === true]));
+    }
+
+    clearCache() {
+        this.#cache.clear();
+        this.#cacheBlock = null;
+    }
+
+    async #syncCacheBlock() {
+        // Balances can only change between blocks, so a new block drops the cache
+        const blockNumber = await this.#multicall.readProvider.getBlockNumber();
+
+        if (blockNumber !== this.#cacheBlock) {
+            this.#cache.clear();
+            this.#cacheBlock = blockNumber;
+        }
+    }
+
+    async #loadBalances(address, tokenIds) {
+        const owner = address.toLowerCase();
+
+        if (await this.#api.hasProxy()) {
+            try {
+                const balances = await this.#api.fetchBalances(address, tokenIds);
+                balances.forEach((balance, tokenId) => this.#cache.set(`${owner}:${tokenId}`, balance));
+                return;
+            } catch (error) {
+                console.warn('Local API balances failed, reading on-chain:', error.message);
+            }
+        }
+
+        const contract = this.#getItemsContract();
+        const batchSize = config.get('app.reads.balanceBatchSize');
+
+        const chunks = [];
+        for (let start = 0; start < tokenIds.length; start += batchSize) {
+            chunks.push(tokenIds.slice(start, start + batchSize));
+        }
+
+        // Every balanceOfBatch chunk goes out in the same aggregated read
+        const results = await this.#multicall.aggregate(chunks.map(chunk => ({
+            contract,
+            method: 'balanceOfBatch',
+            args: [new Array(chunk.length).fill(address), chunk]
+        })));
+
+        const failed = [];
+
+        chunks.forEach((chunk, index) => {
+            if (!results[index].success) {
+                failed.push(...chunk);
+                return;
+            }
+
+            chunk.forEach((tokenId, position) => {
+                this.#cache.set(`${owner}:${tokenId}`, Number(results[index].value[position].toString()));
+            });
+        });
+
+        if (failed.length === 0) return;
+
+        console.warn(`balanceOfBatch failed for ${failed.length} tokens, falling back to single reads`);
+
+        const singles = await this.#multicall.aggregate(
+            failed.map(tokenId => ({ contract, method: 'balanceOf', args: [address, tokenId] }))
+        );
+
+        failed.forEach((tokenId, index) => {
+            if (singles[index].success) {
+                this.#cache.set(`${owner}:${tokenId}`, Number(singles[index].value.toString()));
+            } else {
+                // Left uncached so the next load tries again
+                console.warn(`Failed to get balance for token ${tokenId}`);
+            }
+        });
+    }
+
+    #getItemsContract() {
+        const provider = this.#multicall.readProvider;
+
+        // Re-create when the wallet reconnects with a new provider
+        if (!this.#itemsContract || this.#itemsContract.provider !== provider) {
+            this.#itemsContract = new this.#ethers.Contract(
+                config.getContractAddress('items'),
+                ERC1155_ABI,
+                provider
+            );
+        }
+
+        return this.#itemsContract;
+    }
+
+    static getInstance() {
+        if (!BalanceService.#instance) {
+            new BalanceService();
+        }
+        return BalanceService.#instance;
+    }
+}
+
+export const balanceService = BalanceService.getInstance();
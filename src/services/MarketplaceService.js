@@ -5,95 +5,84 @@
 
 import { config } from '../config/index.js';
 import { walletService } from './WalletService.js';
-import { MarketOrder, TransactionResult } from '../models/index.js';
+import { apiService } from './ApiService.js';
+import { balanceService } from './BalanceService.js';
+import { multicallService } from './MulticallService.js';
+import {
+    ClaimableBalance,
+    MarketBuyPlan,
+    MultiTransactionResult,
+    OrderBook,
+    OrderValidationReport,
+    TransactionResult
+} from '../models/index.js';
 import { validator } from '../security/InputValidator.js';
+import { formatUnits } from '../core/pricing/PriceMath.js';
+import { OrderBookCore } from '../core/orderbook/OrderBookCore.js';
+import { ERC1155_ABI, ERC20_ABI, ORDER_BOOK_ABI } from '../core/orderbook/abi.js';
 
 export class MarketplaceService {
     static #instance = null;
+    #injected;
     #contract = null;
     #itemsContract = null;
-
-    // ABIs
-    #MARKETPLACE_ABI = [
-        {
-            "inputs": [
-                {
-                    "components": [
-                        {"internalType": "enum IOrderBook.OrderSide", "name": "side", "type": "uint8"},
-                        {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
-                        {"internalType": "uint72", "name": "price", "type": "uint72"},
-                        {"internalType": "uint24", "name": "quantity", "type": "uint24"}
-                    ],
-                    "internalType": "struct IOrderBook.LimitOrder[]",
-                    "name": "orders",
-                    "type": "tuple[]"
-                }
-            ],
-            "name": "limitOrders",
-            "outputs": [],
-            "stateMutability": "nonpayable",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
-            "name": "getLowestAsk",
-            "outputs": [{"internalType": "uint72", "name": "", "type": "uint72"}],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
-            "name": "getHighestBid",
-            "outputs": [{"internalType": "uint72", "name": "", "type": "uint72"}],
-            "stateMutability": "view",
-            "type": "function"
-        }
-    ];
-
-    #ERC1155_ABI = [
-        {
-            "inputs": [
-                {"name": "account", "type": "address"},
-                {"name": "id", "type": "uint256"}
-            ],
-            "name": "balanceOf",
-            "outputs": [{"name": "", "type": "uint256"}],
-            "stateMutability": "view",
-            "type": "function"
-        },
-        {
-            "inputs": [
-                {"name": "operator", "type": "address"},
-                {"name": "approved", "type": "bool"}
-            ],
-            "name": "setApprovalForAll",
-            "outputs": [],
-            "stateMutability": "nonpayable",
-            "type": "function"
-        },
-        {
-            "inputs": [
-                {"name": "account", "type": "address"},
-                {"name": "operator", "type": "address"}
-            ],
-            "name": "isApprovedForAll",
-            "outputs": [{"name": "", "type": "bool"}],
-            "stateMutability": "view",
-            "type": "function"
-        }
-    ];
-
-    constructor() {
-        if (MarketplaceService.#instance) {
+    #readContract = null;
+    #core = null;
+
+    /**
+     * @param {object|null} dependencies - { ethers, wallet, api, balances, multicall,
+     *   transaction } overrides for tests. Given dependencies make a standalone instance
+     *   instead of the shared one.
+     */
+    constructor(dependencies = null) {
+        if (!dependencies && MarketplaceService.#instance) {
             return MarketplaceService.#instance;
         }
 
+        this.#injected = dependencies || {};
+
+        // Order building and submission are shared with the Node scripts
+        this.#core = new OrderBookCore(this.#ethers, null, {
+            tickOverride: config.get('pricing.tickOverride'),
+            roundToTick: config.get('pricing.roundToTick'),
+            ...config.get('app.transaction'),
+            ...this.#injected.transaction
+        });
+
         this.#initializeContracts();
-        MarketplaceService.#instance = this;
+
+        // Contracts keep the signer they were built with, so a new wallet or account needs new ones
+        this.#wallet.addEventListener?.('connected', () => this.#resetContracts());
+        this.#wallet.addEventListener?.('disconnected', () => this.#resetContracts());
+
+        if (!dependencies) {
+            MarketplaceService.#instance = this;
+        }
+    }
+
+    // Optional chaining because the shared instance is also created when Node imports this module
+    get #ethers() {
+        return this.#injected.ethers ?? globalThis.window?.ethers;
+    }
+
+    get #wallet() {
+        return this.#injected.wallet ?? walletService;
+    }
+
+    get #api() {
+        return this.#injected.api ?? apiService;
+    }
+
+    get #balances() {
+        return this.#injected.balances ?? balanceService;
+    }
+
+    get #multicall() {
+        return this.#injected.multicall ?? multicallService;
     }
 
     #initializeContracts() {
-        if (!walletService.isConnected || !walletService.provider) {
+        if (!this.#wallet.isConnected || !this.#wallet.provider) {
             return;
         }
 
@@ -101,16 +90,13 @@ export class MarketplaceService {
             const marketplaceAddress = config.getContractAddress('marketplace');
             const itemsAddress = config.getContractAddress('items');
 
-            this.#contract = new window.ethers.Contract(
-                marketplaceAddress,
-                this.#MARKETPLACE_ABI,
-                walletService.signer
-            );
+            this.#contract = OrderBookCore.createContract(this.#ethers, marketplaceAddress, this.#wallet.signer);
+            this.#core.contract = this.#contract;
 
-            this.#itemsContract = new window.ethers.Contract(
+            this.#itemsContract = new this.#ethers.Contract(
                 itemsAddress,
-                this.#ERC1155_ABI,
-                walletService.signer
+                ERC1155_ABI,
+                this.#wallet.signer
             );
 
         } catch (error) {
@@ -119,11 +105,18 @@ export class MarketplaceService {
         }
     }
 
+    // Rebuilt from the current signer before the next transaction
+    #resetContracts() {
+        this.#contract = null;
+        this.#itemsContract = null;
+        this.#core.contract = null;
+    }
+
     async createBatchOrders(orderRequests) {
         try {
             // Rate limiting check
             const rateLimitCheck = validator.checkRateLimit(
-                `batch-orders-${walletService.address}`,
+                `batch-orders-${this.#wallet.address}`,
                 5, // 5 requests
                 60000 // per minute
             );
@@ -132,22 +125,10 @@ export class MarketplaceService {
                 throw new Error(`Rate limit exceeded. Try again in ${rateLimitCheck.resetTime} seconds.`);
             }
 
-            // Validate wallet connection
-            if (!walletService.isConnected) {
-                throw new Error('Wallet not connected');
-            }
-
-            if (!walletService.connection.isOnCorrectNetwork) {
-                await walletService.switchNetwork();
-            }
-
-            // Re-initialize contracts if needed
-            if (!this.#contract) {
-                this.#initializeContracts();
-            }
+            await this.#ensureReadyForTransaction();
 
             // Validate and transform orders
-            const validatedOrders = await this.#validateAndPrepareOrders(orderRequests);
+            const validatedOrders = await this.#validateAndPrepareOrders(orderRequests, 'sell');
 
             if (validatedOrders.length === 0) {
                 throw new Error('No valid orders to create');
@@ -156,121 +137,380 @@ export class MarketplaceService {
             // Check and handle approvals
             await this.#ensureApprovals(validatedOrders);
 
-            // Create orders using the limitOrders function
-            const result = await this.#executeBatchTransaction(validatedOrders);
+            // Large selections are split across several limitOrders transactions
+            const chunks = await this.#core.planOrderChunks(validatedOrders);
+            return await this.#sendOrderChunks(chunks, 'sell');
 
-            return new TransactionResult({
-                success: true,
-                txHash: result.txHash,
-                blockNumber: result.blockNumber,
-                gasUsed: result.gasUsed,
-                ordersCreated: validatedOrders.length,
+        } catch (error) {
+            return new MultiTransactionResult({
+                chunks: [],
+                side: 'sell',
+                error: error.message,
                 timestamp: Date.now()
             });
+        }
+    }
+
+    async createBatchBids(bidRequests) {
+        try {
+            // Rate limiting check
+            const rateLimitCheck = validator.checkRateLimit(
+                `batch-bids-${this.#wallet.address}`,
+                5, // 5 requests
+                60000 // per minute
+            );
+
+            if (!rateLimitCheck.allowed) {
+                throw new Error(`Rate limit exceeded. Try again in ${rateLimitCheck.resetTime} seconds.`);
+            }
+
+            await this.#ensureReadyForTransaction();
+
+            // Validate and transform orders
+            const validatedBids = await this.#validateAndPrepareOrders(bidRequests, 'buy');
+
+            if (validatedBids.length === 0) {
+                throw new Error('No valid bids to create');
+            }
+
+            // Bids escrow price * quantity of the quote token up front
+            await this.#ensureQuoteFunds(this.#core.escrowFor(validatedBids));
+
+            const chunks = await this.#core.planOrderChunks(validatedBids);
+            return await this.#sendOrderChunks(chunks, 'buy');
 
         } catch (error) {
-            return new TransactionResult({
-                success: false,
+            return new MultiTransactionResult({
+                chunks: [],
+                side: 'buy',
                 error: error.message,
                 timestamp: Date.now()
             });
         }
     }
 
-    async #validateAndPrepareOrders(orderRequests) {
-        const validatedOrders = [];
-        const maxBatchSize = config.get('app.transaction.maxBatchSize');
-
-        if (orderRequests.length > maxBatchSize) {
-            throw new Error(`Too many orders. Maximum ${maxBatchSize} orders per batch.`);
+    async getOrderBook(tokenId) {
+        try {
+            return await this.#api.fetchOrderBook(tokenId);
+        } catch (error) {
+            console.warn(`Order book API failed for token ${tokenId}, reading top of book on-chain:`, error.message);
+            return this.#readTopOfBook(tokenId);
         }
+    }
 
-        for (const request of orderRequests) {
+    async #readTopOfBook(tokenId) {
+        const [orderBook] = await this.getTopOfBooks([tokenId]);
+        return orderBook;
+    }
+
+    async getTopOfBooks(tokenIds) {
+        // The local API server reads the same data once for every open browser
+        if (await this.#api.hasProxy()) {
             try {
-                // Create and validate order model
-                const order = new MarketOrder({
-                    tokenId: request.tokenId,
-                    side: request.side || 'sell',
-                    price: request.priceInEth,
-                    quantity: request.amount,
-                    user: walletService.address
-                });
-
-                // Check user balance
-                const balance = await this.#getUserBalance(order.tokenId);
-                const balanceCheck = balance.canSell(order.quantity);
-
-                if (!balanceCheck.canSell) {
-                    throw new Error(`${balanceCheck.reason} for token ${order.tokenId}`);
-                }
+                return await this.#api.fetchTopOfBooks(tokenIds);
+            } catch (error) {
+                console.warn('Local API prices failed, reading on-chain:', error.message);
+            }
+        }
+
+        const contract = this.#getReadContract();
+        const sides = config.get('contracts.marketplace.orderSides');
+
+        // First round: best price on each side of every book
+        const priceResults = await this.#multicall.aggregate(tokenIds.flatMap(tokenId => [
+            { contract, method: 'getHighestBid', args: [tokenId] },
+            { contract, method: 'getLowestAsk', args: [tokenId] }
+        ]));
+
+        // A zero price means the side of the book is empty
+        const levels = tokenIds.flatMap((tokenId, index) => [
+            { tokenId, side: 'bids', sideNumeric: sides.buy, result: priceResults[index * 2] },
+            { tokenId, side: 'asks', sideNumeric: sides.sell, result: priceResults[index * 2 + 1] }
+        ]).filter(level => level.result.success && !level.result.value.isZero());
+
+        // Second round: the resting orders at those prices, for quantities
+        const levelResults = await this.#multicall.aggregate(levels.map(level => ({
+            contract,
+            method: 'allOrdersAtPrice',
+            args: [level.sideNumeric, level.tokenId, level.result.value]
+        })));
 
-                // Convert to contract format
-                const contractOrder = {
-                    side: order.sideNumeric,
-                    tokenId: order.tokenId,
-                    price: window.ethers.utils.parseEther(order.price.toString()),
-                    quantity: window.ethers.BigNumber.from(order.quantity)
-                };
+        const books = new Map(tokenIds.map(tokenId => [tokenId, { bids: [], asks: [] }]));
 
-                // Validate contract limits
-                this.#validateContractLimits(contractOrder);
+        levels.forEach((level, index) => {
+            if (!levelResults[index].success) return;
 
-                validatedOrders.push(contractOrder);
+            const levelOrders = levelResults[index].value;
+            const quantity = levelOrders.reduce((total, order) => total + Number(order.quantity), 0);
+
+            books.get(level.tokenId)[level.side].push({
+                price: level.result.value.toString(),
+                quantity,
+                orderCount: levelOrders.length
+            });
+        });
+
+        return tokenIds.map(tokenId => new OrderBook({
+            tokenId,
+            ...books.get(tokenId),
+            source: 'chain',
+            updatedAt: Date.now()
+        }));
+    }
+
+    #getReadContract() {
+        const provider = this.#multicall.readProvider;
+
+        // Reads work without a connected wallet through the public RPC
+        if (!this.#readContract || this.#readContract.provider !== provider) {
+            this.#readContract = new this.#ethers.Contract(
+                config.getContractAddress('marketplace'),
+                ORDER_BOOK_ABI,
+                provider
+            );
+        }
+
+        return this.#readContract;
+    }
+
+    async planMarketBuy(tokenId, quantity, maxPriceInEth) {
+        const { BigNumber } = this.#ethers;
+        const maxPrice = this.#core.toWei(maxPriceInEth);
+
+        // Cheapest asks first
+        const { asks: askLevels } = await this.getOrderBook(tokenId);
+
+        const fills = [];
+        let remaining = quantity;
+        let totalCost = BigNumber.from(0);
+
+        for (const level of askLevels) {
+            if (remaining === 0) break;
+
+            const price = BigNumber.from(level.price);
+            if (price.gt(maxPrice)) break;
+
+            const fillQuantity = Math.min(remaining, level.quantity);
+            fills.push({ price: price.toString(), quantity: fillQuantity });
+
+            totalCost = totalCost.add(price.mul(fillQuantity));
+            remaining -= fillQuantity;
+        }
+
+        const fillableQuantity = quantity - remaining;
+
+        if (fillableQuantity === 0) {
+            return new MarketBuyPlan({
+                tokenId,
+                requestedQuantity: quantity,
+                maxPrice: maxPrice.toString(),
+                fills
+            });
+        }
+
+        const bestPrice = BigNumber.from(fills[0].price);
+        const averagePrice = totalCost.div(fillableQuantity);
+
+        // Slippage of the average fill against the top of the book, in basis points for precision
+        const slippageBps = averagePrice.sub(bestPrice).mul(10000).div(bestPrice);
+
+        return new MarketBuyPlan({
+            tokenId,
+            requestedQuantity: quantity,
+            maxPrice: maxPrice.toString(),
+            fills,
+            fillableQuantity,
+            totalCost: totalCost.toString(),
+            averagePrice: averagePrice.toString(),
+            bestPrice: fills[0].price,
+            worstPrice: fills[fills.length - 1].price,
+            slippagePercent: slippageBps.toNumber() / 100
+        });
+    }
+
+    async executeMarketBuys(plans) {
+        // A limit bid at the worst planned price takes exactly the planned asks
+        const bidRequests = plans
+            .filter(plan => plan.hasFills)
+            .map(plan => ({
+                tokenId: plan.tokenId,
+                priceInEth: formatUnits(plan.worstPrice),
+                amount: plan.fillableQuantity,
+                side: 'buy'
+            }));
+
+        if (bidRequests.length === 0) {
+            return new MultiTransactionResult({
+                chunks: [],
+                side: 'buy',
+                error: 'No asks available within the maximum price',
+                timestamp: Date.now()
+            });
+        }
+
+        return this.createBatchBids(bidRequests);
+    }
+
+    async #ensureReadyForTransaction() {
+        // Validate wallet connection
+        if (!this.#wallet.isConnected) {
+            throw new Error('Wallet not connected');
+        }
+
+        if (!this.#wallet.canSign) {
+            throw new Error('Watching an address is read-only. Connect a wallet to sign transactions.');
+        }
+
+        if (!this.#wallet.connection.isOnCorrectNetwork) {
+            await this.#wallet.switchNetwork();
+        }
+
+        // Re-initialize contracts if needed
+        if (!this.#contract) {
+            this.#initializeContracts();
+        }
+    }
+
+    async validateOrders(orderRequests, side) {
+        await this.#ensureReadyForTransaction();
+
+        const symbol = config.get('contracts.quoteToken.symbol');
+        const quoteBalance = side === 'buy' ? await this.#getQuoteBalance() : null;
+        let escrowTotal = this.#ethers.BigNumber.from(0);
+
+        const entries = [];
+
+        for (const request of orderRequests) {
+            const errors = [];
+            const warnings = [];
+
+            try {
+                const contractOrder = await this.#prepareOrder(request, side);
+                warnings.push(...await this.#checkAgainstBook(contractOrder, side));
+
+                // Bids are escrowed together, so each one has to fit next to the ones before it
+                if (side === 'buy') {
+                    const escrowWithBid = escrowTotal.add(contractOrder.price.mul(contractOrder.quantity));
+
+                    if (escrowWithBid.gt(quoteBalance)) {
+                        errors.push(`Insufficient ${symbol} balance to escrow this bid`);
+                    } else {
+                        escrowTotal = escrowWithBid;
+                    }
+                }
 
             } catch (error) {
-                console.error(`Order validation failed for token ${request.tokenId}:`, error);
-                // Continue with other orders instead of failing entire batch
+                errors.push(error.message);
             }
+
+            entries.push(OrderValidationReport.createEntry(request.tokenId, request, errors, warnings));
         }
 
-        return validatedOrders;
+        return new OrderValidationReport({ side, entries });
     }
 
-    #validateContractLimits(order) {
-        const MAX_UINT72 = window.ethers.BigNumber.from('0xFFFFFFFFFFFFFFFFFF');
-        const MAX_UINT24 = window.ethers.BigNumber.from('0xFFFFFF');
+    async #checkAgainstBook(contractOrder, side) {
+        let orderBook;
+
+        try {
+            orderBook = await this.getOrderBook(contractOrder.tokenId);
+        } catch (error) {
+            return ['Order book unavailable, price not compared to the market'];
+        }
+
+        const { formatEther } = this.#ethers.utils;
 
-        if (order.price.gt(MAX_UINT72)) {
-            throw new Error(`Price exceeds maximum allowed value`);
+        if (side === 'sell' && orderBook.bestBid && contractOrder.price.lte(orderBook.bestBid.price)) {
+            return [`At or below the highest bid of ${formatEther(orderBook.bestBid.price)}, sells immediately`];
         }
 
-        if (order.quantity.gt(MAX_UINT24)) {
-            throw new Error(`Quantity exceeds maximum allowed value (${MAX_UINT24.toString()})`);
+        if (side === 'buy' && orderBook.bestAsk && contractOrder.price.gte(orderBook.bestAsk.price)) {
+            return [`At or above the lowest ask of ${formatEther(orderBook.bestAsk.price)}, buys immediately`];
         }
 
-        if (order.price.lte(0)) {
-            throw new Error('Price must be greater than 0');
+        return [];
+    }
+
+    async #validateAndPrepareOrders(orderRequests, side) {
+        const balances = side === 'sell'
+            ? await this.#balances.getBalances(this.#wallet.address, orderRequests.map(request => request.tokenId))
+            : null;
+
+        return this.#core.buildLimitOrders(orderRequests.map(request => this.#toOrderRequest(request)), side, balances);
+    }
+
+    async #prepareOrder(request, side) {
+        const balance = side === 'sell'
+            ? await this.#balances.getBalance(this.#wallet.address, request.tokenId)
+            : null;
+
+        return this.#core.buildLimitOrder(this.#toOrderRequest(request), side, balance);
+    }
+
+    // UI requests carry amount / priceInEth, the core takes quantity / price
+    #toOrderRequest(request) {
+        return {
+            tokenId: request.tokenId,
+            price: request.priceInEth,
+            quantity: request.amount,
+            side: request.side
+        };
+    }
+
+    async getPriceTick(tokenId) {
+        if (!this.#contract) {
+            this.#initializeContracts();
         }
 
-        if (order.quantity.lte(0)) {
-            throw new Error('Quantity must be greater than 0');
+        return this.#core.getPriceTick(tokenId);
+    }
+
+    #getQuoteContract() {
+        const address = config.get('contracts.quoteToken.address');
+
+        if (!address) {
+            throw new Error('No quote token configured (contracts.quoteToken.address), bids cannot be funded');
         }
+
+        return new this.#ethers.Contract(address, ERC20_ABI, this.#wallet.signer);
+    }
+
+    async #getQuoteBalance() {
+        return this.#getQuoteContract().balanceOf(this.#wallet.address);
     }
 
-    async #getUserBalance(tokenId) {
+    async #ensureQuoteFunds(escrowRequired) {
+        const { symbol, decimals } = config.get('contracts.quoteToken');
+        const quoteContract = this.#getQuoteContract();
+        const balance = await quoteContract.balanceOf(this.#wallet.address);
+
+        if (balance.lt(escrowRequired)) {
+            throw new Error(
+                `Insufficient ${symbol} balance for bids. Have: ${this.#ethers.utils.formatUnits(balance, decimals)}, ` +
+                `Need: ${this.#ethers.utils.formatUnits(escrowRequired, decimals)}`
+            );
+        }
+
         try {
-            const balance = await this.#itemsContract.balanceOf(walletService.address, tokenId);
-            return new (await import('../models/index.js')).UserBalance({
-                tokenId,
-                balance: balance.toString()
-            });
+            const marketplaceAddress = config.getContractAddress('marketplace');
+            const allowance = await quoteContract.allowance(this.#wallet.address, marketplaceAddress);
+
+            if (allowance.lt(escrowRequired)) {
+                const tx = await quoteContract.approve(marketplaceAddress, escrowRequired);
+                await tx.wait();
+            }
+
         } catch (error) {
-            console.error(`Failed to get balance for token ${tokenId}:`, error);
-            return new (await import('../models/index.js')).UserBalance({
-                tokenId,
-                balance: 0
-            });
+            throw new Error(`Failed to approve ${symbol} for bids: ${error.message}`);
         }
     }
 
     async #ensureApprovals(orders) {
         try {
-            const isApproved = await this.#itemsContract.isApprovedForAll(
-                walletService.address,
-                config.getContractAddress('marketplace')
-            );
+            const marketplaceAddress = config.getContractAddress('marketplace');
+            const approvals = await this.#balances.getApprovals(this.#wallet.address, [marketplaceAddress]);
 
-            if (!isApproved) {
+            if (!approvals.get(marketplaceAddress)) {
                 const tx = await this.#itemsContract.setApprovalForAll(
                     config.getContractAddress('marketplace'),
                     true
@@ -284,77 +524,376 @@ export class MarketplaceService {
         }
     }
 
-    async #executeBatchTransaction(orders) {
-        const gasBufferPercent = config.get('app.transaction.gasBufferPercent');
-        const maxRetries = config.get('app.transaction.maxRetries');
+    async cancelOrders(cancelRequests) {
+        try {
+            // Rate limiting check
+            const rateLimitCheck = validator.checkRateLimit(
+                `cancel-orders-${this.#wallet.address}`,
+                5, // 5 requests
+                60000 // per minute
+            );
+
+            if (!rateLimitCheck.allowed) {
+                throw new Error(`Rate limit exceeded. Try again in ${rateLimitCheck.resetTime} seconds.`);
+            }
+
+            await this.#ensureReadyForTransaction();
+
+            // Resolve price levels to the order ids we own there
+            const { orderIds, orders } = await this.#resolveCancellations(cancelRequests);
+
+            if (orderIds.length === 0) {
+                throw new Error('No open orders found at the selected price levels');
+            }
+
+            const result = await this.#core.sendTransaction('cancelOrders', [orderIds, orders]);
+
+            return new TransactionResult({
+                success: true,
+                txHash: result.txHash,
+                blockNumber: result.blockNumber,
+                gasUsed: result.gasUsed,
+                ordersCancelled: orderIds.length,
+                timestamp: Date.now()
+            });
+
+        } catch (error) {
+            return new TransactionResult({
+                success: false,
+                error: error.message,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * Move an order to a new price. The order book has no in-place update, so the order is
+     * cancelled and its remainder placed again. The replacement is checked before anything
+     * is sent, so a bad price never leaves the order cancelled.
+     */
+    async repriceOrder(order, priceInEth) {
+        const side = order.side;
+
+        try {
+            await this.#ensureReadyForTransaction();
+            await this.#checkReplacement(order, priceInEth);
+        } catch (error) {
+            return new MultiTransactionResult({ chunks: [], side, error: error.message, timestamp: Date.now() });
+        }
+
+        const cancelResult = await this.cancelOrders([{
+            orderId: order.orderId,
+            tokenId: order.tokenId,
+            priceInEth: formatUnits(order.price),
+            side
+        }]);
+
+        if (!cancelResult.isSuccessful) {
+            return new MultiTransactionResult({
+                chunks: [],
+                side,
+                error: `Order ${order.orderId} was not cancelled: ${cancelResult.errorMessage}`,
+                timestamp: Date.now()
+            });
+        }
+
+        const replacement = [{ tokenId: order.tokenId, priceInEth, amount: order.remaining, side }];
+        const result = side === 'buy'
+            ? await this.createBatchBids(replacement)
+            : await this.createBatchOrders(replacement);
+
+        if (result.isSuccessful) {
+            return result;
+        }
+
+        // Half done: say where the order went rather than just that the placement failed
+        const returned = side === 'buy' ? 'its escrow was refunded' : 'its items are back in your wallet';
+
+        return new MultiTransactionResult({
+            chunks: result.chunks,
+            side,
+            error: `Order ${order.orderId} was cancelled (${cancelResult.txHash}) and ${returned}, ` +
+                `but the new order at ${priceInEth} was not placed: ${result.errorMessage}`,
+            timestamp: Date.now()
+        });
+    }
+
+    // Everything createBatchOrders / createBatchBids would check, counting what the cancel hands back
+    async #checkReplacement(order, priceInEth) {
+        const address = this.#wallet.address;
+        const { BigNumber } = this.#ethers;
+
+        // A reprice spends a cancel and a placement, both have to be allowed before the first
+        for (const action of ['cancel-orders', order.side === 'buy' ? 'batch-bids' : 'batch-orders']) {
+            const rateLimitCheck = validator.peekRateLimit(`${action}-${address}`, 5, 60000);
+
+            if (!rateLimitCheck.allowed) {
+                throw new Error(`Rate limit exceeded. Try again in ${rateLimitCheck.resetTime} seconds.`);
+            }
+        }
+
+        const balance = order.side === 'sell'
+            ? BigNumber.from(await this.#balances.getBalance(address, order.tokenId)).add(order.remaining)
+            : null;
+
+        const contractOrder = await this.#core.buildLimitOrder(
+            this.#toOrderRequest({ tokenId: order.tokenId, priceInEth, amount: order.remaining, side: order.side }),
+            order.side,
+            balance
+        );
+
+        if (order.side === 'buy') {
+            const { symbol, decimals } = config.get('contracts.quoteToken');
+            const escrow = this.#core.escrowFor([contractOrder]);
+            const available = (await this.#getQuoteBalance()).add(BigNumber.from(order.price).mul(order.remaining));
+
+            if (available.lt(escrow)) {
+                throw new Error(
+                    `Insufficient ${symbol} balance for the new price. Have: ${this.#ethers.utils.formatUnits(available, decimals)}, ` +
+                    `Need: ${this.#ethers.utils.formatUnits(escrow, decimals)}`
+                );
+            }
+        }
+    }
 
-        let lastError;
+    async #resolveCancellations(cancelRequests) {
+        const orderIds = [];
+        const orders = [];
+        const failures = [];
+        const seenLevels = new Set();
+        const maker = this.#wallet.address.toLowerCase();
 
-        // Try SELL orders first
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
+        for (const request of cancelRequests) {
             try {
-                const gasEstimate = await this.#contract.estimateGas.limitOrders(orders);
-                const gasLimit = gasEstimate.mul(100 + gasBufferPercent).div(100);
+                const side = config.get(`contracts.marketplace.orderSides.${request.side}`);
+                const price = this.#core.toWei(request.priceInEth);
+
+                // A known order id cancels just that order
+                if (request.orderId !== undefined && request.orderId !== null) {
+                    orderIds.push(this.#ethers.BigNumber.from(request.orderId));
+                    orders.push({ side, tokenId: request.tokenId, price });
+                    continue;
+                }
 
-                const tx = await this.#contract.limitOrders(orders, { gasLimit });
-                const receipt = await tx.wait();
+                // Several requests may point at the same price level
+                const levelKey = `${side}-${request.tokenId}-${price.toString()}`;
+                if (seenLevels.has(levelKey)) {
+                    continue;
+                }
+                seenLevels.add(levelKey);
 
-                return {
-                    txHash: tx.hash,
-                    blockNumber: receipt.blockNumber,
-                    gasUsed: receipt.gasUsed.toString()
-                };
+                const levelOrders = await this.#contract.allOrdersAtPrice(side, request.tokenId, price);
 
-            } catch (error) {
-                lastError = error;
-                console.warn(`Batch transaction attempt ${attempt + 1} failed:`, error.message);
+                for (const levelOrder of levelOrders) {
+                    if (levelOrder.maker.toLowerCase() !== maker) {
+                        continue;
+                    }
 
-                if (attempt < maxRetries - 1) {
-                    await this.#delay(config.get('app.transaction.retryDelay'));
+                    orderIds.push(this.#ethers.BigNumber.from(levelOrder.id));
+                    orders.push({ side, tokenId: request.tokenId, price });
                 }
+
+            } catch (error) {
+                failures.push(`token ${request.tokenId} at ${request.priceInEth}: ${error.message}`);
             }
         }
 
-        // If SELL orders failed, try BUY orders as fallback
-        const buyOrders = orders.map(order => ({ ...order, side: 1 }));
+        // Cancelling the rest would leave orders open that the user asked to cancel
+        if (failures.length > 0) {
+            throw new Error(
+                `${failures.length} of ${cancelRequests.length} price levels could not be looked up, nothing was cancelled: ${failures.join('; ')}`
+            );
+        }
+
+        return { orderIds, orders };
+    }
+
+    async fetchUserOrders(address) {
+        const contract = this.#getReadContract();
+
+        const apiOrders = await this.#api.fetchOrdersByMaker(address);
+        const maker = address.toLowerCase();
+
+        // Group by price level so each level is read from the chain once
+        const levels = new Map();
+        for (const order of apiOrders) {
+            const levelKey = `${order.sideNumeric}-${order.tokenId}-${order.price}`;
+            if (!levels.has(levelKey)) {
+                levels.set(levelKey, []);
+            }
+            levels.get(levelKey).push(order);
+        }
+
+        const verifiedOrders = [];
+
+        for (const levelOrders of levels.values()) {
+            const { sideNumeric, tokenId, price } = levelOrders[0];
 
-        for (let attempt = 0; attempt < maxRetries; attempt++) {
             try {
-                const gasEstimate = await this.#contract.estimateGas.limitOrders(buyOrders);
-                const gasLimit = gasEstimate.mul(100 + gasBufferPercent).div(100);
+                const onChainOrders = await contract.allOrdersAtPrice(sideNumeric, tokenId, price);
 
-                const tx = await this.#contract.limitOrders(buyOrders, { gasLimit });
-                const receipt = await tx.wait();
+                const remainingById = new Map();
+                for (const onChainOrder of onChainOrders) {
+                    if (onChainOrder.maker.toLowerCase() === maker) {
+                        remainingById.set(onChainOrder.id.toString(), Number(onChainOrder.quantity));
+                    }
+                }
 
-                return {
-                    txHash: tx.hash,
-                    blockNumber: receipt.blockNumber,
-                    gasUsed: receipt.gasUsed.toString(),
-                    note: 'Created BUY orders instead of SELL orders'
-                };
+                for (const order of levelOrders) {
+                    // Orders missing from the book were filled or cancelled since the API indexed them
+                    if (!remainingById.has(order.orderId)) {
+                        continue;
+                    }
+
+                    verifiedOrders.push(order.with({
+                        remaining: remainingById.get(order.orderId),
+                        isVerified: true
+                    }));
+                }
 
             } catch (error) {
-                lastError = error;
-                console.warn(`BUY orders attempt ${attempt + 1} failed:`, error.message);
+                console.warn(`Failed to verify orders for token ${tokenId} at ${price}:`, error);
+                // Keep the API view of the level rather than hiding the orders
+                verifiedOrders.push(...levelOrders);
+            }
+        }
 
-                if (attempt < maxRetries - 1) {
-                    await this.#delay(config.get('app.transaction.retryDelay'));
-                }
+        return verifiedOrders.sort((a, b) => {
+            const priceDiff = BigInt(a.price) - BigInt(b.price);
+            return a.tokenId - b.tokenId || (priceDiff === 0n ? 0 : (priceDiff < 0n ? -1 : 1));
+        });
+    }
+
+    async getClaimable(address) {
+        const contract = this.#getReadContract();
+
+        // Filled orders drop out of the book, so include them when looking for proceeds
+        const orders = await this.#api.fetchOrdersByMaker(address, { includeFilled: true });
+        const maxClaimOrders = config.get('app.transaction.maxClaimOrders');
+
+        // Sell orders pay out the quote token. tokensClaimable sums its ids, so each order is
+        // read on its own to know which ones to claim, batched into one round trip
+        const sellOrderIds = orders
+            .filter(userOrder => userOrder.side === 'sell')
+            .map(userOrder => userOrder.orderId);
+
+        const tokenOrderIds = [];
+        let tokensClaimable = this.#ethers.BigNumber.from(0);
+
+        const tokenResults = await this.#multicall.aggregate(sellOrderIds.map(orderId => ({
+            contract,
+            method: 'tokensClaimable',
+            args: [[orderId]]
+        })));
+
+        tokenResults.forEach((result, index) => {
+            if (!result.success) {
+                console.warn(`Failed to read proceeds for order ${sellOrderIds[index]}`);
+                return;
             }
+
+            if (result.value.gt(0) && tokenOrderIds.length < maxClaimOrders) {
+                tokenOrderIds.push(sellOrderIds[index]);
+                tokensClaimable = tokensClaimable.add(result.value);
+            }
+        });
+
+        // Buy orders pay out items. nftsClaimable answers per id, read in chunks of the claim
+        // limit so no single call grows with the order history, all in one round trip
+        const buyOrderIds = orders
+            .filter(userOrder => userOrder.side === 'buy')
+            .map(userOrder => userOrder.orderId);
+
+        const buyChunks = [];
+        for (let start = 0; start < buyOrderIds.length; start += maxClaimOrders) {
+            buyChunks.push(buyOrderIds.slice(start, start + maxClaimOrders));
         }
 
-        throw new Error(`All transaction attempts failed: ${lastError?.message || 'Unknown error'}`);
+        const nftOrderIds = [];
+        let nftsClaimable = 0;
+
+        const nftResults = await this.#multicall.aggregate(buyChunks.map(chunk => ({
+            contract,
+            method: 'nftsClaimable',
+            args: [chunk]
+        })));
+
+        nftResults.forEach((result, chunkIndex) => {
+            if (!result.success) {
+                console.warn(`Failed to read claimable items for orders ${buyChunks[chunkIndex].join(', ')}`);
+                return;
+            }
+
+            result.value.forEach((amount, index) => {
+                if (amount.gt(0) && nftOrderIds.length < maxClaimOrders) {
+                    nftOrderIds.push(buyChunks[chunkIndex][index]);
+                    nftsClaimable += amount.toNumber();
+                }
+            });
+        });
+
+        return new ClaimableBalance({
+            tokenOrderIds,
+            tokensClaimable: tokensClaimable.toString(),
+            nftOrderIds,
+            nftsClaimable
+        });
+    }
+
+    async claimAll() {
+        try {
+            await this.#ensureReadyForTransaction();
+
+            const claimable = await this.getClaimable(this.#wallet.address);
+
+            if (!claimable.hasClaimable) {
+                throw new Error('Nothing to claim');
+            }
+
+            const result = await this.#core.sendTransaction('claimAll', [
+                claimable.tokenOrderIds,
+                claimable.nftOrderIds
+            ]);
+
+            return new TransactionResult({
+                success: true,
+                txHash: result.txHash,
+                blockNumber: result.blockNumber,
+                gasUsed: result.gasUsed,
+                amountClaimed: claimable.tokensClaimable,
+                itemsClaimed: claimable.nftsClaimable,
+                timestamp: Date.now()
+            });
+
+        } catch (error) {
+            return new TransactionResult({
+                success: false,
+                error: error.message,
+                timestamp: Date.now()
+            });
+        }
     }
 
-    #delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async #sendOrderChunks(chunks, side) {
+        const results = await this.#core.sendOrderChunks(chunks);
+
+        return new MultiTransactionResult({
+            chunks: results.map(result => new TransactionResult({
+                ...result,
+                side,
+                ordersCreated: result.success ? result.ordersAttempted : 0,
+                timestamp: Date.now()
+            })),
+            side,
+            timestamp: Date.now()
+        });
     }
 
     // Market data methods
     async getLowestAsk(tokenId) {
         try {
-            const price = await this.#contract.getLowestAsk(tokenId);
-            return window.ethers.utils.formatEther(price);
+            const price = await this.#getReadContract().getLowestAsk(tokenId);
+            return this.#ethers.utils.formatEther(price);
         } catch (error) {
             return null;
         }
@@ -362,8 +901,8 @@ export class MarketplaceService {
 
     async getHighestBid(tokenId) {
         try {
-            const price = await this.#contract.getHighestBid(tokenId);
-            return window.ethers.utils.formatEther(price);
+            const price = await this.#getReadContract().getHighestBid(tokenId);
+            return this.#ethers.utils.formatEther(price);
         } catch (error) {
             return null;
         }
@@ -0,0 +1,171 @@
+/**
+ * Multicall Service
+ * Batches contract reads through Multicall3, with a JSON-RPC batch fallback
+ */
+
+import { config } from '../config/index.js';
+import { walletService } from './WalletService.js';
+import { MULTICALL3_ABI } from '../core/orderbook/abi.js';
+
+export class MulticallService {
+    static #instance = null;
+    #injected;
+    #readProvider = null;
+    #multicallAvailable = true;
+
+    /**
+     * @param {object|null} dependencies - { ethers, wallet, fetch } overrides for tests.
+     *   Given dependencies make a standalone instance instead of the shared one.
+     */
+    constructor(dependencies = null) {
+        if (!dependencies && MulticallService.#instance) {
+            return MulticallService.#instance;
+        }
+
+        this.#injected = dependencies || {};
+
+        if (!dependencies) {
+            MulticallService.#instance = this;
+        }
+    }
+
+    get #ethers() {
+        return this.#injected.ethers ?? window.ethers;
+    }
+
+    get #wallet() {
+        return this.#injected.wallet ?? walletService;
+    }
+
+    #fetch(url, options) {
+        return (this.#injected.fetch ?? fetch)(url, options);
+    }
+
+    /**
+     * Run read calls in as few round trips as possible.
+     * Each call is { contract, method, args } where contract is an ethers Contract;
+     * results come back in the same order as { success, value }.
+     */
+    async aggregate(calls) {
+        const chunkSize = config.get('app.reads.multicallChunkSize');
+        const results = [];
+
+        for (let start = 0; start < calls.length; start += chunkSize) {
+            results.push(...await this.#aggregateChunk(calls.slice(start, start + chunkSize)));
+        }
+
+        return results;
+    }
+
+    async #aggregateChunk(calls) {
+        const encoded = calls.map(call => ({
+            target: call.contract.address,
+            callData: call.contract.interface.encodeFunctionData(call.method, call.args || [])
+        }));
+
+        let rawResults = null;
+
+        if (this.#multicallAvailable && config.get('app.reads.useMulticall')) {
+            try {
+                rawResults = await this.#viaMulticall(encoded);
+            } catch (error) {
+                console.warn('Multicall3 read failed, falling back to JSON-RPC batch:', error.message);
+                // A missing deployment won't appear later, stop trying for this session
+                if (error.code === 'CALL_EXCEPTION') {
+                    this.#multicallAvailable = false;
+                }
+            }
+        }
+
+        if (!rawResults) {
+            rawResults = await this.#viaJsonRpcBatch(encoded);
+        }
+
+        return rawResults.map((raw, index) => {
+            if (!raw.success) {
+                return { success: false, value: null };
+            }
+
+            try {
+                const { contract, method } = calls[index];
+                const decoded = contract.interface.decodeFunctionResult(method, raw.returnData);
+                return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+            } catch (error) {
+                return { success: false, value: null };
+            }
+        });
+    }
+
+    async #viaMulticall(encoded) {
+        const multicall = new this.#ethers.Contract(
+            config.getContractAddress('multicall3'),
+            MULTICALL3_ABI,
+            this.readProvider
+        );
+
+        const results = await multicall.callStatic.aggregate3(
+            encoded.map(({ target, callData }) => ({ target, allowFailure: true, callData }))
+        );
+
+        return results.map(({ success, returnData }) => ({ success, returnData }));
+    }
+
+    async #viaJsonRpcBatch(encoded) {
+        const rpcUrl = config.get('networks.sonic.rpcUrl');
+
+        // Wallet providers don't accept batches, so go straight to the public RPC
+        const response = await this.#fetch(rpcUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(encoded.map(({ target, callData }, id) => ({
+                jsonrpc: '2.0',
+                id,
+                method: 'eth_call',
+                params: [{ to: target, data: callData }, 'latest']
+            })))
+        });
+
+        if (!response.ok) {
+            throw new Error(`JSON-RPC batch failed: ${response.status} ${response.statusText}`);
+        }
+
+        const replies = await response.json();
+        if (!Array.isArray(replies)) {
+            throw new Error(`JSON-RPC batch failed: ${replies?.error?.message || 'unexpected response'}`);
+        }
+
+        const byId = new Map(replies.map(reply => [reply.id, reply]));
+
+        return encoded.map((_, id) => {
+            const reply = byId.get(id);
+            return reply && !reply.error && reply.result !== '0x'
+                ? { success: true, returnData: reply.result }
+                : { success: false, returnData: '0x' };
+        });
+    }
+
+    get readProvider() {
+        if (this.#wallet.provider) {
+            return this.#wallet.provider;
+        }
+
+        // Reads don't need a wallet, fall back to the public RPC
+        if (!this.#readProvider) {
+            this.#readProvider = new this.#ethers.providers.JsonRpcProvider(
+                config.get('networks.sonic.rpcUrl'),
+                config.get('networks.sonic.chainId')
+            );
+        }
+
+        return this.#readProvider;
+    }
+
+    static getInstance() {
+        if (!MulticallService.#instance) {
+            new MulticallService();
+        }
+        return MulticallService.#instance;
+    }
+}
+
+export const multicallService = MulticallService.getInstance();
@@ -0,0 +1,139 @@
+/**
+ * Persistence Service
+ * Keeps slices of the application state between visits. Records carry a schema version
+ * and a save time, so loads can drop outdated shapes and report stale data for
+ * stale-while-revalidate.
+ */
+
+import { config } from '../config/index.js';
+import { createStorage } from '../core/storage/KeyValueStorage.js';
+
+// Bump when the shape of a saved slice changes, and add a migration from the old version or it is dropped
+const SCHEMA_VERSION = 1;
+
+// { [fromVersion]: (key, data) => data in the shape of fromVersion + 1 }
+const MIGRATIONS = {};
+
+export class PersistenceService {
+    static #instance = null;
+    #injected;
+    #storage = null;
+
+    /**
+     * @param {object|null} dependencies - { storage, now } overrides for tests.
+     *   Given dependencies make a standalone instance instead of the shared one.
+     */
+    constructor(dependencies = null) {
+        if (!dependencies && PersistenceService.#instance) {
+            return PersistenceService.#instance;
+        }
+
+        this.#injected = dependencies || {};
+
+        if (!dependencies) {
+            PersistenceService.#instance = this;
+        }
+    }
+
+    // Opened on first use, the database name depends on the environment
+    get #store() {
+        this.#storage ??= this.#injected.storage ?? createStorage(config.get('app.persistence.databaseName'));
+        return this.#storage;
+    }
+
+    #now() {
+        return this.#injected.now ? this.#injected.now() : Date.now();
+    }
+
+    get isEnabled() {
+        return config.get('app.persistence.enabled') !== false;
+    }
+
+    /**
+     * Saved data as { data, savedAt, isStale }, or null when there is none, it is
+     * older than maxAge or it was written with a schema this build can't read
+     */
+    async load(key) {
+        if (!this.isEnabled) return null;
+
+        try {
+            const record = await this.#store.get(key);
+            if (!record) return null;
+
+            const data = this.#migrate(key, record);
+            const age = this.#now() - record.savedAt;
+
+            if (data === undefined || !(age <= config.get('app.persistence.maxAge'))) {
+                await this.#store.delete(key);
+                return null;
+            }
+
+            return { data, savedAt: record.savedAt, isStale: age > this.#staleAfter(key) };
+
+        } catch (error) {
+            console.warn(`Failed to load saved ${key}:`, error);
+            return null;
+        }
+    }
+
+    async save(key, data) {
+        if (!this.isEnabled) return false;
+
+        try {
+            await this.#store.set(key, { version: SCHEMA_VERSION, savedAt: this.#now(), data });
+            return true;
+
+        } catch (error) {
+            // Losing a save only costs a slower next visit
+            console.warn(`Failed to save ${key}:`, error);
+            return false;
+        }
+    }
+
+    async remove(key) {
+        try {
+            await this.#store.delete(key);
+        } catch (error) {
+            console.warn(`Failed to remove saved ${key}:`, error);
+        }
+    }
+
+    async clear() {
+        try {
+            await this.#store.clear();
+        } catch (error) {
+            console.warn('Failed to clear saved state:', error);
+        }
+    }
+
+    // Keys like balances:0xabc share the setting of their slice, slices without one never go stale
+    #staleAfter(key) {
+        const slice = key.split(':')[0];
+        return config.get(`app.persistence.staleAfter.${slice}`) ?? Infinity;
+    }
+
+    #migrate(key, record) {
+        let { version, data } = record;
+
+        while (version < SCHEMA_VERSION) {
+            const migration = MIGRATIONS[version];
+            if (!migration) return undefined;
+
+            data = migration(key, data);
+            version++;
+        }
+
+        // Written by a newer build, its shape is unknown here
+        return version === SCHEMA_VERSION ? data : undefined;
+    }
+
+    static getInstance() {
+        if (!PersistenceService.#instance) {
+            PersistenceService.#instance = new PersistenceService();
+        }
+
+        return PersistenceService.#instance;
+    }
+}
+
+export const persistenceService = PersistenceService.getInstance();
@@ -5,6 +5,10 @@
 
 import { config } from '../config/index.js';
 import { WalletConnection } from '../models/index.js';
+import { validator } from '../security/InputValidator.js';
+
+// Stands in for wallets that only inject window.ethereum
+const LEGACY_RDNS = 'injected';
 
 export class WalletService {
     static #instance = null;
@@ -12,6 +16,9 @@ export class WalletService {
     #signer = null;
     #connection = null;
     #eventListeners = new Set();
+    #discoveredWallets = new Map();
+    #ethereum = null;
+    #ethereumHandlers = {};
 
     constructor() {
         if (WalletService.#instance) {
@@ -23,29 +30,76 @@ export class WalletService {
     }
 
     #setupEventListeners() {
-        if (typeof window !== 'undefined' && window.ethereum) {
-            // Account changes
-            window.ethereum.on('accountsChanged', (accounts) => {
-                this.#handleAccountChange(accounts);
-            });
+        if (typeof window === 'undefined') return;
 
-            // Network changes
-            window.ethereum.on('chainChanged', (chainId) => {
-                this.#handleNetworkChange(chainId);
-            });
+        // EIP-6963: every installed wallet announces itself instead of fighting over window.ethereum
+        window.addEventListener('eip6963:announceProvider', (event) => {
+            const { info, provider } = event.detail || {};
+            if (!info?.rdns || !provider) return;
+
+            this.#discoveredWallets.set(info.rdns, { info, provider });
+            this.#notifyListeners('walletsChanged', this.availableWallets);
+        });
 
+        window.dispatchEvent(new Event('eip6963:requestProvider'));
+    }
+
+    #attachProvider(ethereum) {
+        // Only the chosen wallet's events matter, drop the previous one's
+        if (this.#ethereum && this.#ethereum !== ethereum) {
+            for (const [event, handler] of Object.entries(this.#ethereumHandlers)) {
+                this.#ethereum.removeListener?.(event, handler);
+            }
+        }
+
+        if (this.#ethereum === ethereum) return;
+
+        this.#ethereum = ethereum;
+        this.#ethereumHandlers = {
+            // Account changes
+            accountsChanged: (accounts) => this.#handleAccountChange(accounts),
+            // Network changes
+            chainChanged: (chainId) => this.#handleNetworkChange(chainId),
             // Connection events
-            window.ethereum.on('connect', (connectInfo) => {
-                this.#handleConnect(connectInfo);
-            });
+            connect: (connectInfo) => this.#handleConnect(connectInfo),
+            disconnect: (error) => this.#handleDisconnect(error)
+        };
 
-            window.ethereum.on('disconnect', (error) => {
-                this.#handleDisconnect(error);
-            });
+        for (const [event, handler] of Object.entries(this.#ethereumHandlers)) {
+            ethereum.on?.(event, handler);
+        }
+    }
+
+    #resolveWallet(rdns = null) {
+        const wanted = rdns || this.#rememberedWallet;
+
+        if (wanted && this.#discoveredWallets.has(wanted)) {
+            return { rdns: wanted, ...this.#discoveredWallets.get(wanted) };
         }
+
+        if (rdns && rdns !== LEGACY_RDNS) {
+            throw new Error(`Wallet ${rdns} is no longer available. Please choose another wallet.`);
+        }
+
+        // A single announced wallet needs no choice
+        if (!rdns && this.#discoveredWallets.size === 1) {
+            const [[onlyRdns, wallet]] = this.#discoveredWallets;
+            return { rdns: onlyRdns, ...wallet };
+        }
+
+        // Wallets that predate EIP-6963 only inject window.ethereum
+        if (window.ethereum) {
+            return {
+                rdns: LEGACY_RDNS,
+                info: { name: this.#detectWalletType(window.ethereum) },
+                provider: window.ethereum
+            };
+        }
+
+        return null;
     }
 
-    async connect() {
+    async connect(rdns = null) {
         try {
             if (!this.#isWalletAvailable()) {
                 throw new Error('No Web3 wallet detected. Please install MetaMask or similar wallet.');
@@ -55,8 +109,13 @@ export class WalletService {
                 throw new Error('Ethers.js library not loaded. Please refresh the page.');
             }
 
+            const wallet = this.#resolveWallet(rdns);
+            if (!wallet) {
+                throw new Error('No Web3 wallet detected. Please install MetaMask or similar wallet.');
+            }
+
             // Request account access
-            const accounts = await window.ethereum.request({
+            const accounts = await wallet.provider.request({
                 method: 'eth_requestAccounts'
             });
 
@@ -64,25 +123,12 @@ export class WalletService {
                 throw new Error('No accounts found. Please unlock your wallet.');
             }
 
-            // Initialize provider and signer
-            this.#provider = new window.ethers.providers.Web3Provider(window.ethereum);
-            this.#signer = this.#provider.getSigner();
-
-            // Get network info
-            const network = await this.#provider.getNetwork();
-
-            // Create connection model
-            this.#connection = new WalletConnection({
-                address: accounts[0],
-                isConnected: true,
-                chainId: network.chainId,
-                walletType: this.#detectWalletType(),
-                lastConnected: Date.now()
-            });
+            await this.#establishConnection(wallet, accounts);
 
             // Check if we're on the correct network
             await this.#ensureCorrectNetwork();
 
+            this.#rememberWallet(wallet.rdns);
             this.#notifyListeners('connected', this.#connection);
 
             return this.#connection;
@@ -98,8 +144,125 @@ export class WalletService {
         }
     }
 
+    async reconnect() {
+        const rdns = this.#rememberedWallet;
+        if (!rdns || !this.#isEthersAvailable()) return null;
+
+        // Give wallets a moment to answer the discovery request
+        if (rdns !== LEGACY_RDNS && !this.#discoveredWallets.has(rdns)) {
+            await new Promise(resolve => setTimeout(resolve, config.get('app.wallet.discoveryTimeout')));
+        }
+
+        try {
+            const wallet = this.#resolveWallet(rdns);
+            if (!wallet) return null;
+
+            // eth_accounts never prompts, it is empty unless the site is still authorised
+            const accounts = await wallet.provider.request({ method: 'eth_accounts' });
+            if (!accounts || accounts.length === 0) return null;
+
+            await this.#establishConnection(wallet, accounts);
+
+            // No prompts on page load, the UI shows the wrong network instead
+            if (!this.#connection.isOnCorrectNetwork) {
+                this.#notifyListeners('wrongNetwork', this.#connection);
+            }
+
+            this.#notifyListeners('connected', this.#connection);
+            return this.#connection;
+
+        } catch (error) {
+            console.warn(`Silent reconnect to ${rdns} failed:`, error.message);
+            return null;
+        }
+    }
+
+    async #establishConnection(wallet, accounts) {
+        this.#attachProvider(wallet.provider);
+
+        // Initialize provider and signer
+        this.#provider = new window.ethers.providers.Web3Provider(wallet.provider);
+        this.#signer = this.#provider.getSigner();
+
+        // Get network info
+        const network = await this.#provider.getNetwork();
+
+        // Create connection model
+        this.#connection = new WalletConnection({
+            address: accounts[0],
+            isConnected: true,
+            chainId: network.chainId,
+            walletType: wallet.info.name || this.#detectWalletType(wallet.provider),
+            walletRdns: wallet.rdns,
+            lastConnected: Date.now()
+        });
+    }
+
+    get #rememberedWallet() {
+        try {
+            return window.localStorage.getItem(config.get('app.wallet.storageKey'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    #rememberWallet(rdns) {
+        try {
+            const storageKey = config.get('app.wallet.storageKey');
+
+            if (rdns) {
+                window.localStorage.setItem(storageKey, rdns);
+            } else {
+                window.localStorage.removeItem(storageKey);
+            }
+        } catch (error) {
+            // Private browsing can block storage, the choice just isn't remembered
+            console.warn('Failed to remember wallet choice:', error.message);
+        }
+    }
+
+    async watchAddress(address) {
+        try {
+            const addressValidation = validator.validateInput(address, 'address');
+            if (!addressValidation.isValid) {
+                throw new Error(`Invalid address: ${addressValidation.errors.join(', ')}`);
+            }
+
+            if (!this.#isEthersAvailable()) {
+                throw new Error('Ethers.js library not loaded. Please refresh the page.');
+            }
+
+            // Read-only session straight to the public RPC, no wallet involved
+            const sonicConfig = config.get('networks.sonic');
+            this.#provider = new window.ethers.providers.JsonRpcProvider(sonicConfig.rpcUrl, sonicConfig.chainId);
+            this.#signer = null;
+
+            this.#connection = new WalletConnection({
+                address: addressValidation.sanitizedValue,
+                isConnected: true,
+                isReadOnly: true,
+                chainId: sonicConfig.chainId,
+                walletType: 'Watch only',
+                lastConnected: Date.now()
+            });
+
+            this.#notifyListeners('connected', this.#connection);
+
+            return this.#connection;
+
+        } catch (error) {
+            this.#notifyListeners('error', error);
+            throw error;
+        }
+    }
+
     async disconnect() {
         try {
+            // An explicit disconnect also stops the silent reconnect on the next load
+            if (!this.isReadOnly) {
+                this.#rememberWallet(null);
+            }
+
             this.#provider = null;
             this.#signer = null;
             this.#connection = new WalletConnection({
@@ -118,7 +281,7 @@ export class WalletService {
         try {
             const sonicConfig = config.get('networks.sonic');
 
-            await window.ethereum.request({
+            await this.#ethereum.request({
                 method: 'wallet_switchEthereumChain',
                 params: [{ chainId: `0x${sonicConfig.chainId.toString(16)}` }]
             });
@@ -136,7 +299,7 @@ export class WalletService {
     async #addNetwork() {
         const sonicConfig = config.get('networks.sonic');
 
-        await window.ethereum.request({
+        await this.#ethereum.request({
             method: 'wallet_addEthereumChain',
             params: [{
                 chainId: `0x${sonicConfig.chainId.toString(16)}`,
@@ -166,7 +329,7 @@ export class WalletService {
 
     #isWalletAvailable() {
         return typeof window !== 'undefined' &&
-               typeof window.ethereum !== 'undefined';
+               (this.#discoveredWallets.size > 0 || typeof window.ethereum !== 'undefined');
     }
 
     #isEthersAvailable() {
@@ -175,26 +338,28 @@ export class WalletService {
                typeof window.ethers.providers !== 'undefined';
     }
 
-    #detectWalletType() {
-        if (window.ethereum?.isMetaMask) return 'MetaMask';
-        if (window.ethereum?.isTrust) return 'Trust Wallet';
-        if (window.ethereum?.isImToken) return 'imToken';
+    #detectWalletType(ethereum) {
+        if (ethereum?.isMetaMask) return 'MetaMask';
+        if (ethereum?.isTrust) return 'Trust Wallet';
+        if (ethereum?.isImToken) return 'imToken';
         return 'Unknown';
     }
 
     #handleAccountChange(accounts) {
+        // Injected wallet events don't affect a watched address
+        if (this.isReadOnly) return;
+
         if (accounts.length === 0) {
             this.disconnect();
-        } else if (this.#connection && accounts[0] !== this.#connection.address) {
-            // Account changed, reconnect
-            this.connect();
+        } else if (this.#connection && accounts[0].toLowerCase() !== this.#connection.address?.toLowerCase()) {
+            // Account changed (wallets may report it checksummed or lowercase), reconnect through the same wallet
+            this.connect(this.#connection.walletRdns);
         }
     }
 
     #handleNetworkChange(chainId) {
-        if (this.#connection) {
-            this.#connection = new WalletConnection({
-                ...this.#connection,
+        if (this.#connection && !this.isReadOnly) {
+            this.#connection = this.#connection.with({
                 chainId: parseInt(chainId, 16)
             });
 
@@ -212,6 +377,8 @@ export class WalletService {
     }
 
     #handleDisconnect(error) {
+        if (this.isReadOnly) return;
+
         this.disconnect();
         this.#notifyListeners('walletDisconnected', error);
     }
@@ -242,6 +409,20 @@ export class WalletService {
     }
 
     // Getters
+    get availableWallets() {
+        const wallets = [...this.#discoveredWallets.entries()].map(([rdns, { info }]) => ({
+            rdns,
+            name: info.name,
+            icon: info.icon || null
+        }));
+
+        if (wallets.length === 0 && typeof window !== 'undefined' && window.ethereum) {
+            wallets.push({ rdns: LEGACY_RDNS, name: this.#detectWalletType(window.ethereum), icon: null });
+        }
+
+        return wallets;
+    }
+
     get connection() {
         return this.#connection;
     }
@@ -262,6 +443,14 @@ export class WalletService {
         return this.#connection?.address || null;
     }
 
+    get isReadOnly() {
+        return Boolean(this.#connection?.isReadOnly);
+    }
+
+    get canSign() {
+        return this.isConnected && !this.isReadOnly && this.#signer !== null;
+    }
+
     get chainId() {
         return this.#connection?.chainId || null;
     }
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatAmount, formatPrice, formatQuantity, orderTotal } from '../src/core/pricing/AmountFormat.js';
+import { parseUnits } from '../src/core/pricing/PriceMath.js';
+
+describe('formatAmount', () => {
+    it('rounds wei half up to the configured decimals with thousands separators', () => {
+        assert.equal(formatAmount(parseUnits('1234567.891249')), '1,234,567.8912');
+        assert.equal(formatAmount(parseUnits('0.00005')), '0.0001');
+        assert.equal(formatAmount(parseUnits('2')), '2');
+        assert.equal(formatAmount(0n), '0');
+    });
+
+    it('takes decimals, minimum decimals and separator options', () => {
+        assert.equal(formatAmount(parseUnits('2.5'), { minDecimals: 2 }), '2.50');
+        assert.equal(formatAmount(parseUnits('1234.56789'), { decimals: 2, thousandsSeparator: '' }), '1234.57');
+        assert.equal(formatAmount(1234567n, { unitDecimals: 6 }), '1.2346');
+    });
+
+    it('shows dust as less than the smallest shown amount rather than zero', () => {
+        assert.equal(formatAmount(1n), '<0.0001');
+        assert.equal(formatAmount(-1n, { decimals: 2 }), '-<0.01');
+    });
+
+    it('uses K, M, B and T in compact notation', () => {
+        assert.equal(formatAmount(parseUnits('999.5'), { compact: true }), '999.5');
+        assert.equal(formatAmount(parseUnits('1250'), { compact: true }), '1.25K');
+        assert.equal(formatAmount(parseUnits('3400000'), { compact: true }), '3.4M');
+        assert.equal(formatAmount(parseUnits('2000000000000000'), { compact: true }), '2,000T');
+    });
+
+    it('accepts BigNumber-like values and decimal strings of wei', () => {
+        assert.equal(formatAmount({ toString: () => '1500000000000000000' }), '1.5');
+        assert.equal(formatAmount('1500000000000000000'), '1.5');
+    });
+});
+
+describe('formatPrice', () => {
+    it('keeps every significant digit of a price', () => {
+        assert.equal(formatPrice(parseUnits('0.00012345')), '0.00012345');
+        assert.equal(formatPrice(parseUnits('1500.1')), '1,500.1');
+    });
+});
+
+describe('formatQuantity', () => {
+    it('groups whole quantities and supports compact notation', () => {
+        assert.equal(formatQuantity(16777215), '16,777,215');
+        assert.equal(formatQuantity(2500000, { compact: true }), '2.5M');
+    });
+});
+
+describe('orderTotal', () => {
+    it('multiplies wei prices exactly for large stacks', () => {
+        assert.equal(orderTotal('123456789012345678', 16777215), 2071261092469761094126770n);
+        assert.equal(orderTotal(parseUnits('0.1'), 3), parseUnits('0.3'));
+    });
+});
@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ApiService } from '../src/services/ApiService.js';
+import { EstforItem, MarketOrder, OrderBook, UserBalance, UserOrder } from '../src/models/index.js';
+import { fakeClock, fakeFetch, jsonResponse, DEVELOPER, MARKET_MAKER } from './helpers.js';
+
+const wei = value => ethers.utils.parseEther(value).toString();
+
+const createApi = routes => {
+    const fetch = fakeFetch(routes);
+    const now = fakeClock();
+    return { api: new ApiService({ fetch, ethers, now }), fetch, now };
+};
+
+describe('ApiService', () => {
+    it('creates standalone instances when dependencies are injected', () => {
+        assert.notEqual(new ApiService({ fetch: fakeFetch({}) }), new ApiService({ fetch: fakeFetch({}) }));
+        assert.equal(new ApiService(), ApiService.getInstance());
+    });
+
+    describe('fetchEstforItems', () => {
+        const items = [
+            { id: 11000, name: 'Log', image: 'https://assets.estfor.com/log.png', tier: 1 },
+            { id: 11001, name: 'Oak Log', image: 'https://tracker.example/pixel.png' },
+            { name: 'No id' },
+            { id: 11002 }
+        ];
+
+        it('keeps items with an id and a name, dropping images from unknown hosts', async () => {
+            const { api } = createApi({ '/items': items });
+            const result = await api.fetchEstforItems();
+
+            assert.equal(result.length, 2);
+            assert.ok(result.every(item => item instanceof EstforItem));
+            assert.deepEqual(result.map(item => item.name), ['Log', 'Oak Log']);
+            assert.equal(result[0].image, 'https://assets.estfor.com/log.png');
+            assert.equal(result[1].image, '');
+            assert.equal(result[0].tier, 1);
+        });
+
+        it('serves from cache for five minutes, then fetches again', async () => {
+            const { api, fetch, now } = createApi({ '/items': items });
+
+            await api.fetchEstforItems();
+            now.advance(299000);
+            await api.fetchEstforItems();
+            assert.equal(fetch.calls.length, 1);
+
+            now.advance(2000);
+            await api.fetchEstforItems();
+            assert.equal(fetch.calls.length, 2);
+        });
+
+        it('shares one request between concurrent callers', async () => {
+            const { api, fetch } = createApi({ '/items': items });
+
+            const [first, second] = await Promise.all([api.fetchEstforItems(), api.fetchEstforItems()]);
+            assert.equal(fetch.calls.length, 1);
+            assert.equal(first, second);
+        });
+
+        it('fails with the upstream status', async () => {
+            const { api } = createApi({ '/items': jsonResponse({}, 503) });
+            await assert.rejects(api.fetchEstforItems(), /Failed to fetch Estfor items: .*503/);
+        });
+
+        it('clearCache forces a new request', async () => {
+            const { api, fetch } = createApi({ '/items': items });
+
+            await api.fetchEstforItems();
+            api.clearCache();
+            await api.fetchEstforItems();
+            assert.equal(fetch.calls.length, 2);
+        });
+    });
+
+    describe('fetchMarketOrders', () => {
+        const orders = [
+            { id: 1, tokenId: 11000, price: wei('0.0125'), quantity: 400, amountRemaining: 150, isBuyOrder: false, maker: MARKET_MAKER, createdAt: '2024-01-01T00:00:00.000Z' },
+            { id: 2, tokenId: 11001, price: wei('0.038'), quantity: 200, amountRemaining: 200, isBuyOrder: true, maker: MARKET_MAKER },
+            { id: 3, tokenId: 11000, price: wei('0.011'), quantity: 20, amountRemaining: 0, isBuyOrder: true, maker: MARKET_MAKER }
+        ];
+
+        it('returns the open orders as MarketOrders with their remaining quantity', async () => {
+            const { api } = createApi({ '/orders': { orders } });
+            const result = await api.fetchMarketOrders();
+
+            assert.equal(result.length, 2);
+            assert.ok(result.every(order => order instanceof MarketOrder));
+            assert.deepEqual(result.map(order => [order.tokenId, order.side, order.price, order.quantity]), [
+                [11000, 'sell', wei('0.0125'), 150],
+                [11001, 'buy', wei('0.038'), 200]
+            ]);
+            assert.equal(result[0].user, MARKET_MAKER);
+            assert.equal(result[0].timestamp, Date.parse('2024-01-01T00:00:00.000Z'));
+        });
+    });
+
+    describe('fetchOrderBook', () => {
+        const orders = [
+            { id: 1, tokenId: 11000, price: wei('0.0125'), quantity: 400, amountRemaining: 400, isBuyOrder: false },
+            { id: 2, tokenId: 11000, price: wei('0.0125'), quantity: 100, amountRemaining: 50, isBuyOrder: false },
+            { id: 3, tokenId: 11000, price: wei('0.013'), quantity: 800, amountRemaining: 800, isBuyOrder: false },
+            { id: 4, tokenId: 11000, price: wei('0.0105'), quantity: 1000, amountRemaining: 1000, isBuyOrder: true },
+            { id: 5, tokenId: 11000, price: wei('0.011'), quantity: 500, amountRemaining: 500, isBuyOrder: true },
+            { id: 6, tokenId: 11000, price: wei('0.0115'), quantity: 20, amountRemaining: 0, isBuyOrder: true }
+        ];
+
+        it('aggregates remaining quantity per price level, best price first', async () => {
+            const { api } = createApi({ '/orders?tokenId=11000': { orders } });
+            const book = await api.fetchOrderBook(11000);
+
+            assert.ok(book instanceof OrderBook);
+            assert.deepEqual(book.asks, [
+                { price: wei('0.0125'), quantity: 450, orderCount: 2 },
+                { price: wei('0.013'), quantity: 800, orderCount: 1 }
+            ]);
+            assert.deepEqual(book.bids.map(level => level.price), [wei('0.011'), wei('0.0105')]);
+        });
+
+        it('caches each token for fifteen seconds', async () => {
+            const { api, fetch, now } = createApi({ '/orders?tokenId=': { orders } });
+
+            await api.fetchOrderBook(11000);
+            await api.fetchOrderBook(11000);
+            await api.fetchOrderBook(11001);
+            assert.equal(fetch.calls.length, 2);
+
+            now.advance(15001);
+            await api.fetchOrderBook(11000);
+            assert.equal(fetch.calls.length, 3);
+        });
+
+        it('rejects invalid token ids before fetching', async () => {
+            const { api, fetch } = createApi({});
+            await assert.rejects(api.fetchOrderBook('abc'), /Invalid token ID/);
+            assert.equal(fetch.calls.length, 0);
+        });
+    });
+
+    describe('fetchOrdersByMaker', () => {
+        const maker = MARKET_MAKER.toLowerCase();
+        const orders = [
+            { id: 7, tokenId: 11000, price: wei('0.0125'), quantity: 400, amountRemaining: 100, isBuyOrder: false, maker, createdAt: '2024-01-01T00:00:00.000Z' },
+            { id: 8, tokenId: 11001, price: wei('0.038'), quantity: 200, amountRemaining: 0, isBuyOrder: true, maker },
+            { id: 9, tokenId: 11000, price: wei('0.02'), quantity: 5, amountRemaining: 5, isBuyOrder: false, maker: DEVELOPER.toLowerCase() }
+        ];
+
+        it('keeps the maker\'s open orders with wei prices', async () => {
+            const { api } = createApi({ '/orders?maker=': { orders } });
+            const result = await api.fetchOrdersByMaker(MARKET_MAKER);
+
+            assert.equal(result.length, 1);
+            assert.ok(result[0] instanceof UserOrder);
+            assert.equal(result[0].orderId, '7');
+            assert.equal(result[0].side, 'sell');
+            assert.equal(result[0].price, wei('0.0125'));
+            assert.equal(result[0].remaining, 100);
+            assert.equal(result[0].placedAt, Date.parse('2024-01-01T00:00:00.000Z'));
+        });
+
+        it('includes filled orders on request', async () => {
+            const { api } = createApi({ '/orders?maker=': { orders } });
+            const result = await api.fetchOrdersByMaker(MARKET_MAKER, { includeFilled: true });
+
+            assert.deepEqual(result.map(order => order.orderId), ['7', '8']);
+            assert.equal(result[1].side, 'buy');
+        });
+    });
+
+    describe('fetchPlayerItems', () => {
+        it('returns a UserBalance per item', async () => {
+            const { api } = createApi({ [`/players/${DEVELOPER.toLowerCase()}/items`]: [{ tokenId: 11000, balance: 500 }, { tokenId: 11001 }] });
+            const result = await api.fetchPlayerItems(DEVELOPER);
+
+            assert.ok(result.every(balance => balance instanceof UserBalance));
+            assert.deepEqual(result.map(balance => [balance.tokenId, balance.balance]), [[11000, 500], [11001, 0]]);
+        });
+
+        it('treats an unknown player as holding nothing', async () => {
+            const { api } = createApi({});
+            assert.deepEqual(await api.fetchPlayerItems(MARKET_MAKER), []);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validator } from '../src/security/InputValidator.js';
+
+const TICK = 10n ** 14n; // 0.0001
+
+describe('InputValidator.validateInput', () => {
+    describe('price', () => {
+        it('accepts decimal strings and keeps them exact', () => {
+            assert.deepEqual(validator.validateInput('0.5', 'price'), { isValid: true, sanitizedValue: '0.5', errors: [] });
+            assert.equal(validator.validateInput(' 0.25 ', 'price').sanitizedValue, '0.25');
+        });
+
+        it('rejects values that are not numbers', () => {
+            assert.deepEqual(validator.validateInput('abc', 'price').errors, ['Price must be a valid number']);
+        });
+
+        it('rejects zero, and prices outside the configured range', () => {
+            assert.deepEqual(validator.validateInput('0', 'price').errors, ['Price must be greater than 0']);
+            assert.match(validator.validateInput('0.0000001', 'price').errors[0], /at least 0\.000001/);
+            assert.match(validator.validateInput('2000000', 'price').errors[0], /cannot exceed 1000000/);
+        });
+
+        it('rejects more decimals than the token has', () => {
+            assert.match(validator.validateInput('1.0000000000000000001', 'price').errors[0], /at most 18 decimal places/);
+        });
+
+        it('checks the tick when one is given, suggesting the nearest valid price', () => {
+            assert.equal(validator.validateInput('0.0123', 'price', { tick: TICK }).isValid, true);
+
+            const result = validator.validateInput('0.01234', 'price', { tick: TICK, side: 'sell' });
+            assert.equal(result.isValid, false);
+            assert.match(result.errors[0], /multiple of 0\.0001\. Nearest valid price: 0\.0123/);
+        });
+
+        it('suggests the tick itself for a sell price below one tick', () => {
+            const result = validator.validateInput('0.00005', 'price', { tick: TICK, side: 'sell' });
+            assert.match(result.errors[0], /Nearest valid price: 0\.0001$/);
+        });
+    });
+
+    describe('quantity', () => {
+        it('accepts whole numbers and returns an integer', () => {
+            assert.deepEqual(validator.validateInput('10', 'quantity'), { isValid: true, sanitizedValue: 10, errors: [] });
+        });
+
+        it('rejects fractions, non-numbers and values outside uint24', () => {
+            assert.deepEqual(validator.validateInput('1.5', 'quantity').errors, ['Quantity must be a whole number']);
+            assert.deepEqual(validator.validateInput('x', 'quantity').errors, ['Quantity must be a valid number']);
+            assert.deepEqual(validator.validateInput('0', 'quantity').errors, ['Quantity must be at least 1']);
+            assert.deepEqual(validator.validateInput('16777216', 'quantity').errors, ['Quantity cannot exceed 16777215']);
+            assert.deepEqual(validator.validateInput('0.5', 'quantity').errors, ['Quantity must be a whole number']);
+            assert.deepEqual(validator.validateInput('99999999999999999999', 'quantity').errors, ['Quantity cannot exceed 16777215']);
+        });
+    });
+
+    describe('tokenId', () => {
+        it('accepts positive integers', () => {
+            assert.equal(validator.validateInput('5', 'tokenId').sanitizedValue, 5);
+            assert.equal(validator.validateInput(11000, 'tokenId').sanitizedValue, 11000);
+        });
+
+        it('rejects zero, non-numbers and unsafe integers', () => {
+            assert.deepEqual(validator.validateInput('0', 'tokenId').errors, ['Token ID must be at least 1']);
+            assert.deepEqual(validator.validateInput('abc', 'tokenId').errors, ['Token ID must be a valid number']);
+            assert.deepEqual(validator.validateInput('9007199254740993', 'tokenId').errors, ['Token ID is too large']);
+        });
+    });
+
+    describe('address', () => {
+        it('accepts checksummed addresses and lowercases them', () => {
+            const result = validator.validateInput('0xF39Fd6e51aad88F6F4ce6aB8827279cffFb92266', 'address');
+            assert.equal(result.isValid, true);
+            assert.equal(result.sanitizedValue, '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266');
+        });
+
+        it('rejects malformed addresses and non-strings', () => {
+            assert.deepEqual(validator.validateInput('0x123', 'address').errors, ['Invalid Ethereum address format']);
+            assert.deepEqual(validator.validateInput(123, 'address').errors, ['Address must be a string']);
+        });
+    });
+
+    describe('text', () => {
+        it('escapes markup and strips script blocks', () => {
+            const result = validator.validateInput('hello <b>world</b>', 'text');
+            assert.equal(result.isValid, true);
+            assert.doesNotMatch(result.sanitizedValue, /[<>]/);
+
+            assert.equal(validator.validateInput('<script>alert(1)</script>hi', 'text').sanitizedValue, 'hi');
+        });
+
+        it('escapes each character once, even when sanitized again', () => {
+            assert.equal(validator.validateInput('Salt & Pepper', 'text').sanitizedValue, 'Salt &amp; Pepper');
+            assert.equal(validator.sanitizeHtml(validator.sanitizeHtml('"a" < b')), '&quot;a&quot; &lt; b');
+        });
+
+        it('rejects dangerous content when it is not sanitized first', () => {
+            const result = validator.validateInput('javascript:alert(1)', 'text', { sanitizeHtml: false });
+            assert.deepEqual(result.errors, ['Text contains potentially dangerous content']);
+        });
+
+        it('enforces minLength and the string type', () => {
+            assert.deepEqual(validator.validateInput('ab', 'text', { minLength: 3 }).errors, ['Text must be at least 3 characters']);
+            assert.deepEqual(validator.validateInput(5, 'text').errors, ['Text must be a string']);
+        });
+    });
+
+    it('rejects input over the configured maximum length', () => {
+        assert.deepEqual(validator.validateInput('a'.repeat(1001), 'text').errors, ['Input too long. Maximum 1000 characters allowed.']);
+        assert.equal(validator.validateInput('a'.repeat(20), 'text', { maxLength: 10 }).isValid, false);
+    });
+
+    it('reports unknown types', () => {
+        assert.deepEqual(validator.validateInput('x', 'color').errors, ['Unknown validation type: color']);
+    });
+});
+
+describe('InputValidator rate limits', () => {
+    it('counts checked requests but not peeked ones', () => {
+        const key = 'test-peek-rate-limit';
+
+        assert.deepEqual(validator.peekRateLimit(key, 1, 60000), { allowed: true });
+        assert.deepEqual(validator.checkRateLimit(key, 1, 60000), { allowed: true });
+        assert.equal(validator.peekRateLimit(key, 1, 60000).allowed, false);
+        assert.equal(validator.checkRateLimit(key, 1, 60000).allowed, false);
+    });
+});
@@ -0,0 +1,315 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { config } from '../src/config/index.js';
+import { ApiService } from '../src/services/ApiService.js';
+import { BalanceService } from '../src/services/BalanceService.js';
+import { MarketplaceService } from '../src/services/MarketplaceService.js';
+import { MulticallService } from '../src/services/MulticallService.js';
+import { ClaimableBalance, MultiTransactionResult } from '../src/models/index.js';
+import { createTestChain, fakeFetch, DEVELOPER, MARKET_MAKER } from './helpers.js';
+
+/**
+ * MarketplaceService wired to the in-process local chain instead of a browser wallet
+ */
+function createMarketplace(transaction = {}, routes = {}) {
+    const { chain, wallet } = createTestChain();
+    const api = new ApiService({ ethers, fetch: fakeFetch(routes) });
+    const multicall = new MulticallService({ ethers, wallet });
+    const balances = new BalanceService({ ethers, api, multicall });
+
+    const marketplace = new MarketplaceService({
+        ethers,
+        wallet,
+        api,
+        balances,
+        multicall,
+        transaction: { retryDelay: 0, ...transaction }
+    });
+
+    return { marketplace, chain, wallet, book: chain.orderBook };
+}
+
+// Acting for the market maker, who owns the fixture orders
+function asMarketMaker() {
+    const setup = createMarketplace();
+    setup.wallet.address = MARKET_MAKER;
+    setup.wallet.signer = setup.wallet.provider.getSigner(MARKET_MAKER);
+    setup.wallet.emit('connected');
+    return setup;
+}
+
+const marketplaceAddress = config.getContractAddress('marketplace');
+const wei = value => ethers.utils.parseEther(value).toString();
+
+describe('MarketplaceService.createBatchOrders', () => {
+    it('approves the marketplace once, then places every order in one transaction', async () => {
+        const { marketplace, book } = createMarketplace();
+        assert.equal(book.isApprovedForAll(DEVELOPER, marketplaceAddress), false);
+
+        const result = await marketplace.createBatchOrders([
+            { tokenId: 11001, amount: 10, priceInEth: '0.05' },
+            { tokenId: 11100, amount: 100, priceInEth: '0.006' }
+        ]);
+
+        assert.ok(result instanceof MultiTransactionResult);
+        assert.equal(result.errorMessage, null);
+        assert.equal(result.isSuccessful, true);
+        assert.equal(result.chunks.length, 1);
+        assert.equal(result.ordersCreated, 2);
+        assert.match(result.txHash, /^0x[0-9a-f]{64}$/);
+
+        assert.equal(book.isApprovedForAll(DEVELOPER, marketplaceAddress), true);
+        assert.equal(book.getLowestAsk(11100), ethers.utils.parseEther('0.0051').toBigInt());
+        assert.equal(book.allOrdersAtPrice(1, 11001, ethers.utils.parseEther('0.05').toBigInt()).length, 1);
+        assert.equal(book.balanceOf(DEVELOPER, 11001), 240n);
+    });
+
+    it('fills against resting bids and pays the seller', async () => {
+        const { marketplace, book } = createMarketplace();
+        const before = book.quoteBalance(DEVELOPER);
+
+        const result = await marketplace.createBatchOrders([{ tokenId: 11000, amount: 100, priceInEth: '0.011' }]);
+
+        assert.equal(result.isSuccessful, true);
+        assert.equal(book.quoteBalance(DEVELOPER) - before, ethers.utils.parseEther('1.1').toBigInt());
+        assert.equal(book.allOrdersAtPrice(1, 11000, ethers.utils.parseEther('0.011').toBigInt()).length, 0);
+    });
+
+    it('splits a large selection across transactions with their own nonces', async () => {
+        const { marketplace, chain } = createMarketplace({ maxBatchSize: 2 });
+        const startBlock = chain.blockNumber;
+
+        const result = await marketplace.createBatchOrders([
+            { tokenId: 11000, amount: 1, priceInEth: '0.02' },
+            { tokenId: 11001, amount: 1, priceInEth: '0.05' },
+            { tokenId: 11100, amount: 1, priceInEth: '0.006' },
+            { tokenId: 11101, amount: 1, priceInEth: '0.006' },
+            { tokenId: 11200, amount: 10, priceInEth: '0.003' }
+        ]);
+
+        assert.equal(result.isSuccessful, true);
+        assert.equal(result.chunks.length, 3);
+        assert.deepEqual(result.chunks.map(chunk => chunk.ordersAttempted), [2, 2, 1]);
+        assert.equal(new Set(result.txHashes).size, 3);
+
+        // One approval plus one block per chunk
+        assert.equal(chain.blockNumber - startBlock, 4);
+    });
+
+    it('sends nothing when any order is invalid', async () => {
+        const { marketplace, chain } = createMarketplace();
+        const startBlock = chain.blockNumber;
+
+        const result = await marketplace.createBatchOrders([
+            { tokenId: 11000, amount: 10, priceInEth: '0.02' },
+            { tokenId: 11001, amount: 100000, priceInEth: '0.05' },
+            { tokenId: 11100, amount: 1, priceInEth: '0.00612' }
+        ]);
+
+        assert.equal(result.isSuccessful, false);
+        assert.equal(result.chunks.length, 0);
+        assert.match(result.errorMessage, /2 of 3 orders are invalid/);
+        assert.match(result.errorMessage, /token 11001: Insufficient balance/);
+        assert.match(result.errorMessage, /token 11100: .*not a multiple of the tick/);
+        assert.equal(chain.blockNumber, startBlock);
+    });
+
+    it('signs with the new account after the wallet switches', async () => {
+        // Contracts are bound to the developer's signer when the service is created
+        const { marketplace, wallet, book } = createMarketplace();
+
+        wallet.address = MARKET_MAKER;
+        wallet.signer = wallet.provider.getSigner(MARKET_MAKER);
+        wallet.emit('connected');
+
+        const result = await marketplace.createBatchOrders([{ tokenId: 11002, amount: 10, priceInEth: '0.05' }]);
+
+        assert.equal(result.isSuccessful, true);
+        assert.equal(book.balanceOf(MARKET_MAKER, 11002), 990n);
+        assert.equal(book.allOrdersAtPrice(1, 11002, ethers.utils.parseEther('0.05').toBigInt())[0].maker, MARKET_MAKER.toLowerCase());
+    });
+
+    it('refuses to sign for a read-only wallet', async () => {
+        const readOnly = new MarketplaceService({
+            ethers,
+            wallet: { isConnected: true, canSign: false, address: MARKET_MAKER },
+            api: new ApiService({ ethers, fetch: fakeFetch({}) })
+        });
+
+        const result = await readOnly.createBatchOrders([{ tokenId: 11000, amount: 1, priceInEth: '0.02' }]);
+        assert.match(result.errorMessage, /read-only/);
+    });
+});
+
+describe('MarketplaceService.createBatchBids', () => {
+    it('approves the quote token for the escrow, then places the bid', async () => {
+        const { marketplace, book } = createMarketplace();
+        const before = book.quoteBalance(DEVELOPER);
+        assert.equal(book.allowance(DEVELOPER, marketplaceAddress), 0n);
+
+        const result = await marketplace.createBatchBids([{ tokenId: 11002, amount: 10, priceInEth: '0.05' }]);
+
+        assert.equal(result.errorMessage, null);
+        assert.equal(result.ordersCreated, 1);
+        assert.equal(before - book.quoteBalance(DEVELOPER), ethers.utils.parseEther('0.5').toBigInt());
+        assert.equal(book.getHighestBid(11002), ethers.utils.parseEther('0.05').toBigInt());
+    });
+
+    it('sends nothing when the quote token balance cannot cover the escrow', async () => {
+        const { marketplace, chain } = createMarketplace();
+        const startBlock = chain.blockNumber;
+
+        const result = await marketplace.createBatchBids([{ tokenId: 11002, amount: 100000, priceInEth: '0.05' }]);
+
+        assert.equal(result.isSuccessful, false);
+        assert.match(result.errorMessage, /Insufficient BRUSH balance for bids\. Have: 1000\.0, Need: 5000\.0/);
+        assert.equal(chain.blockNumber, startBlock);
+    });
+});
+
+describe('MarketplaceService.cancelOrders', () => {
+    it('cancels nothing when a price level cannot be looked up', async () => {
+        const { marketplace, book, chain } = asMarketMaker();
+        const startBlock = chain.blockNumber;
+
+        const result = await marketplace.cancelOrders([
+            { tokenId: 11000, priceInEth: '0.0125', side: 'sell' },
+            { tokenId: 11001, priceInEth: 'abc', side: 'sell' }
+        ]);
+
+        assert.equal(result.isSuccessful, false);
+        assert.match(result.errorMessage, /1 of 2 price levels could not be looked up, nothing was cancelled: token 11001 at abc/);
+        assert.equal(chain.blockNumber, startBlock);
+        assert.equal(book.allOrdersAtPrice(1, 11000, ethers.utils.parseEther('0.0125').toBigInt()).length, 1);
+    });
+});
+
+describe('MarketplaceService.repriceOrder', () => {
+    const fixtureOrder = (book, side, tokenId, price) => {
+        const [order] = book.allOrdersAtPrice(side === 'buy' ? 0 : 1, tokenId, ethers.utils.parseEther(price).toBigInt());
+        return { orderId: order.id.toString(), tokenId, side, price: wei(price), remaining: Number(order.quantity) };
+    };
+
+    it('cancels the order and places its remainder at the new price', async () => {
+        const { marketplace, book } = asMarketMaker();
+
+        const result = await marketplace.repriceOrder(fixtureOrder(book, 'sell', 11000, '0.0125'), '0.0127');
+
+        assert.equal(result.errorMessage, null);
+        assert.equal(book.allOrdersAtPrice(1, 11000, ethers.utils.parseEther('0.0125').toBigInt()).length, 0);
+        assert.equal(book.allOrdersAtPrice(1, 11000, ethers.utils.parseEther('0.0127').toBigInt())[0].quantity, 400n);
+    });
+
+    it('checks the new price before cancelling anything', async () => {
+        const { marketplace, book, chain } = asMarketMaker();
+        const startBlock = chain.blockNumber;
+
+        const offTick = await marketplace.repriceOrder(fixtureOrder(book, 'buy', 11001, '0.038'), '0.03805');
+        const unfunded = await marketplace.repriceOrder(fixtureOrder(book, 'buy', 11001, '0.038'), '100');
+
+        assert.match(offTick.errorMessage, /not a multiple of the tick/);
+        assert.match(unfunded.errorMessage, /Insufficient BRUSH balance for the new price/);
+        assert.equal(chain.blockNumber, startBlock);
+        assert.equal(book.allOrdersAtPrice(0, 11001, ethers.utils.parseEther('0.038').toBigInt()).length, 1);
+    });
+});
+
+describe('MarketplaceService.planMarketBuy', () => {
+    const orders = [
+        { id: 1, tokenId: 11000, price: wei('0.0125'), quantity: 450, amountRemaining: 450, isBuyOrder: false },
+        { id: 2, tokenId: 11000, price: wei('0.013'), quantity: 800, amountRemaining: 800, isBuyOrder: false }
+    ];
+
+    it('sweeps the asks up to the maximum price with exact wei totals', async () => {
+        const { marketplace } = createMarketplace({}, { '/orders?tokenId=11000': { orders } });
+        const plan = await marketplace.planMarketBuy(11000, 500, '0.013');
+
+        assert.deepEqual(plan.fills, [{ price: wei('0.0125'), quantity: 450 }, { price: wei('0.013'), quantity: 50 }]);
+        assert.equal(plan.totalCost, wei('6.275'));
+        assert.equal(plan.averagePrice, wei('0.01255'));
+        assert.equal(plan.worstPrice, wei('0.013'));
+        assert.equal(plan.slippagePercent, 0.4);
+        assert.equal(plan.isComplete, true);
+    });
+
+    it('stops at the maximum price', async () => {
+        const { marketplace } = createMarketplace({}, { '/orders?tokenId=11000': { orders } });
+        const plan = await marketplace.planMarketBuy(11000, 1000, '0.0129');
+
+        assert.equal(plan.fillableQuantity, 450);
+        assert.equal(plan.maxPrice, wei('0.0129'));
+        assert.equal(plan.shortfall, 550);
+    });
+
+    it('reports a market buy with nothing to fill in the same result shape as a sent one', async () => {
+        const { marketplace } = createMarketplace({}, { '/orders?tokenId=11000': { orders } });
+        const plan = await marketplace.planMarketBuy(11000, 100, '0.012');
+        const result = await marketplace.executeMarketBuys([plan]);
+
+        assert.ok(result instanceof MultiTransactionResult);
+        assert.equal(result.isSuccessful, false);
+        assert.equal(result.chunks.length, 0);
+        assert.match(result.errorMessage, /No asks available/);
+    });
+});
+
+describe('MarketplaceService.getClaimable', () => {
+    it('reads the proceeds of every sell order in one batch and keeps the ones with something to claim', async () => {
+        const maker = DEVELOPER.toLowerCase();
+        const { marketplace, book } = createMarketplace({}, {
+            // The developer's asks as the Estfor API lists them, plus one with nothing filled
+            '/orders?maker=': () => ({
+                orders: [
+                    ...book.allOrders()
+                        .filter(order => order.maker === maker)
+                        .map(order => ({ id: Number(order.id), tokenId: Number(order.tokenId), price: wei('0.04'), quantity: 10, amountRemaining: 6, isBuyOrder: false, maker })),
+                    { id: 999, tokenId: 11000, price: wei('0.02'), quantity: 5, amountRemaining: 5, isBuyOrder: false, maker }
+                ]
+            })
+        });
+
+        await marketplace.createBatchOrders([{ tokenId: 11001, amount: 10, priceInEth: '0.04' }]);
+        book.limitOrders(MARKET_MAKER, [{ side: 0, tokenId: 11001, price: wei('0.04'), quantity: 4 }]);
+
+        const [ask] = book.allOrders().filter(order => order.maker === maker);
+        const claimable = await marketplace.getClaimable(DEVELOPER);
+
+        assert.ok(claimable instanceof ClaimableBalance);
+        assert.deepEqual(claimable.tokenOrderIds, [String(ask.id)]);
+        assert.equal(claimable.tokensClaimable, wei('0.16'));
+    });
+
+    it('reads claimable items of a long bid history in chunks and keeps the ids in order', async () => {
+        const maker = MARKET_MAKER.toLowerCase();
+        const { marketplace, book } = createMarketplace({}, {
+            // More bids than one claim holds, the filled one lands in the second chunk
+            '/orders?maker=': () => ({
+                orders: [
+                    ...Array.from({ length: 250 }, (_, index) => ({ id: 1000 + index, tokenId: 11000, price: wei('0.001'), quantity: 1, amountRemaining: 1, isBuyOrder: true, maker })),
+                    ...book.allOrders()
+                        .filter(order => order.maker === maker && order.side === 0)
+                        .map(order => ({ id: Number(order.id), tokenId: Number(order.tokenId), price: order.price.toString(), quantity: 1, amountRemaining: 1, isBuyOrder: true, maker }))
+                ]
+            })
+        });
+
+        // The developer sells into the market maker's best bid
+        book.setApprovalForAll(DEVELOPER, marketplaceAddress, true);
+        book.limitOrders(DEVELOPER, [{ side: 1, tokenId: 11000, price: wei('0.011'), quantity: 30 }]);
+
+        const readSizes = [];
+        const nftsClaimable = book.nftsClaimable.bind(book);
+        book.nftsClaimable = orderIds => {
+            readSizes.push(orderIds.length);
+            return nftsClaimable(orderIds);
+        };
+
+        const [bid] = book.allOrdersAtPrice(0, 11000, ethers.utils.parseEther('0.011').toBigInt());
+        const claimable = await marketplace.getClaimable(MARKET_MAKER);
+
+        assert.deepEqual(readSizes, [200, 55]);
+        assert.deepEqual(claimable.nftOrderIds, [String(bid.id)]);
+        assert.equal(claimable.nftsClaimable, 30);
+    });
+});
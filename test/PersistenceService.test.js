@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from '../src/core/storage/KeyValueStorage.js';
+import { PersistenceService } from '../src/services/PersistenceService.js';
+import { fakeClock } from './helpers.js';
+
+const HOUR = 3600000;
+
+const createPersistence = () => {
+    const storage = new MemoryStorage();
+    const now = fakeClock();
+    return { persistence: new PersistenceService({ storage, now }), storage, now };
+};
+
+describe('PersistenceService', () => {
+    it('creates standalone instances when dependencies are injected', () => {
+        assert.notEqual(createPersistence().persistence, createPersistence().persistence);
+        assert.equal(new PersistenceService(), PersistenceService.getInstance());
+    });
+
+    it('loads what was saved as a copy with its save time', async () => {
+        const { persistence, now } = createPersistence();
+        const items = [{ id: 11000, name: 'Log' }];
+
+        assert.equal(await persistence.save('items', items), true);
+        items[0].name = 'Changed';
+
+        const saved = await persistence.load('items');
+        assert.deepEqual(saved.data, [{ id: 11000, name: 'Log' }]);
+        assert.equal(saved.savedAt, now());
+        assert.equal(saved.isStale, false);
+    });
+
+    it('returns null for keys that were never saved or were removed', async () => {
+        const { persistence } = createPersistence();
+
+        assert.equal(await persistence.load('drafts'), null);
+
+        await persistence.save('drafts', []);
+        await persistence.remove('drafts');
+        assert.equal(await persistence.load('drafts'), null);
+    });
+
+    it('marks items stale after an hour', async () => {
+        const { persistence, now } = createPersistence();
+        await persistence.save('items', []);
+
+        now.advance(HOUR);
+        assert.equal((await persistence.load('items')).isStale, false);
+
+        now.advance(1);
+        assert.equal((await persistence.load('items')).isStale, true);
+    });
+
+    it('treats per-wallet balances as always stale and drafts as never stale', async () => {
+        const { persistence, now } = createPersistence();
+        await persistence.save('balances:0xabc', [[11000, 5]]);
+        await persistence.save('drafts', []);
+
+        now.advance(1);
+        assert.equal((await persistence.load('balances:0xabc')).isStale, true);
+        assert.equal((await persistence.load('drafts')).isStale, false);
+    });
+
+    it('drops records older than the maximum age', async () => {
+        const { persistence, storage, now } = createPersistence();
+        await persistence.save('drafts', []);
+
+        now.advance(7 * 24 * HOUR + 1);
+        assert.equal(await persistence.load('drafts'), null);
+        assert.equal(await storage.get('drafts'), undefined);
+    });
+
+    it('drops records written with an unknown or newer schema version', async () => {
+        const { persistence, storage, now } = createPersistence();
+        await storage.set('items', { version: 0, savedAt: now(), data: [] });
+        await storage.set('drafts', { version: 2, savedAt: now(), data: [] });
+
+        assert.equal(await persistence.load('items'), null);
+        assert.equal(await persistence.load('drafts'), null);
+        assert.equal(await storage.get('items'), undefined);
+        assert.equal(await storage.get('drafts'), undefined);
+    });
+
+    it('reports storage failures as missing data instead of throwing', async () => {
+        const failing = {
+            get: async () => { throw new Error('quota exceeded'); },
+            set: async () => { throw new Error('quota exceeded'); }
+        };
+        const persistence = new PersistenceService({ storage: failing, now: fakeClock() });
+        const warn = console.warn;
+        console.warn = () => {};
+
+        try {
+            assert.equal(await persistence.load('items'), null);
+            assert.equal(await persistence.save('items', []), false);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    formatUnits,
+    isOnTick,
+    normalizeDecimal,
+    parseUnits,
+    roundToTick,
+    roundingModeForSide
+} from '../src/core/pricing/PriceMath.js';
+
+const TICK = parseUnits('0.0001');
+
+describe('PriceMath', () => {
+    describe('normalizeDecimal', () => {
+        it('canonicalises decimal and exponent notation', () => {
+            assert.equal(normalizeDecimal('01.50'), '1.5');
+            assert.equal(normalizeDecimal('.25'), '0.25');
+            assert.equal(normalizeDecimal(1e-7), '0.0000001');
+            assert.equal(normalizeDecimal('1.5e3'), '1500');
+        });
+
+        it('returns null for anything that is not a non-negative number', () => {
+            assert.equal(normalizeDecimal('-1'), null);
+            assert.equal(normalizeDecimal('abc'), null);
+            assert.equal(normalizeDecimal(null), null);
+        });
+    });
+
+    describe('parseUnits and formatUnits', () => {
+        it('convert between decimal strings and wei without floats', () => {
+            assert.equal(parseUnits('0.0125'), 12500000000000000n);
+            assert.equal(parseUnits('1', 6), 1000000n);
+            assert.equal(formatUnits(12500000000000000n), '0.0125');
+            assert.equal(formatUnits('-1500000', 6), '-1.5');
+        });
+
+        it('rejects more decimals than the unit has', () => {
+            assert.throws(() => parseUnits('0.1234567', 6), /Too many decimal places/);
+            assert.throws(() => parseUnits('x'), /Invalid decimal value/);
+        });
+    });
+
+    describe('tick rounding', () => {
+        it('checks whether a price is a multiple of the tick', () => {
+            assert.equal(isOnTick(parseUnits('0.0123'), TICK), true);
+            assert.equal(isOnTick(parseUnits('0.01234'), TICK), false);
+            assert.equal(isOnTick(parseUnits('0.01234'), 0n), true);
+        });
+
+        it('rounds off-tick prices down or up and leaves on-tick prices alone', () => {
+            assert.equal(roundToTick(parseUnits('0.01249'), TICK), parseUnits('0.0124'));
+            assert.equal(roundToTick(parseUnits('0.01241'), TICK, 'up'), parseUnits('0.0125'));
+            assert.equal(roundToTick(parseUnits('0.0125'), TICK, 'up'), parseUnits('0.0125'));
+            assert.equal(roundToTick(parseUnits('0.00005'), TICK), 0n);
+        });
+
+        it('treats a zero tick as unknown and keeps the price', () => {
+            assert.equal(roundToTick(parseUnits('0.01249'), 0n, 'up'), parseUnits('0.01249'));
+        });
+
+        it('rounds sells down and bids up', () => {
+            assert.equal(roundingModeForSide('sell'), 'down');
+            assert.equal(roundingModeForSide('buy'), 'up');
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    markupOverBid,
+    matchLowestAsk,
+    midpoint,
+    percentBelowFloor,
+    resolvePrice,
+    undercutByTick,
+    PRICING_STRATEGIES
+} from '../src/core/pricing/PricingStrategy.js';
+import { parseUnits } from '../src/core/pricing/PriceMath.js';
+import { OrderBook } from '../src/models/index.js';
+
+const wei = value => parseUnits(value).toString();
+const TICK = parseUnits('0.0001');
+
+const book = (bids, asks) => new OrderBook({
+    tokenId: 11000,
+    bids: bids.map(price => ({ price: wei(price), quantity: 10 })),
+    asks: asks.map(price => ({ price: wei(price), quantity: 10 }))
+});
+
+const spread = book(['0.011', '0.0105'], ['0.0125', '0.013']);
+const empty = book([], []);
+
+describe('pricing strategies', () => {
+    it('undercuts the lowest ask by the tick it is given', () => {
+        assert.equal(undercutByTick(spread, { tick: TICK }), wei('0.0124'));
+        assert.equal(undercutByTick(spread, { tick: parseUnits('0.00001') }), wei('0.01249'));
+    });
+
+    it('gives no undercut price without a tick', () => {
+        assert.equal(undercutByTick(spread, { tick: 0n }), null);
+        assert.equal(undercutByTick(spread), null);
+    });
+
+    it('gives up undercutting an ask that is already one tick', () => {
+        assert.equal(undercutByTick(book([], ['0.0001']), { tick: TICK }), null);
+    });
+
+    it('matches the lowest ask', () => {
+        assert.equal(matchLowestAsk(spread), wei('0.0125'));
+    });
+
+    it('takes the midpoint of the best bid and ask', () => {
+        assert.equal(midpoint(spread), wei('0.01175'));
+    });
+
+    it('marks up the highest bid and discounts the floor by a percentage', () => {
+        assert.equal(markupOverBid(spread, { markupPercent: 5 }), wei('0.01155'));
+        assert.equal(percentBelowFloor(spread, { belowFloorPercent: 2 }), wei('0.01225'));
+    });
+
+    it('leaves the bid and floor as they are without a percentage', () => {
+        assert.equal(markupOverBid(spread), wei('0.011'));
+        assert.equal(percentBelowFloor(spread), wei('0.0125'));
+    });
+
+    it('returns null when the side it prices from is empty', () => {
+        for (const { price } of Object.values(PRICING_STRATEGIES)) {
+            assert.equal(price(empty), null);
+        }
+
+        const asksOnly = book([], ['0.0125']);
+        assert.equal(midpoint(asksOnly), null);
+        assert.equal(markupOverBid(asksOnly), null);
+        assert.equal(percentBelowFloor(book(['0.011'], [])), null);
+    });
+});
+
+describe('resolvePrice', () => {
+    it('rounds sells down and bids up onto the token tick', () => {
+        assert.equal(resolvePrice('midpoint', spread, { tick: TICK }), wei('0.0117'));
+        assert.equal(resolvePrice('midpoint', spread, { tick: TICK, side: 'buy' }), wei('0.0118'));
+        assert.equal(resolvePrice('markupOverBid', spread, { tick: TICK, markupPercent: 5 }), wei('0.0115'));
+        assert.equal(resolvePrice('belowFloor', spread, { tick: TICK, belowFloorPercent: 2 }), wei('0.0122'));
+        assert.equal(resolvePrice('undercut', spread, { tick: TICK }), wei('0.0124'));
+    });
+
+    it('leaves prices as they are without a tick', () => {
+        assert.equal(resolvePrice('midpoint', spread), wei('0.01175'));
+    });
+
+    it('returns null for a sell that rounds down to zero or an empty book', () => {
+        assert.equal(resolvePrice('markupOverBid', book(['0.00005'], []), { tick: TICK, markupPercent: 5 }), null);
+        assert.equal(resolvePrice('matchAsk', empty, { tick: TICK }), null);
+    });
+
+    it('rejects unknown strategies', () => {
+        assert.throws(() => resolvePrice('moon', spread), /Unknown pricing strategy: moon/);
+    });
+});
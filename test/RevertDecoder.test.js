@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ContractError } from '../src/core/errors/ApplicationError.js';
+import { decodeRevert, extractRevertData, toContractError, REVERT_ERRORS } from '../src/core/errors/RevertDecoder.js';
+
+const revertInterface = new ethers.utils.Interface(REVERT_ERRORS);
+const encode = (name, args = []) => revertInterface.encodeErrorResult(name, args);
+const errorString = reason => `0x08c379a0${ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2)}`;
+
+describe('RevertDecoder', () => {
+    describe('decodeRevert', () => {
+        it('decodes order book custom errors with their arguments', () => {
+            const revert = decodeRevert(encode('PriceNotMultipleOfTick', [ethers.utils.parseEther('0.0001')]), ethers);
+
+            assert.equal(revert.name, 'PriceNotMultipleOfTick');
+            assert.deepEqual(revert.args, { tick: '100000000000000' });
+            assert.match(revert.message, /multiple of the tick size 0\.0001/);
+        });
+
+        it('explains token balance errors', () => {
+            const revert = decodeRevert(encode('ERC1155InsufficientBalance', [ethers.constants.AddressZero, 5, 10, 11000]), ethers);
+            assert.equal(revert.message, 'Insufficient balance for token 11000. Have: 5, Need: 10');
+        });
+
+        it('maps known require strings and passes others through', () => {
+            assert.match(decodeRevert(errorString('ERC1155: caller is not owner nor approved'), ethers).message, /Items not approved/);
+            assert.equal(decodeRevert(errorString('Paused'), ethers).message, 'Paused');
+        });
+
+        it('decodes panics and names unknown selectors', () => {
+            const panic = `0x4e487b71${ethers.utils.defaultAbiCoder.encode(['uint256'], [0x11]).slice(2)}`;
+
+            assert.equal(decodeRevert(panic, ethers).message, 'Contract panicked with code 0x11');
+            assert.deepEqual(decodeRevert('0xdeadbeef', ethers), {
+                name: 'Unknown',
+                args: { selector: '0xdeadbeef' },
+                message: 'Transaction reverted with unknown error 0xdeadbeef'
+            });
+        });
+
+        it('returns null without data', () => {
+            assert.equal(decodeRevert(null, ethers), null);
+        });
+    });
+
+    describe('extractRevertData', () => {
+        it('finds the payload however the provider nests it', () => {
+            const data = encode('NotMaker');
+
+            assert.equal(extractRevertData({ data }), data);
+            assert.equal(extractRevertData({ error: { error: { data } } }), data);
+            assert.equal(extractRevertData({ body: JSON.stringify({ error: { data } }) }), data);
+            assert.equal(extractRevertData({ message: 'timeout' }), null);
+        });
+    });
+
+    describe('toContractError', () => {
+        it('wraps reverts in a deterministic ContractError', () => {
+            const error = toContractError({ error: { data: encode('NothingToClaim') } }, '0xabc', 'claimAll', ethers);
+
+            assert.ok(error instanceof ContractError);
+            assert.equal(error.message, 'claimAll would fail: Nothing to claim for these orders');
+            assert.equal(error.details.revert.name, 'NothingToClaim');
+            assert.equal(error.isDeterministic, true);
+        });
+
+        it('keeps the reason of a call exception without revert data', () => {
+            const error = toContractError({ code: 'CALL_EXCEPTION', reason: 'execution reverted' }, null, 'limitOrders', ethers);
+            assert.equal(error.message, 'limitOrders would fail: execution reverted');
+        });
+
+        it('returns other errors untouched', () => {
+            const network = new Error('network down');
+            const contract = new ContractError('already wrapped');
+
+            assert.equal(toContractError(network, null, 'limitOrders', ethers), network);
+            assert.equal(toContractError(contract, null, 'limitOrders', ethers), contract);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Test Helpers
+ * Fake fetch responses and an in-process local chain for service tests
+ */
+
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { config } from '../src/config/index.js';
+import { createLocalStandIn } from '../src/local/LocalStandIn.js';
+
+export const DEVELOPER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+export const MARKET_MAKER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const readFixture = name => JSON.parse(fs.readFileSync(new URL(`../src/local/fixtures/${name}`, import.meta.url), 'utf-8'));
+
+/**
+ * fetch stand-in answering from routes { [url or path prefix]: body | (url) => body }.
+ * Records every requested url in fetch.calls.
+ */
+export function fakeFetch(routes) {
+    const fetchFn = async url => {
+        fetchFn.calls.push(url);
+
+        const match = Object.keys(routes)
+            .filter(route => url === route || url.includes(route))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (match === undefined) {
+            return jsonResponse({ error: 'not found' }, 404);
+        }
+
+        const body = typeof routes[match] === 'function' ? routes[match](url) : routes[match];
+        return body instanceof Response ? body : jsonResponse(body);
+    };
+
+    fetchFn.calls = [];
+    return fetchFn;
+}
+
+export function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Clock for cache expiry tests, advance() moves it forward
+export function fakeClock(start = Date.now()) {
+    let now = start;
+    const clock = () => now;
+    clock.advance = ms => { now += ms; };
+    return clock;
+}
+
+/**
+ * Local chain seeded from src/local/fixtures at the configured contract addresses,
+ * with a wallet-like object for the developer account
+ */
+export function createTestChain() {
+    const { chain } = createLocalStandIn(ethers, {
+        chainId: config.get('networks.sonic.chainId'),
+        addresses: {
+            marketplace: config.getContractAddress('marketplace'),
+            implementation: config.get('contracts.marketplace.implementation'),
+            items: config.getContractAddress('items'),
+            quoteToken: config.getContractAddress('quoteToken'),
+            multicall3: config.getContractAddress('multicall3')
+        },
+        items: readFixture('items.json'),
+        state: readFixture('state.json')
+    });
+
+    const provider = new ethers.providers.Web3Provider(chain);
+    provider.pollingInterval = 10;
+
+    // The parts of WalletService the marketplace uses
+    const wallet = {
+        isConnected: true,
+        canSign: true,
+        address: DEVELOPER,
+        provider,
+        signer: provider.getSigner(DEVELOPER),
+        connection: { isOnCorrectNetwork: true },
+        switchNetwork: async () => {},
+        listeners: [],
+        addEventListener(event, callback) {
+            this.listeners.push({ event, callback });
+        },
+        // Stands in for WalletService notifying its listeners
+        emit(event, data) {
+            this.listeners.filter(listener => listener.event === event).forEach(listener => listener.callback(data));
+        }
+    };
+
+    return { chain, provider, wallet };
+}
@@ -0,0 +1,281 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ValidationError } from '../src/core/errors/ApplicationError.js';
+import {
+    AppState,
+    BaseModel,
+    EstforItem,
+    MarketOrder,
+    MultiTransactionResult,
+    OrderBook,
+    TransactionResult,
+    UserBalance,
+    UserOrder,
+    WalletConnection
+} from '../src/models/index.js';
+
+const wei = value => ethers.utils.parseEther(value).toString();
+const rejects = (create, field) => assert.throws(create, error => error instanceof ValidationError && error.details.field === field);
+
+describe('BaseModel', () => {
+    class Trade extends BaseModel {
+        static schema = {
+            tokenId: { type: 'tokenId', required: true },
+            quantity: { type: 'integer', min: 0, default: 0 },
+            filled: { type: 'integer', min: 0, default: 0, transform: (value, values) => Math.min(value, values.quantity) },
+            tags: { type: 'array', of: { type: 'string' }, default: () => [] }
+        };
+
+        get open() {
+            return this.quantity - this.filled;
+        }
+    }
+
+    it('runs the subclass schema and keeps only declared fields', () => {
+        const trade = new Trade({ tokenId: '11000', quantity: '5', filled: 9, extra: true });
+
+        assert.deepEqual({ ...trade }, { tokenId: 11000, quantity: 5, filled: 5, tags: [] });
+        assert.equal(trade.open, 0);
+        assert.ok(Object.isFrozen(trade));
+    });
+
+    it('does not share mutable defaults between instances', () => {
+        assert.notEqual(new Trade({ tokenId: 1 }).tags, new Trade({ tokenId: 1 }).tags);
+    });
+
+    it('names the model and field of an invalid value', () => {
+        assert.throws(() => new Trade({ tokenId: 1, quantity: -1 }), {
+            name: 'ValidationError',
+            message: 'Invalid Trade quantity: must be at least 0'
+        });
+        assert.throws(() => new Trade({ tokenId: 1, tags: ['a', 2] }), { message: 'Invalid Trade tags[1]: must be a string' });
+        rejects(() => new Trade({}), 'tokenId');
+        rejects(() => new Trade(null), 'data');
+    });
+
+    it('copies with changes, validating the result', () => {
+        const trade = new Trade({ tokenId: 1, quantity: 5 });
+        const filled = trade.with({ filled: 3 });
+
+        assert.equal(trade.filled, 0);
+        assert.equal(filled.open, 2);
+        rejects(() => trade.with({ quantity: 'many' }), 'quantity');
+    });
+
+    it('passes existing instances through fromJSON', () => {
+        const trade = new Trade({ tokenId: 1 });
+        assert.equal(Trade.fromJSON(trade), trade);
+    });
+});
+
+describe('MarketOrder', () => {
+    const order = () => new MarketOrder({ tokenId: 11000, side: 'sell', price: wei('0.5'), quantity: 4, user: '0xabc', timestamp: 1000 });
+
+    it('exposes the numeric side the contract expects', () => {
+        assert.equal(order().sideNumeric, 1);
+        assert.equal(new MarketOrder({ tokenId: 1, side: 'buy', price: wei('1'), quantity: 1 }).sideNumeric, 0);
+    });
+
+    it('values the order at price times quantity in wei', () => {
+        assert.equal(order().totalValue, wei('2'));
+
+        // Beyond Number precision: 0.123456789012345678 x 16777215
+        const large = new MarketOrder({ tokenId: 1, side: 'sell', price: '123456789012345678', quantity: 16777215 });
+        assert.equal(large.totalValue, '2071261092469761094126770');
+    });
+
+    it('expires 30 days after it was placed', () => {
+        assert.equal(order().isExpired, true);
+        assert.equal(new MarketOrder({ tokenId: 1, side: 'sell', price: wei('1'), quantity: 1, timestamp: Date.now() }).isExpired, false);
+    });
+
+    it('is immutable', () => {
+        assert.ok(Object.isFrozen(order()));
+    });
+
+    it('rejects an unknown side', () => {
+        rejects(() => new MarketOrder({ tokenId: 1, side: 'hold', price: wei('1'), quantity: 1 }), 'side');
+    });
+
+    it('rejects an invalid price or quantity', () => {
+        rejects(() => new MarketOrder({ tokenId: 1, side: 'sell', price: 'abc', quantity: 1 }), 'price');
+        rejects(() => new MarketOrder({ tokenId: 1, side: 'sell', price: '0.5', quantity: 1 }), 'price');
+        rejects(() => new MarketOrder({ tokenId: 1, side: 'sell', price: '0', quantity: 1 }), 'price');
+        rejects(() => new MarketOrder({ tokenId: 1, side: 'sell', price: wei('1'), quantity: 0 }), 'quantity');
+    });
+});
+
+describe('UserBalance', () => {
+    const balance = amount => new UserBalance({ tokenId: 11000, balance: amount, lastUpdated: 1 });
+
+    it('knows whether anything is held', () => {
+        assert.equal(balance(3).hasBalance, true);
+        assert.equal(balance(0).hasBalance, false);
+    });
+
+    it('allows selling up to the balance', () => {
+        assert.deepEqual(balance(10).canSell(10), { canSell: true });
+        assert.deepEqual(balance(10).canSell('4'), { canSell: true });
+    });
+
+    it('refuses to sell more than the balance or an invalid quantity', () => {
+        assert.deepEqual(balance(10).canSell(11), { canSell: false, reason: 'Insufficient balance. Have: 10, Need: 11' });
+        assert.deepEqual(balance(10).canSell('1.5'), { canSell: false, reason: 'Invalid quantity' });
+    });
+
+    it('rejects a negative balance', () => {
+        rejects(() => balance(-1), 'balance');
+    });
+});
+
+describe('TransactionResult', () => {
+    const txHash = '0x' + 'ab'.repeat(32);
+
+    it('links confirmed transactions to the explorer', () => {
+        const result = new TransactionResult({ success: true, txHash });
+        assert.equal(result.isSuccessful, true);
+        assert.equal(result.errorMessage, null);
+        assert.equal(result.explorerUrl, `https://sonicscan.org/tx/${txHash}`);
+    });
+
+    it('reports the error of a failed transaction', () => {
+        const result = new TransactionResult({ success: false, error: 'reverted' });
+        assert.equal(result.isSuccessful, false);
+        assert.equal(result.errorMessage, 'reverted');
+        assert.equal(result.explorerUrl, null);
+    });
+
+    it('falls back to a generic message without an error', () => {
+        assert.equal(new TransactionResult({ success: false }).errorMessage, 'Unknown error occurred');
+    });
+
+    it('round-trips through JSON', () => {
+        const result = new TransactionResult({ success: true, txHash, blockNumber: 7 });
+        const copy = TransactionResult.fromJSON(JSON.parse(JSON.stringify(result)));
+
+        assert.equal(copy.txHash, txHash);
+        assert.equal(copy.blockNumber, 7);
+        assert.equal(copy.isSuccessful, true);
+    });
+
+    it('requires a boolean success field', () => {
+        rejects(() => new TransactionResult({ txHash }), 'success');
+        rejects(() => new TransactionResult({ success: 'yes', txHash }), 'success');
+    });
+});
+
+describe('EstforItem', () => {
+    it('requires an id and a name', () => {
+        rejects(() => new EstforItem({ name: 'Log' }), 'id');
+        rejects(() => new EstforItem({ id: 11000, name: '' }), 'name');
+    });
+
+    it('escapes the name and drops images from unknown hosts', () => {
+        const item = new EstforItem({ id: 11000, name: 'Log <b>', image: 'https://tracker.example/pixel.png' });
+
+        assert.equal(item.name, 'Log &lt;b&gt;');
+        assert.equal(item.image, '');
+        assert.equal(new EstforItem(item.toJSON()).name, item.name);
+    });
+});
+
+describe('UserOrder', () => {
+    it('keeps ids as strings and never more remaining than placed', () => {
+        const order = new UserOrder({ orderId: 7n, tokenId: 11000, side: 'buy', price: 12000000000000000n, quantity: 10, remaining: 12 });
+
+        assert.equal(order.orderId, '7');
+        assert.equal(order.price, wei('0.012'));
+        assert.equal(order.remaining, 10);
+        assert.equal(order.remainingValue, wei('0.12'));
+        assert.equal(order.placedAt, null);
+    });
+
+    it('reads ISO dates from the API', () => {
+        const order = new UserOrder({ orderId: 1, tokenId: 1, side: 'sell', price: wei('1'), placedAt: '2024-01-01T00:00:00.000Z' });
+        assert.equal(order.placedAt, Date.parse('2024-01-01T00:00:00.000Z'));
+    });
+});
+
+describe('OrderBook', () => {
+    it('drops empty levels and sorts best price first', () => {
+        const book = new OrderBook({
+            tokenId: 1,
+            bids: [{ price: 10n, quantity: 1 }, { price: '20', quantity: 2 }, { price: '30', quantity: 0 }],
+            asks: [{ price: '50', quantity: 1 }, { price: '40', quantity: 1, orderCount: 3 }]
+        });
+
+        assert.deepEqual(book.bids.map(level => level.price), ['20', '10']);
+        assert.deepEqual(book.bestAsk, { price: '40', quantity: 1, orderCount: 3 });
+    });
+
+    it('rejects negative or fractional level prices', () => {
+        rejects(() => new OrderBook({ tokenId: 1, bids: [], asks: [{ price: '-1', quantity: 1 }] }), 'asks[0].price');
+        rejects(() => new OrderBook({ tokenId: 1, bids: [{ price: '0.5', quantity: 1 }], asks: [] }), 'bids[0].price');
+    });
+});
+
+describe('MultiTransactionResult', () => {
+    it('restores its chunks as TransactionResults', () => {
+        const result = new MultiTransactionResult({ chunks: [new TransactionResult({ success: true, txHash: '0x01', ordersCreated: 2 })], side: 'sell' });
+        const copy = MultiTransactionResult.fromJSON(JSON.parse(JSON.stringify(result)));
+
+        assert.ok(copy.chunks[0] instanceof TransactionResult);
+        assert.equal(copy.ordersCreated, 2);
+    });
+});
+
+describe('AppState', () => {
+    const state = () => new AppState({
+        items: [{ id: 11000, name: 'Log' }],
+        balances: new Map([[11000, 5]]),
+        orderBooks: new Map([[11000, new OrderBook({ tokenId: 11000, bids: [{ price: '100', quantity: 1 }], asks: [] })]]),
+        wallet: { address: '0xF39Fd6e51aad88F6F4ce6aB8827279cffFb92266', isConnected: true, chainId: 146 }
+    });
+
+    it('builds its models from plain data', () => {
+        const current = state();
+
+        assert.ok(current.items[0] instanceof EstforItem);
+        assert.ok(current.wallet instanceof WalletConnection);
+        assert.equal(current.getBalanceForToken(11000).balance, 5);
+        assert.equal(current.getBalanceForToken(11001).hasBalance, false);
+        assert.deepEqual(current.portfolioValue, { totalWei: '500', pricedItems: 1, unpricedItems: 0 });
+    });
+
+    it('keeps unchanged models when updated', () => {
+        const current = state();
+        const next = current.with({ isLoading: true });
+
+        assert.equal(next.isLoading, true);
+        assert.equal(next.items[0], current.items[0]);
+        assert.equal(next.wallet, current.wallet);
+    });
+
+    it('round-trips maps and nested models through JSON', () => {
+        const json = JSON.parse(JSON.stringify(state()));
+        const copy = AppState.fromJSON(json);
+
+        assert.deepEqual(json.balances, [[11000, 5]]);
+        assert.equal(copy.balances.get(11000), 5);
+        assert.equal(copy.getOrderBook(11000).bestBid.price, '100');
+        assert.equal(copy.wallet.shortAddress, '0xf39f...2266');
+    });
+
+    it('round-trips sell drafts and the selection through JSON', () => {
+        const current = new AppState({
+            drafts: new Map([[11000, { price: '0.0125', quantity: '10' }], [11001, { price: '0.05' }]]),
+            selectedItems: [11000]
+        });
+        const copy = AppState.fromJSON(JSON.parse(JSON.stringify(current)));
+
+        assert.deepEqual(copy.drafts.get(11000), { price: '0.0125', quantity: '10' });
+        assert.deepEqual(copy.drafts.get(11001), { price: '0.05', quantity: null });
+        assert.deepEqual(copy.selectedItems, [11000]);
+        assert.deepEqual(new AppState().selectedItems, []);
+    });
+
+    it('rejects balances that are not whole amounts', () => {
+        rejects(() => new AppState({ balances: [[11000, 1.5]] }), 'balances[11000]');
+    });
+});